@@ -1,11 +1,53 @@
 // controllers/assignment.controller.js
+import { randomUUID } from 'crypto';
 import { validationResult } from 'express-validator';
 import supabase from '../config/postgres.js';
+import { loadQuizQuestions, resolveBankQuestions, buildQuestionRow, insertQuestionAnswers, syncQuizQuestions } from '../utils/quizQuestions.js';
+import { getQuestionVersions, applyQuestionVersions } from '../utils/questionVersions.js';
+import { findQuizBankQuestions, getQuizQuestionPoints, buildBankReferenceRow } from '../utils/questionBank.js';
+import { buildSectionRow, findSectionErrors, getSectionsMaxPoints, loadQuizSections, syncQuizSections, appendSectionQuestions } from '../utils/quizSections.js';
+import { gradeQuizAnswers } from '../utils/quizGrading.js';
+import { regradeSubmission } from '../utils/quizRegrade.js';
+import { getGradingConfigError, getMissingAnswerKeyWarning } from '../utils/questionConfig.js';
+import { DEFAULT_SCORING_POLICY, applyScoringPolicy } from '../utils/scoringPolicy.js';
+import {
+  SUBMISSION_GRACE_SECONDS,
+  CLIENT_CLOCK_SKEW_SECONDS,
+  ELIGIBILITY_CODES,
+  getQuizClosingTime,
+  getAttemptDeadline,
+  getRemainingSeconds,
+  checkSubmissionEligibility,
+  getAttemptHistory,
+  hasAttemptsRemaining,
+  isAttemptExpired,
+  findDraftAttempt,
+  findSubmissionByIdempotencyKey,
+  finalizeAttempt,
+  finalizeExpiredAttempts
+} from '../utils/quizAttempt.js';
+import { parseQuizData } from '../utils/quizData.js';
+import { hashAccessCode, verifyAccessCode, issueQuizAccessToken, hasQuizAccess } from '../utils/quizAccess.js';
+import { enforceIpFilter } from '../utils/ipFilter.js';
+import { isShuffledQuiz, buildAttemptLayout, resolveAttemptLayout, applyAttemptLayout, getShuffleSeed } from '../utils/quizShuffle.js';
+import { resolveAttemptVariables, applyAttemptVariables } from '../utils/calculatedQuestion.js';
+import { ARRANGEMENT_TYPES, presentArrangement } from '../utils/matchingOrdering.js';
+import { getBlankNames } from '../utils/fillInBlanks.js';
+import {
+  isPagedQuiz,
+  getQuestionSequence,
+  getCurrentPosition,
+  isPositionLocked,
+  recordPositionServed,
+  recordAnswer,
+  mergeSubmittedAnswers
+} from '../utils/quizPaging.js';
 
 // Utility functions
-const createErrorResponse = (message, errors = null) => ({
+const createErrorResponse = (message, errors = null, code = null) => ({
   success: false,
   message,
+  ...(code && { code }),
   ...(errors && { errors })
 });
 
@@ -33,15 +75,15 @@ const sanitizeAssignment = (assignment) => ({
   availableFrom: assignment.available_from,
   availableUntil: assignment.available_until,
   allowedAttempts: assignment.allowed_attempts,
+  scoringPolicy: assignment.scoring_policy,
   hasTimeLimit: assignment.has_time_limit,
   timeLimitMinutes: assignment.time_limit_minutes,
   shuffleAnswers: assignment.shuffle_answers,
+  shuffleQuestions: assignment.shuffle_questions,
   showCorrectAnswers: assignment.show_correct_answers,
   oneQuestionAtTime: assignment.one_question_at_time,
   cantGoBack: assignment.cant_go_back,
   requireAccessCode: assignment.require_access_code,
-  accessCode: assignment.access_code,
-  password: assignment.password,
   ipFiltering: assignment.ip_filtering,
   ipFilter: assignment.ip_filter,
   notifyOfUpdate: assignment.notify_of_update,
@@ -75,6 +117,82 @@ const sanitizeAnswer = (answer) => ({
   createdAt: answer.created_at
 });
 
+// Helper function to sanitize a quiz section (random draw from a question bank)
+const sanitizeSection = (section) => ({
+  id: section.id,
+  position: section.position,
+  title: section.title,
+  bankId: section.bank_id,
+  draw: section.draw_count,
+  pointsPerQuestion: section.points_per_question,
+  filter: {
+    capsTopic: section.caps_topic,
+    grade: section.grade_level,
+    difficulty: section.difficulty,
+    tags: section.tags || [],
+    questionType: section.question_type
+  }
+});
+
+// Helper function to sanitize a question served during an attempt (no answer key)
+const sanitizeAttemptQuestion = (question, position) => ({
+  id: question.id,
+  position,
+  title: question.title,
+  questionText: question.question_text,
+  questionType: question.question_type,
+  points: question.points,
+  imageUrl: question.image_url,
+  ...(ARRANGEMENT_TYPES.includes(question.question_type)
+    ? presentArrangement(question)
+    : {
+        answers: (question.quiz_question_answers || []).map(answer => ({
+          id: answer.id,
+          answerText: answer.answer_text
+        }))
+      }),
+  ...(question.question_type === 'fill_in_blanks' && { blanks: getBlankNames(question.question_text) })
+});
+
+// Helper function to find questions whose answer key can't be auto-graded,
+// in the same shape as express-validator errors
+const findAnswerKeyErrors = (questions = []) => questions
+  .map((question, index) => ({ index, msg: getGradingConfigError(question || {}) }))
+  .filter(({ msg }) => msg)
+  .map(({ index, msg }) => ({ param: `questions[${index}]`, msg, location: 'body' }));
+
+// Helper function to flag questions that save fine but have no answer key,
+// in the same shape
+const findAnswerKeyWarnings = (questions = []) => questions
+  .map((question, index) => ({ index, msg: getMissingAnswerKeyWarning(question || {}) }))
+  .filter(({ msg }) => msg)
+  .map(({ index, msg }) => ({ param: `questions[${index}]`, msg, location: 'body' }));
+
+// Validation mode (?validate=true or validateOnly in the body) checks the
+// questions' answer keys without saving anything, e.g. before publishing
+const isValidateOnly = (req) => req.query.validate === 'true' || req.body.validateOnly === true;
+
+const buildAnswerKeyReport = (questions = []) => {
+  const errors = findAnswerKeyErrors(questions);
+  const warnings = findAnswerKeyWarnings(questions);
+
+  return { valid: errors.length === 0, errors, warnings };
+};
+
+// Helper function to sanitize an in-progress quiz attempt
+const sanitizeAttempt = (assignment, submission) => {
+  const deadline = getAttemptDeadline(assignment, submission);
+
+  return {
+    id: submission.id,
+    assignmentId: submission.assignment_id,
+    attemptNumber: submission.attempt_number,
+    status: submission.status,
+    timeStarted: submission.time_started,
+    deadline: deadline ? deadline.toISOString() : null,
+    remainingSeconds: getRemainingSeconds(assignment, submission)
+  };
+};
 
 
 export const createAssignment = async (req, res) => {
@@ -93,9 +211,11 @@ export const createAssignment = async (req, res) => {
       availableFrom,
       availableUntil,
       allowedAttempts,
+      scoringPolicy,
       hasTimeLimit,
       timeLimitMinutes,
       shuffleAnswers,
+      shuffleQuestions,
       showCorrectAnswers,
       oneQuestionAtTime,
       cantGoBack,
@@ -108,7 +228,8 @@ export const createAssignment = async (req, res) => {
       is_published,
       instructions,
       quizInstructions,
-      questions
+      questions,
+      sections
     } = req.body;
 
     const userId = req.user.id;
@@ -118,6 +239,15 @@ export const createAssignment = async (req, res) => {
       return res.status(400).json(createErrorResponse('Missing required fields'));
     }
 
+    if (isValidateOnly(req)) {
+      return res.json(createSuccessResponse(buildAnswerKeyReport(questions || [])));
+    }
+
+    const answerKeyErrors = findAnswerKeyErrors(questions);
+    if (answerKeyErrors.length > 0) {
+      return res.status(400).json(createErrorResponse('Validation failed', answerKeyErrors));
+    }
+
     // Verify the user is the instructor of the course
     const { data: course, error: courseError } = await supabase
       .from('courses')
@@ -141,10 +271,21 @@ export const createAssignment = async (req, res) => {
       return res.status(403).json(createErrorResponse('Not authorized to create assignments for this course'));
     }
 
-    // For quiz type, calculate total points from questions
+    // Questions can use a bank question ({ bankQuestionId }) instead of their own content
+    const { bankQuestions, errors: bankQuestionErrors } = await findQuizBankQuestions(questions, req.user);
+    // Sections draw questions from a bank for each attempt
+    const sectionErrors = await findSectionErrors(sections, req.user);
+    if (bankQuestionErrors.length > 0 || sectionErrors.length > 0) {
+      return res.status(400).json(createErrorResponse('Validation failed', [...bankQuestionErrors, ...sectionErrors]));
+    }
+
+    const sectionRows = (sections || []).map((section, index) => buildSectionRow(section, index + 1));
+
+    // For quiz type, calculate total points from questions and sections
     let calculatedMaxPoints = maxPoints || 100;
-    if (assignmentType === 'quiz' && questions && questions.length > 0) {
-      calculatedMaxPoints = questions.reduce((sum, q) => sum + (q.points || 1), 0);
+    if (assignmentType === 'quiz' && ((questions && questions.length > 0) || sectionRows.length > 0)) {
+      calculatedMaxPoints = (questions || []).reduce((sum, q) => sum + getQuizQuestionPoints(q, bankQuestions), 0) +
+        getSectionsMaxPoints(sectionRows);
     }
 
     // Prepare submission types
@@ -158,6 +299,10 @@ export const createAssignment = async (req, res) => {
     }
 
     // Create the assignment
+    // Access codes are only ever stored hashed
+    const newAccessCode = password || accessCode;
+    const hashedAccessCode = newAccessCode ? await hashAccessCode(newAccessCode) : null;
+
     const { data: assignment, error: assignmentError } = await supabase
       .from('assignments')
       .insert({
@@ -176,15 +321,17 @@ export const createAssignment = async (req, res) => {
         available_from: availableFrom || null,
         available_until: availableUntil || null,
         allowed_attempts: allowedAttempts || 1,
+        scoring_policy: scoringPolicy || DEFAULT_SCORING_POLICY,
         has_time_limit: hasTimeLimit || false,
         time_limit_minutes: hasTimeLimit ? (timeLimitMinutes || null) : null,
         shuffle_answers: shuffleAnswers || false,
+        shuffle_questions: shuffleQuestions || false,
         show_correct_answers: showCorrectAnswers !== false, // Default to true
         one_question_at_time: oneQuestionAtTime || false,
         cant_go_back: cantGoBack || false,
-        require_access_code: requireAccessCode || !!accessCode || !!password,
-        access_code: accessCode || password || null,
-        password: password || accessCode || null,
+        require_access_code: requireAccessCode || !!newAccessCode,
+        access_code: null,
+        password: hashedAccessCode,
         ip_filtering: ipFiltering || false,
         ip_filter: ipFilter || null,
         quiz_instructions: quizInstructions || instructions || ''
@@ -202,26 +349,22 @@ export const createAssignment = async (req, res) => {
       for (let questionIndex = 0; questionIndex < questions.length; questionIndex++) {
         const question = questions[questionIndex];
         
+        const bankQuestion = bankQuestions.get(question.bankQuestionId);
+
         // Validate question
-        if (!question.questionText || !question.questionType) {
+        if (!bankQuestion && (!question.questionText || !question.questionType)) {
           console.error(`Invalid question at index ${questionIndex}:`, question);
           continue;
         }
 
-        // Create the question
+        // Create the question; a bank question's content stays in the bank
         const { data: createdQuestion, error: questionError } = await supabase
           .from('quiz_questions')
           .insert({
             assignment_id: assignment.id,
-            question_number: questionIndex + 1,
-            title: question.title || `Question ${questionIndex + 1}`,
-            question_text: question.questionText,
-            question_type: question.questionType,
-            points: question.points || 1,
-            image_url: question.imageUrl || null,
-            // Add short answer specific columns
-            short_answer_match_type: question.questionType === 'short_answer' ? (question.matchType || 'exact') : null,
-            short_answer_case_sensitive: question.questionType === 'short_answer' ? (question.caseSensitive || false) : null
+            ...(bankQuestion
+              ? buildBankReferenceRow(bankQuestion, question, questionIndex + 1)
+              : buildQuestionRow(question, questionIndex + 1))
           })
           .select()
           .single();
@@ -231,89 +374,45 @@ export const createAssignment = async (req, res) => {
           continue;
         }
 
-        // Handle different question types
-        if (question.questionType === 'multiple_choice' || question.questionType === 'true_false') {
-          // Insert multiple choice/true-false answers
-          if (question.answers && question.answers.length > 0) {
-            const answersToInsert = question.answers.map((answer, index) => ({
-              question_id: createdQuestion.id,
-              answer_text: answer.text || '',
-              is_correct: answer.correct || false,
-              feedback: answer.feedback || '',
-              answer_order: index + 1
-            }));
-
-            const { error: answersError } = await supabase
-              .from('quiz_question_answers')
-              .insert(answersToInsert);
-
-            if (answersError) {
-              console.error('Error creating answers for question:', answersError);
-            }
-          }
-        } else if (question.questionType === 'short_answer') {
-          // Insert acceptable short answers
-          if (question.acceptableAnswers && question.acceptableAnswers.length > 0) {
-            const acceptableAnswersToInsert = question.acceptableAnswers
-              .filter(answer => answer && answer.trim()) // Only non-empty answers
-              .map((answer, index) => ({
-                question_id: createdQuestion.id,
-                answer_text: answer.trim(),
-                is_case_sensitive: question.caseSensitive || false,
-                is_exact_match: question.matchType !== 'contains', // exact or regex both use exact_match = true
-                answer_order: index + 1
-              }));
-
-            if (acceptableAnswersToInsert.length > 0) {
-              const { error: shortAnswerError } = await supabase
-                .from('quiz_short_answer_options')
-                .insert(acceptableAnswersToInsert);
-
-              if (shortAnswerError) {
-                console.error('Error creating short answer options:', shortAnswerError);
-              }
-            }
-          }
+        if (bankQuestion) continue;
+
+        // Answer rows, acceptable answers or blank options, by question type
+        const { error: answersError } = await insertQuestionAnswers(createdQuestion.id, question);
+        if (answersError) {
+          console.error('Error creating answers for question:', answersError);
         }
-        // For 'essay' and 'file_upload' types, no additional data needs to be stored
+      }
+    }
+
+    if (assignmentType === 'quiz' && sectionRows.length > 0) {
+      const { error: sectionsError } = await supabase
+        .from('quiz_sections')
+        .insert(sectionRows.map(row => ({ ...row, assignment_id: assignment.id })));
+
+      if (sectionsError) {
+        console.error('Error creating quiz sections:', sectionsError);
       }
     }
 
     // Fetch the complete assignment with questions if it's a quiz
     let completeAssignment = assignment;
     if (assignmentType === 'quiz') {
-      const { data: questionsData } = await supabase
-        .from('quiz_questions')
-        .select(`
-          *,
-          quiz_question_answers(*)
-        `)
-        .eq('assignment_id', assignment.id)
-        .order('question_number');
-
-      // For short answer questions, also fetch acceptable answers
-      if (questionsData && questionsData.length > 0) {
-        const shortAnswerQuestions = questionsData.filter(q => q.question_type === 'short_answer');
-        
-        for (const saQuestion of shortAnswerQuestions) {
-          const { data: shortAnswerOptions } = await supabase
-            .from('quiz_short_answer_options')
-            .select('*')
-            .eq('question_id', saQuestion.id)
-            .order('answer_order');
-          
-          saQuestion.quiz_short_answer_options = shortAnswerOptions || [];
-        }
-      }
+      const { questions: questionsData } = await loadQuizQuestions(assignment.id);
+      const { sections: savedSections } = await loadQuizSections(assignment.id);
 
       completeAssignment = {
         ...assignment,
-        questions: questionsData || []
+        questions: questionsData || [],
+        sections: savedSections.map(sanitizeSection)
       };
     }
 
+    const answerKeyWarnings = findAnswerKeyWarnings(questions);
+
     res.status(201).json(createSuccessResponse({
       assignment: completeAssignment,
+      // Questions without answer keys, flagged so they can be fixed before publishing
+      ...(answerKeyWarnings.length > 0 && { answerKeyWarnings }),
       message: `${assignmentType === 'quiz' ? 'Quiz' : 'Assignment'} created successfully`
     }));
 
@@ -340,9 +439,11 @@ export const updateAssignment = async (req, res) => {
       availableFrom,
       availableUntil,
       allowedAttempts,
+      scoringPolicy,
       hasTimeLimit,
       timeLimitMinutes,
       shuffleAnswers,
+      shuffleQuestions,
       showCorrectAnswers,
       oneQuestionAtTime,
       cantGoBack,
@@ -355,11 +456,21 @@ export const updateAssignment = async (req, res) => {
       is_published,
       instructions,
       quizInstructions,
-      questions
+      questions,
+      sections
     } = req.body;
 
     const userId = req.user.id;
 
+    if (isValidateOnly(req)) {
+      return res.json(createSuccessResponse(buildAnswerKeyReport(questions || [])));
+    }
+
+    const answerKeyErrors = findAnswerKeyErrors(questions);
+    if (answerKeyErrors.length > 0) {
+      return res.status(400).json(createErrorResponse('Validation failed', answerKeyErrors));
+    }
+
     // Get existing assignment
     const { data: existingAssignment, error: fetchError } = await supabase
       .from('assignments')
@@ -386,10 +497,37 @@ export const updateAssignment = async (req, res) => {
       return res.status(403).json(createErrorResponse('Not authorized to update this assignment'));
     }
 
-    // Calculate total points for quiz
+    const { bankQuestions, errors: bankQuestionErrors } = await findQuizBankQuestions(questions, req.user);
+    const sectionErrors = await findSectionErrors(sections, req.user);
+    if (bankQuestionErrors.length > 0 || sectionErrors.length > 0) {
+      return res.status(400).json(createErrorResponse('Validation failed', [...bankQuestionErrors, ...sectionErrors]));
+    }
+
+    // Sections are replaced when sent and kept otherwise
+    const replaceSections = Array.isArray(sections);
+    const sectionRows = replaceSections ? sections.map((section, index) => buildSectionRow(section, index + 1)) : [];
+
+    // Calculate total points for quiz from its questions and sections,
+    // whichever of them are being replaced and whichever are kept
     let calculatedMaxPoints = maxPoints || existingAssignment.max_points;
-    if (assignmentType === 'quiz' && questions && questions.length > 0) {
-      calculatedMaxPoints = questions.reduce((sum, q) => sum + (q.points || 1), 0);
+    if (assignmentType === 'quiz' && ((questions && questions.length > 0) || replaceSections)) {
+      let questionPoints;
+      if (questions && questions.length > 0) {
+        questionPoints = questions.reduce((sum, q) => sum + getQuizQuestionPoints(q, bankQuestions), 0);
+      } else {
+        const { questions: existingQuestions } = await loadQuizQuestions(assignmentId);
+        questionPoints = existingQuestions.reduce((sum, q) => sum + (q.points || 0), 0);
+      }
+
+      let sectionPoints;
+      if (replaceSections) {
+        sectionPoints = getSectionsMaxPoints(sectionRows);
+      } else {
+        const { sections: existingSections } = await loadQuizSections(assignmentId);
+        sectionPoints = getSectionsMaxPoints(existingSections);
+      }
+
+      calculatedMaxPoints = questionPoints + sectionPoints;
     }
 
     // Prepare submission types
@@ -402,6 +540,10 @@ export const updateAssignment = async (req, res) => {
       finalSubmissionTypes = existingAssignment.submission_types || ['file'];
     }
 
+    // Access codes are only ever stored hashed
+    const newAccessCode = password || accessCode;
+    const hashedAccessCode = newAccessCode ? await hashAccessCode(newAccessCode) : existingAssignment.password;
+
     // Update the assignment
     const { data: updatedAssignment, error: updateError } = await supabase
       .from('assignments')
@@ -420,15 +562,17 @@ export const updateAssignment = async (req, res) => {
         available_from: availableFrom !== undefined ? availableFrom : existingAssignment.available_from,
         available_until: availableUntil !== undefined ? availableUntil : existingAssignment.available_until,
         allowed_attempts: allowedAttempts !== undefined ? allowedAttempts : existingAssignment.allowed_attempts,
+        scoring_policy: scoringPolicy || existingAssignment.scoring_policy || DEFAULT_SCORING_POLICY,
         has_time_limit: hasTimeLimit !== undefined ? hasTimeLimit : existingAssignment.has_time_limit,
         time_limit_minutes: hasTimeLimit ? (timeLimitMinutes || null) : null,
         shuffle_answers: shuffleAnswers !== undefined ? shuffleAnswers : existingAssignment.shuffle_answers,
+        shuffle_questions: shuffleQuestions !== undefined ? shuffleQuestions : existingAssignment.shuffle_questions,
         show_correct_answers: showCorrectAnswers !== undefined ? showCorrectAnswers : existingAssignment.show_correct_answers,
         one_question_at_time: oneQuestionAtTime !== undefined ? oneQuestionAtTime : existingAssignment.one_question_at_time,
         cant_go_back: cantGoBack !== undefined ? cantGoBack : existingAssignment.cant_go_back,
-        require_access_code: requireAccessCode || !!accessCode || !!password,
-        access_code: accessCode || password || existingAssignment.access_code,
-        password: password || accessCode || existingAssignment.password,
+        require_access_code: !!newAccessCode || (requireAccessCode !== undefined ? requireAccessCode : existingAssignment.require_access_code),
+        access_code: null,
+        password: hashedAccessCode,
         ip_filtering: ipFiltering !== undefined ? ipFiltering : existingAssignment.ip_filtering,
         ip_filter: ipFilter !== undefined ? ipFilter : existingAssignment.ip_filter,
         quiz_instructions: quizInstructions || instructions || existingAssignment.quiz_instructions,
@@ -443,124 +587,43 @@ export const updateAssignment = async (req, res) => {
       return res.status(400).json(createErrorResponse('Failed to update assignment'));
     }
 
-    // If it's a quiz with questions, update the questions
+    // If it's a quiz with questions, update the questions in place so the
+    // question IDs existing attempts are keyed by stay the same
     if (assignmentType === 'quiz' && questions && questions.length > 0) {
-      // Delete existing questions and their answers
-      const { data: existingQuestions } = await supabase
-        .from('quiz_questions')
-        .select('id')
-        .eq('assignment_id', assignmentId);
-
-      if (existingQuestions && existingQuestions.length > 0) {
-        const questionIds = existingQuestions.map(q => q.id);
-        
-        // Delete answers first (due to foreign key constraints)
-        await supabase
-          .from('quiz_question_answers')
-          .delete()
-          .in('question_id', questionIds);
-
-        // Delete short answer options
-        await supabase
-          .from('quiz_short_answer_options')
-          .delete()
-          .in('question_id', questionIds);
-
-        // Delete questions
-        await supabase
-          .from('quiz_questions')
-          .delete()
-          .eq('assignment_id', assignmentId);
+      const { error: questionsError } = await syncQuizQuestions(assignmentId, questions, { bankQuestions, userId });
+      if (questionsError) {
+        console.error('Error updating questions:', questionsError);
       }
+    }
 
-      // Create new questions
-      for (let questionIndex = 0; questionIndex < questions.length; questionIndex++) {
-        const question = questions[questionIndex];
-        
-        if (!question.questionText || !question.questionType) {
-          console.error(`Invalid question at index ${questionIndex}:`, question);
-          continue;
-        }
-
-        const { data: createdQuestion, error: questionError } = await supabase
-          .from('quiz_questions')
-          .insert({
-            assignment_id: assignmentId,
-            question_number: questionIndex + 1,
-            title: question.title || `Question ${questionIndex + 1}`,
-            question_text: question.questionText,
-            question_type: question.questionType,
-            points: question.points || 1,
-            image_url: question.imageUrl || null,
-            short_answer_match_type: question.questionType === 'short_answer' ? (question.matchType || 'exact') : null,
-            short_answer_case_sensitive: question.questionType === 'short_answer' ? (question.caseSensitive || false) : null
-          })
-          .select()
-          .single();
-
-        if (questionError) {
-          console.error('Error creating question:', questionError);
-          continue;
-        }
-
-        // Handle different question types
-        if (question.questionType === 'multiple_choice' || question.questionType === 'true_false') {
-          if (question.answers && question.answers.length > 0) {
-            const answersToInsert = question.answers.map((answer, index) => ({
-              question_id: createdQuestion.id,
-              answer_text: answer.text || '',
-              is_correct: answer.correct || false,
-              feedback: answer.feedback || '',
-              answer_order: index + 1
-            }));
-
-            await supabase
-              .from('quiz_question_answers')
-              .insert(answersToInsert);
-          }
-        } else if (question.questionType === 'short_answer') {
-          if (question.acceptableAnswers && question.acceptableAnswers.length > 0) {
-            const acceptableAnswersToInsert = question.acceptableAnswers
-              .filter(answer => answer && answer.trim())
-              .map((answer, index) => ({
-                question_id: createdQuestion.id,
-                answer_text: answer.trim(),
-                is_case_sensitive: question.caseSensitive || false,
-                is_exact_match: question.matchType !== 'contains',
-                answer_order: index + 1
-              }));
-
-            if (acceptableAnswersToInsert.length > 0) {
-              await supabase
-                .from('quiz_short_answer_options')
-                .insert(acceptableAnswersToInsert);
-            }
-          }
-        }
+    // Sections are updated in place too, so attempts keep their draws; an
+    // attempt in progress draws for sections added since it started
+    if (assignmentType === 'quiz' && replaceSections) {
+      const { error: sectionsError } = await syncQuizSections(assignmentId, sections);
+      if (sectionsError) {
+        console.error('Error updating quiz sections:', sectionsError);
+        return res.status(400).json(createErrorResponse('Failed to update quiz sections'));
       }
     }
 
     // Fetch complete updated assignment
     let completeAssignment = updatedAssignment;
     if (assignmentType === 'quiz') {
-      const { data: questionsData } = await supabase
-        .from('quiz_questions')
-        .select(`
-          *,
-          quiz_question_answers(*),
-          quiz_short_answer_options(*)
-        `)
-        .eq('assignment_id', assignmentId)
-        .order('question_number');
+      const { questions: questionsData } = await loadQuizQuestions(assignmentId);
+      const { sections: savedSections } = await loadQuizSections(assignmentId);
 
       completeAssignment = {
         ...updatedAssignment,
-        questions: questionsData || []
+        questions: questionsData || [],
+        sections: savedSections.map(sanitizeSection)
       };
     }
 
+    const answerKeyWarnings = findAnswerKeyWarnings(questions);
+
     res.status(200).json(createSuccessResponse({
       assignment: completeAssignment,
+      ...(answerKeyWarnings.length > 0 && { answerKeyWarnings }),
       message: `${assignmentType === 'quiz' ? 'Quiz' : 'Assignment'} updated successfully`
     }));
 
@@ -638,6 +701,7 @@ export const getAssignmentsByCourse = async (req, res) => {
         available_from,
         available_until,
         allowed_attempts,
+        scoring_policy,
         has_time_limit,
         time_limit_minutes,
         created_at,
@@ -666,18 +730,21 @@ export const getAssignmentsByCourse = async (req, res) => {
       
       const { data: submissions } = await supabase
         .from('assignment_submissions')
-        .select('assignment_id, status, submitted_at, score')
+        .select('assignment_id, status, submitted_at, score, attempt_number')
         .eq('student_id', currentUser.id)
         .in('assignment_id', assignmentIds);
 
-      // Add submission status to each assignment
+      // Add submission status to each assignment, scored by its scoring policy
       assignmentsWithStatus = assignments.map(assignment => {
-        const submission = submissions?.find(s => s.assignment_id === assignment.id);
+        const { submission, score } = applyScoringPolicy(
+          submissions?.filter(s => s.assignment_id === assignment.id),
+          assignment.scoring_policy
+        );
         return {
           ...assignment,
           submission_status: submission?.status || null,
           submitted_at: submission?.submitted_at || null,
-          score: submission?.score || null
+          score: score ?? null
         };
       });
     }
@@ -782,7 +849,7 @@ export const getAssignmentById = async (req, res) => {
       const isAvailable = (!availableFrom || now >= availableFrom) && 
                          (!availableUntil || now <= availableUntil);
 
-      if (isInstructor || isAdmin || isAvailable) {
+      if (isInstructor || isAdmin || (isAvailable && hasQuizAccess(req, assignment))) {
         const { data: quizQuestions } = await supabase
           .from('quiz_questions')
           .select(`
@@ -790,9 +857,10 @@ export const getAssignmentById = async (req, res) => {
             quiz_question_answers (*)
           `)
           .eq('assignment_id', assignmentId)
+          .is('archived_at', null)
           .order('question_number', { ascending: true });
 
-        questions = quizQuestions;
+        ({ questions } = await resolveBankQuestions(quizQuestions || []));
       }
     }
 
@@ -890,10 +958,23 @@ export const getUserSubmissions = async (req, res) => {
               'answer_order', qa.answer_order
             ) ORDER BY qa.answer_order
           ) as answers
-        FROM quiz_questions q
-        LEFT JOIN quiz_question_answers qa ON q.id = qa.question_id
-        WHERE q.assignment_id = $1
-        GROUP BY q.id
+        FROM (
+          -- Questions from a bank take their content from the bank question
+          SELECT
+            q.id,
+            q.question_number,
+            COALESCE(bq.title, q.title) AS title,
+            COALESCE(bq.question_text, q.question_text) AS question_text,
+            COALESCE(bq.question_type, q.question_type) AS question_type,
+            q.points,
+            COALESCE(bq.image_url, q.image_url) AS image_url,
+            COALESCE(q.bank_question_id, q.id) AS content_id
+          FROM quiz_questions q
+          LEFT JOIN quiz_questions bq ON bq.id = q.bank_question_id
+          WHERE q.assignment_id = $1 AND q.archived_at IS NULL
+        ) q
+        LEFT JOIN quiz_question_answers qa ON q.content_id = qa.question_id
+        GROUP BY q.id, q.question_number, q.title, q.question_text, q.question_type, q.points, q.image_url
         ORDER BY q.question_number
       `;
 
@@ -1070,11 +1151,17 @@ export const verifyQuizPassword = async (req, res) => {
       return res.status(403).json(createErrorResponse('Assignment not yet available'));
     }
 
-    // Verify password
-    const isPasswordCorrect = assignment.password === password;
+    // Verify password against the stored hash
+    const isPasswordCorrect = await verifyAccessCode(assignment, password);
 
     if (isPasswordCorrect) {
-      res.json(createSuccessResponse({ verified: true }, 'Password verified successfully'));
+      const { token, expiresAt } = issueQuizAccessToken(assignment, userId);
+
+      res.json(createSuccessResponse({
+        verified: true,
+        accessToken: token,
+        accessTokenExpiresAt: expiresAt
+      }, 'Password verified successfully'));
     } else {
       res.status(401).json(createErrorResponse('Incorrect password'));
     }
@@ -1086,16 +1173,20 @@ export const verifyQuizPassword = async (req, res) => {
 };
 
 
-//submit quiz answers
-
-// Enhanced quiz submission grading function
-export const submitQuizAnswers = async (req, res) => {
+// Start a quiz attempt. The draft submission records the server-side start
+// time that the time limit is enforced against; an unfinished attempt is
+// resumed instead of starting a new one.
+export const startQuizAttempt = async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json(createErrorResponse('Validation failed', errors.array()));
+    }
+
     const { assignmentId } = req.params;
-    const { answers } = req.body;
     const userId = req.user.id;
 
-    // Get assignment details
+    // Get assignment
     const { data: assignment, error: assignmentError } = await supabase
       .from('assignments')
       .select('*')
@@ -1106,319 +1197,807 @@ export const submitQuizAnswers = async (req, res) => {
       return res.status(404).json(createErrorResponse('Assignment not found'));
     }
 
-    // Get all questions with their answers and short answer options
-    const { data: questions, error: questionsError } = await supabase
-      .from('quiz_questions')
-      .select(`
-        *,
-        quiz_question_answers(*),
-        quiz_short_answer_options(*)
-      `)
-      .eq('assignment_id', assignmentId)
-      .order('question_number');
+    if (assignment.assignment_type !== 'quiz') {
+      return res.status(400).json(createErrorResponse('Only quizzes can be started'));
+    }
 
-    if (questionsError) {
-      return res.status(400).json(createErrorResponse('Failed to load questions'));
+    if (!await enforceIpFilter(req, assignment, 'start')) {
+      return res.status(403).json(createErrorResponse('This quiz cannot be taken from your current network location', null, 'IP_NOT_ALLOWED'));
     }
 
-    let autoGradedScore = 0;
-    let totalPossiblePoints = 0;
-    const detailedResults = {};
+    if (!hasQuizAccess(req, assignment)) {
+      return res.status(403).json(createErrorResponse('Access code required', null, 'ACCESS_CODE_REQUIRED'));
+    }
 
-    // Grade each question
-    for (const question of questions) {
-      totalPossiblePoints += question.points;
-      const userAnswer = answers[question.id];
-      
-      if (!userAnswer) {
-        detailedResults[question.id] = {
-          correct: false,
-          points: 0,
-          requiresManualGrading: false
-        };
-        continue;
-      }
+    // An attempt that ran out of time can't be resumed
+    await finalizeExpiredAttempts({ assignmentId, studentId: userId });
 
-      // Handle different question types
-      if (question.question_type === 'multiple_choice' || question.question_type === 'true_false') {
-        // Multiple choice grading
-        const selectedAnswer = question.quiz_question_answers.find(
-          answer => answer.id === userAnswer.answerId
-        );
-        
-        const isCorrect = selectedAnswer?.is_correct || false;
-        detailedResults[question.id] = {
-          correct: isCorrect,
-          points: isCorrect ? question.points : 0,
-          requiresManualGrading: false
-        };
-        
-        if (isCorrect) {
-          autoGradedScore += question.points;
-        }
-      } else if (question.question_type === 'short_answer') {
-        // Short answer grading - THIS IS THE FIX
-        const userText = userAnswer.textAnswer?.trim() || '';
-        const shortAnswerOptions = question.quiz_short_answer_options || [];
-        
-        let isCorrect = false;
-        
-        // Check each acceptable answer
-        for (const option of shortAnswerOptions) {
-          const optionText = option.answer_text?.trim() || '';
-          
-          if (option.is_exact_match) {
-            // Exact match comparison
-            if (option.is_case_sensitive) {
-              isCorrect = userText === optionText;
-            } else {
-              isCorrect = userText.toLowerCase() === optionText.toLowerCase();
-            }
-          } else {
-            // Contains match comparison
-            if (option.is_case_sensitive) {
-              isCorrect = userText.includes(optionText);
-            } else {
-              isCorrect = userText.toLowerCase().includes(optionText.toLowerCase());
-            }
-          }
-          
-          if (isCorrect) break; // Found a match, no need to check other options
-        }
-        
-        // FALLBACK: If no quiz_short_answer_options exist, check against the question text
-        // This handles the case where the question is "Answer michael" and we expect "michael"
-        if (!isCorrect && shortAnswerOptions.length === 0) {
-          // Extract expected answer from question text
-          const questionText = question.question_text.toLowerCase();
-          const userTextLower = userText.toLowerCase();
-          
-          // Simple pattern matching for questions like "Answer michael", "Type hello", etc.
-          const patterns = [
-            /answer\s+(.+)/i,
-            /type\s+(.+)/i,
-            /enter\s+(.+)/i,
-            /write\s+(.+)/i
-          ];
-          
-          for (const pattern of patterns) {
-            const match = question.question_text.match(pattern);
-            if (match && match[1]) {
-              const expectedAnswer = match[1].trim().toLowerCase();
-              // Use case-insensitive and flexible matching
-              if (question.short_answer_case_sensitive === false || question.short_answer_case_sensitive == null) {
-                isCorrect = userTextLower === expectedAnswer;
-              } else {
-                isCorrect = userText.trim() === match[1].trim();
-              }
-              break;
-            }
-          }
-        }
-        
-        detailedResults[question.id] = {
-          correct: isCorrect,
-          points: isCorrect ? question.points : 0,
-          requiresManualGrading: false
-        };
-        
-        if (isCorrect) {
-          autoGradedScore += question.points;
-        }
-      } else {
-        // Essay, file upload, or other question types require manual grading
-        detailedResults[question.id] = {
-          requiresManualGrading: true,
-          points: 0
-        };
-      }
+    const { draft, error: draftError } = await findDraftAttempt(assignmentId, userId);
+
+    if (draftError) {
+      console.error('Error fetching draft attempt:', draftError);
+      return res.status(400).json(createErrorResponse('Failed to start quiz'));
     }
 
-    // Create submission record
-    const { data: submission, error: submissionError } = await supabase
+    const eligibility = await checkSubmissionEligibility(assignment, userId, { draft });
+
+    if (eligibility.error) {
+      console.error('Error checking quiz eligibility:', eligibility.error);
+      return res.status(400).json(createErrorResponse('Failed to start quiz'));
+    }
+
+    if (!eligibility.eligible) {
+      return res.status(403).json(createErrorResponse(eligibility.message, null, eligibility.code));
+    }
+
+    if (draft) {
+      return res.json(createSuccessResponse({
+        attempt: sanitizeAttempt(assignment, draft),
+        resumed: true
+      }, 'Quiz attempt resumed'));
+    }
+
+    const { nextAttemptNumber } = eligibility.attemptHistory;
+
+    // The attempt ID seeds the section draws, shuffle and calculated question
+    // values, so it is generated up front and all are fixed for the whole attempt
+    const attemptId = randomUUID();
+    const { questions, draws, error: questionsError } = await loadQuizQuestions(assignmentId, { seed: attemptId });
+
+    if (questionsError) {
+      return res.status(400).json(createErrorResponse('Failed to load questions'));
+    }
+
+    const layout = isShuffledQuiz(assignment)
+      ? buildAttemptLayout(assignment, questions, attemptId)
+      : null;
+    const variables = resolveAttemptVariables(questions, { seed: attemptId });
+
+    const { data: attempt, error: attemptError } = await supabase
       .from('assignment_submissions')
       .insert({
+        id: attemptId,
         assignment_id: assignmentId,
         student_id: userId,
+        status: 'draft',
+        time_started: new Date().toISOString(),
         quiz_data: JSON.stringify({
-          answers,
-          detailedResults,
-          autoGradedScore,
-          totalPossiblePoints
+          answers: {},
+          versions: getQuestionVersions(questions),
+          ...(Object.keys(draws).length > 0 && { draws }),
+          ...(layout && { layout }),
+          ...(Object.keys(variables).length > 0 && { variables })
         }),
-        score: autoGradedScore,
-        status: Object.values(detailedResults).some(result => result.requiresManualGrading) 
-          ? 'submitted' 
-          : 'graded',
-        submitted_at: new Date().toISOString(),
-        attempt_number: 1 // You might want to implement attempt tracking
+        attempt_number: nextAttemptNumber
       })
       .select()
       .single();
 
-    if (submissionError) {
-      return res.status(400).json(createErrorResponse('Failed to submit quiz'));
+    if (attemptError) {
+      // Unique (assignment, student, attempt_number): another request got there first
+      if (attemptError.code === '23505') {
+        return res.status(409).json(createErrorResponse('This attempt has already been started'));
+      }
+      console.error('Error starting quiz attempt:', attemptError);
+      return res.status(400).json(createErrorResponse('Failed to start quiz'));
     }
 
-    res.json(createSuccessResponse({
-      submissionId: submission.id,
-      score: autoGradedScore,
-      totalPoints: totalPossiblePoints,
-      detailedResults,
-      requiresManualGrading: Object.values(detailedResults).some(result => result.requiresManualGrading)
-    }));
+    res.status(201).json(createSuccessResponse({
+      attempt: sanitizeAttempt(assignment, attempt),
+      resumed: false
+    }, 'Quiz attempt started'));
 
   } catch (error) {
-    console.error('Submit quiz error:', error);
-    res.status(500).json(createErrorResponse('Failed to submit quiz'));
+    console.error('Start quiz attempt error:', error);
+    res.status(500).json(createErrorResponse('Failed to start quiz'));
   }
 };
 
-// Alternative grading function specifically for short answers
-const gradeShortAnswer = (question, userAnswer) => {
-  const userText = userAnswer?.textAnswer?.trim() || '';
-  
-  // First check quiz_short_answer_options table
-  if (question.quiz_short_answer_options && question.quiz_short_answer_options.length > 0) {
-    for (const option of question.quiz_short_answer_options) {
-      const optionText = option.answer_text?.trim() || '';
-      let isMatch = false;
-      
-      if (option.is_exact_match) {
-        isMatch = option.is_case_sensitive 
-          ? userText === optionText
-          : userText.toLowerCase() === optionText.toLowerCase();
-      } else {
-        isMatch = option.is_case_sensitive
-          ? userText.includes(optionText)
-          : userText.toLowerCase().includes(optionText.toLowerCase());
-      }
-      
-      if (isMatch) {
-        return {
-          correct: true,
-          points: question.points,
-          requiresManualGrading: false
-        };
-      }
-    }
-    
-    return {
-      correct: false,
-      points: 0,
-      requiresManualGrading: false
-    };
-  }
-  
-  // Fallback: Parse expected answer from question text
-  const questionText = question.question_text;
-  const patterns = [
-    { pattern: /answer\s+"?([^"]+)"?/i, group: 1 },
-    { pattern: /type\s+"?([^"]+)"?/i, group: 1 },
-    { pattern: /enter\s+"?([^"]+)"?/i, group: 1 },
-    { pattern: /write\s+"?([^"]+)"?/i, group: 1 }
-  ];
-  
-  for (const { pattern, group } of patterns) {
-    const match = questionText.match(pattern);
-    if (match && match[group]) {
-      const expectedAnswer = match[group].trim();
-      const caseSensitive = question.short_answer_case_sensitive || false;
-      
-      let isCorrect;
-      if (caseSensitive) {
-        isCorrect = userText === expectedAnswer;
-      } else {
-        isCorrect = userText.toLowerCase() === expectedAnswer.toLowerCase();
-      }
-      
-      return {
-        correct: isCorrect,
-        points: isCorrect ? question.points : 0,
-        requiresManualGrading: false
-      };
-    }
-  }
-  
-  // If no pattern matches, require manual grading
+// Clients send an Idempotency-Key header so a retried submission is answered
+// with the original result instead of creating another attempt
+const getIdempotencyKey = (req) => req.get('Idempotency-Key') || null;
+
+// Submission response rebuilt from what was stored with a finished attempt
+const buildSubmissionResult = (submission) => {
+  const quizData = parseQuizData(submission.quiz_data);
+
   return {
-    requiresManualGrading: true,
-    points: 0
+    submissionId: submission.id,
+    score: quizData.autoGradedScore ?? submission.score,
+    totalPoints: quizData.totalPossiblePoints,
+    detailedResults: quizData.detailedResults || {},
+    requiresManualGrading: submission.status === 'submitted'
   };
 };
 
-// Helper function to normalize text for comparison
-const normalizeText = (text, options = {}) => {
-  let normalized = text.trim();
-  
-  if (options.removeSpaces) {
-    normalized = normalized.replace(/\s+/g, '');
+// The finished submission an idempotency key was already used for, if any
+const findReplayedSubmission = async (assignmentId, userId, idempotencyKey) => {
+  if (!idempotencyKey) return null;
+
+  const { submission, error } = await findSubmissionByIdempotencyKey(assignmentId, userId, idempotencyKey);
+
+  if (error) {
+    console.error('Error looking up idempotency key:', error);
+  }
+
+  return submission;
+};
+
+// Load the student's in-progress attempt for the paged attempt API, applying
+// the same network and access code checks as starting the quiz. Resolves to
+// { assignment, draft, expired } or { status, body } describing the refusal.
+// Unless allowExpired is set, an attempt past its deadline is closed instead.
+const loadActiveAttempt = async (req, action, { allowExpired = false } = {}) => {
+  const { assignmentId } = req.params;
+  const userId = req.user.id;
+
+  const { data: assignment, error: assignmentError } = await supabase
+    .from('assignments')
+    .select('*')
+    .eq('id', assignmentId)
+    .single();
+
+  if (assignmentError || !assignment) {
+    return { status: 404, body: createErrorResponse('Assignment not found') };
+  }
+
+  if (!await enforceIpFilter(req, assignment, action)) {
+    return { status: 403, body: createErrorResponse('This quiz cannot be taken from your current network location', null, 'IP_NOT_ALLOWED') };
+  }
+
+  if (!hasQuizAccess(req, assignment)) {
+    return { status: 403, body: createErrorResponse('Access code required', null, 'ACCESS_CODE_REQUIRED') };
+  }
+
+  const { draft, error: draftError } = await findDraftAttempt(assignmentId, userId);
+
+  if (draftError) {
+    console.error('Error fetching draft attempt:', draftError);
+    return { status: 400, body: createErrorResponse('Failed to load quiz attempt') };
   }
-  
-  if (options.removePunctuation) {
-    normalized = normalized.replace(/[^\w\s]/gi, '');
+
+  if (!draft) {
+    return { status: 409, body: createErrorResponse('Start the quiz before answering questions', null, 'ATTEMPT_NOT_STARTED') };
   }
-  
-  if (!options.caseSensitive) {
-    normalized = normalized.toLowerCase();
+
+  const expired = isAttemptExpired(assignment, draft, new Date(), SUBMISSION_GRACE_SECONDS);
+
+  if (expired && !allowExpired) {
+    await finalizeAttempt(assignment, draft, {
+      autoSubmitted: true,
+      completedAt: getAttemptDeadline(assignment, draft)
+    });
+
+    return { status: 403, body: createErrorResponse('Time limit exceeded. Your attempt was submitted automatically when time ran out.', null, 'TIME_LIMIT_EXCEEDED') };
   }
-  
-  return normalized;
+
+  return { assignment, draft, expired };
 };
 
+// Save progress on a draft attempt. Only a draft can be updated, so a
+// finished attempt isn't reopened by a late request.
+const saveAttemptQuizData = async (draft, quizData) => {
+  const { data, error } = await supabase
+    .from('assignment_submissions')
+    .update({ quiz_data: JSON.stringify(quizData) })
+    .eq('id', draft.id)
+    .eq('status', 'draft')
+    .select()
+    .single();
+
+  return { submission: data, error };
+};
 
-// Get quiz results for student
-export const getQuizResults = async (req, res) => {
+// Serve one question of an in-progress attempt. With cant_go_back, questions
+// behind the furthest one served are refused.
+export const getAttemptQuestion = async (req, res) => {
   try {
-    const { submissionId } = req.params;
-    const userId = req.user.id;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json(createErrorResponse('Validation failed', errors.array()));
+    }
 
-    // Get submission with assignment details
-    const { data: submission, error: submissionError } = await supabase
-      .from('assignment_submissions')
-      .select(`
-        *,
-        assignments!inner(
-          id,
-          title,
-          show_correct_answers,
-          course_id,
-          courses!inner(instructor_id)
-        )
-      `)
-      .eq('id', submissionId)
-      .single();
+    const attempt = await loadActiveAttempt(req, 'view');
+    if (attempt.status) {
+      return res.status(attempt.status).json(attempt.body);
+    }
 
-    if (submissionError || !submission) {
-      return res.status(404).json(createErrorResponse('Submission not found'));
+    const { assignment, draft } = attempt;
+    const position = parseInt(req.params.position, 10);
+
+    const { questions, error: questionsError } = await loadQuizQuestions(assignment.id, { attempt: draft, seed: draft.id });
+
+    if (questionsError) {
+      return res.status(400).json(createErrorResponse('Failed to load questions'));
     }
 
-    // Check if user owns this submission or is instructor/admin
-    const isOwner = submission.student_id === userId;
-    const isInstructor = submission.assignments.courses.instructor_id === userId;
-    const isAdmin = req.user.role === 'admin';
+    const quizData = parseQuizData(draft.quiz_data);
+    const sequence = getQuestionSequence(questions, quizData);
+    const question = sequence[position - 1];
 
-    if (!isOwner && !isInstructor && !isAdmin) {
-      return res.status(403).json(createErrorResponse('Not authorized to view this submission'));
+    if (!question) {
+      return res.status(404).json(createErrorResponse('Question not found'));
     }
 
-    // Get questions and answers if allowed to show correct answers
-    let questionsWithAnswers = null;
-    
-    if (submission.assignments.show_correct_answers && isOwner) {
-      const { data: questions } = await supabase
-        .from('quiz_questions')
-        .select(`
-          id,
+    if (isPositionLocked(assignment, quizData, position)) {
+      return res.status(403).json(createErrorResponse('You cannot go back to earlier questions in this quiz', null, 'QUESTION_LOCKED'));
+    }
+
+    let submission = draft;
+    if (position > getCurrentPosition(quizData)) {
+      const result = await saveAttemptQuizData(draft, recordPositionServed(quizData, position));
+
+      if (result.error || !result.submission) {
+        console.error('Error recording quiz progress:', result.error);
+        return res.status(409).json(createErrorResponse('This attempt is no longer in progress'));
+      }
+
+      submission = result.submission;
+    }
+
+    res.json(createSuccessResponse({
+      attempt: sanitizeAttempt(assignment, submission),
+      question: sanitizeAttemptQuestion(question, position),
+      answer: quizData.answers?.[question.id] || null,
+      position,
+      totalQuestions: sequence.length,
+      canGoBack: !assignment.cant_go_back,
+      isLastQuestion: position === sequence.length
+    }));
+
+  } catch (error) {
+    console.error('Get attempt question error:', error);
+    res.status(500).json(createErrorResponse('Failed to load question'));
+  }
+};
+
+// Record the answer to one question of an in-progress attempt as it is given
+export const saveAttemptAnswer = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json(createErrorResponse('Validation failed', errors.array()));
+    }
+
+    const attempt = await loadActiveAttempt(req, 'answer');
+    if (attempt.status) {
+      return res.status(attempt.status).json(attempt.body);
+    }
+
+    const { assignment, draft } = attempt;
+    const position = parseInt(req.params.position, 10);
+    const { answer } = req.body;
+
+    const { questions, error: questionsError } = await loadQuizQuestions(assignment.id, { attempt: draft, seed: draft.id });
+
+    if (questionsError) {
+      return res.status(400).json(createErrorResponse('Failed to load questions'));
+    }
+
+    const quizData = parseQuizData(draft.quiz_data);
+    const question = getQuestionSequence(questions, quizData)[position - 1];
+
+    if (!question) {
+      return res.status(404).json(createErrorResponse('Question not found'));
+    }
+
+    if (isPositionLocked(assignment, quizData, position)) {
+      return res.status(403).json(createErrorResponse('You cannot change answers to earlier questions in this quiz', null, 'QUESTION_LOCKED'));
+    }
+
+    const answeredAt = new Date();
+    const { submission, error: saveError } = await saveAttemptQuizData(
+      draft,
+      recordPositionServed(recordAnswer(quizData, question.id, answer, answeredAt), position)
+    );
+
+    if (saveError || !submission) {
+      console.error('Error saving quiz answer:', saveError);
+      return res.status(409).json(createErrorResponse('This attempt is no longer in progress'));
+    }
+
+    res.json(createSuccessResponse({
+      attempt: sanitizeAttempt(assignment, submission),
+      questionId: question.id,
+      position,
+      savedAt: answeredAt.toISOString()
+    }, 'Answer saved'));
+
+  } catch (error) {
+    console.error('Save attempt answer error:', error);
+    res.status(500).json(createErrorResponse('Failed to save answer'));
+  }
+};
+
+// Autosave partial answers into the in-progress attempt. Answers to questions
+// locked by cant_go_back are left as they were and reported as skipped.
+export const autosaveAttemptAnswers = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json(createErrorResponse('Validation failed', errors.array()));
+    }
+
+    const attempt = await loadActiveAttempt(req, 'autosave');
+    if (attempt.status) {
+      return res.status(attempt.status).json(attempt.body);
+    }
+
+    const { assignment, draft } = attempt;
+    const { answers } = req.body;
+
+    const { questions, error: questionsError } = await loadQuizQuestions(assignment.id, { attempt: draft, seed: draft.id });
+
+    if (questionsError) {
+      return res.status(400).json(createErrorResponse('Failed to load questions'));
+    }
+
+    const savedAt = new Date();
+    let quizData = parseQuizData(draft.quiz_data);
+    const saved = [];
+    const skipped = [];
+
+    getQuestionSequence(questions, quizData).forEach((question, index) => {
+      if (answers[question.id] === undefined) return;
+
+      if (isPositionLocked(assignment, quizData, index + 1)) {
+        skipped.push(question.id);
+        return;
+      }
+
+      quizData = recordAnswer(quizData, question.id, answers[question.id], savedAt);
+      saved.push(question.id);
+    });
+
+    quizData = {
+      ...quizData,
+      progress: { ...quizData.progress, lastSavedAt: savedAt.toISOString() }
+    };
+
+    const { submission, error: saveError } = await saveAttemptQuizData(draft, quizData);
+
+    if (saveError || !submission) {
+      console.error('Error autosaving quiz answers:', saveError);
+      return res.status(409).json(createErrorResponse('This attempt is no longer in progress'));
+    }
+
+    res.json(createSuccessResponse({
+      attempt: sanitizeAttempt(assignment, submission),
+      saved,
+      skipped,
+      savedAt: savedAt.toISOString()
+    }, 'Answers saved'));
+
+  } catch (error) {
+    console.error('Autosave quiz answers error:', error);
+    res.status(500).json(createErrorResponse('Failed to save answers'));
+  }
+};
+
+// Resume the in-progress attempt: saved answers, where a paged attempt got to
+// and the time remaining
+export const resumeQuizAttempt = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json(createErrorResponse('Validation failed', errors.array()));
+    }
+
+    const attempt = await loadActiveAttempt(req, 'resume');
+    if (attempt.status) {
+      return res.status(attempt.status).json(attempt.body);
+    }
+
+    const { assignment, draft } = attempt;
+    const quizData = parseQuizData(draft.quiz_data);
+
+    res.json(createSuccessResponse({
+      attempt: sanitizeAttempt(assignment, draft),
+      answers: quizData.answers || {},
+      lastSavedAt: quizData.progress?.lastSavedAt || null,
+      pagedDelivery: isPagedQuiz(assignment),
+      currentPosition: isPagedQuiz(assignment) ? Math.max(1, getCurrentPosition(quizData)) : null,
+      canGoBack: !assignment.cant_go_back
+    }, 'Quiz attempt resumed'));
+
+  } catch (error) {
+    console.error('Resume quiz attempt error:', error);
+    res.status(500).json(createErrorResponse('Failed to resume quiz'));
+  }
+};
+
+// Sync answers captured while offline. Each answer carries the client time
+// it was given, which must fall between the server-side attempt start and
+// the attempt deadline; the latest answer to a question wins. With `submit`
+// (or once the deadline has passed) the attempt is finalised afterwards.
+export const syncOfflineAnswers = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json(createErrorResponse('Validation failed', errors.array()));
+    }
+
+    const { assignmentId } = req.params;
+    const { answers, submit = false } = req.body;
+    const userId = req.user.id;
+
+    const idempotencyKey = getIdempotencyKey(req);
+    const previousSubmission = await findReplayedSubmission(assignmentId, userId, idempotencyKey);
+
+    if (previousSubmission) {
+      return res.json(createSuccessResponse({
+        submitted: true,
+        result: buildSubmissionResult(previousSubmission),
+        replayed: true
+      }));
+    }
+
+    const attempt = await loadActiveAttempt(req, 'sync', { allowExpired: true });
+    if (attempt.status) {
+      return res.status(attempt.status).json(attempt.body);
+    }
+
+    const { assignment, draft, expired } = attempt;
+
+    const { questions, error: questionsError } = await loadQuizQuestions(assignmentId, { attempt: draft, seed: draft.id });
+
+    if (questionsError) {
+      return res.status(400).json(createErrorResponse('Failed to load questions'));
+    }
+
+    const now = new Date();
+    const skewMs = CLIENT_CLOCK_SKEW_SECONDS * 1000;
+    const startedAt = new Date(draft.time_started).getTime();
+    const deadline = getAttemptDeadline(assignment, draft);
+
+    let quizData = parseQuizData(draft.quiz_data);
+    const positions = new Map(getQuestionSequence(questions, quizData).map((question, index) => [question.id, index + 1]));
+    const accepted = [];
+    const rejected = [];
+
+    const entries = [...answers].sort((a, b) => new Date(a.answeredAt) - new Date(b.answeredAt));
+
+    for (const entry of entries) {
+      const answeredAt = new Date(entry.answeredAt);
+      const position = positions.get(entry.questionId);
+      const storedAt = quizData.progress?.answeredAt?.[entry.questionId];
+
+      let reason = null;
+      if (!position) {
+        reason = 'UNKNOWN_QUESTION';
+      } else if (answeredAt.getTime() < startedAt - skewMs) {
+        reason = 'BEFORE_ATTEMPT_START';
+      } else if (answeredAt.getTime() > now.getTime() + skewMs) {
+        reason = 'IN_THE_FUTURE';
+      } else if (deadline && answeredAt.getTime() > deadline.getTime() + SUBMISSION_GRACE_SECONDS * 1000) {
+        reason = 'AFTER_DEADLINE';
+      } else if (isPositionLocked(assignment, quizData, position)) {
+        reason = 'QUESTION_LOCKED';
+      } else if (storedAt && new Date(storedAt) > answeredAt) {
+        reason = 'SUPERSEDED';
+      }
+
+      if (reason) {
+        rejected.push({ questionId: entry.questionId, answeredAt: entry.answeredAt, reason });
+        continue;
+      }
+
+      // A clock running slightly ahead is pulled back to the server time
+      const recordedAt = answeredAt > now ? now : answeredAt;
+      quizData = recordPositionServed(recordAnswer(quizData, entry.questionId, entry.answer, recordedAt), position);
+      accepted.push(entry.questionId);
+    }
+
+    quizData = {
+      ...quizData,
+      progress: { ...quizData.progress, lastSavedAt: now.toISOString() }
+    };
+
+    const { submission: savedDraft, error: saveError } = await saveAttemptQuizData(draft, quizData);
+
+    if (saveError || !savedDraft) {
+      console.error('Error syncing offline answers:', saveError);
+      return res.status(409).json(createErrorResponse('This attempt is no longer in progress'));
+    }
+
+    if (!submit && !expired) {
+      return res.json(createSuccessResponse({
+        attempt: sanitizeAttempt(assignment, savedDraft),
+        accepted,
+        rejected,
+        submitted: false
+      }, 'Answers synced'));
+    }
+
+    const result = await finalizeAttempt(assignment, savedDraft, {
+      autoSubmitted: expired,
+      completedAt: expired ? deadline : now,
+      idempotencyKey
+    });
+
+    if (result.error) {
+      const replayed = await findReplayedSubmission(assignmentId, userId, idempotencyKey);
+      if (replayed) {
+        return res.json(createSuccessResponse({
+          submitted: true,
+          result: buildSubmissionResult(replayed),
+          replayed: true
+        }));
+      }
+
+      console.error('Error finalizing synced attempt:', result.error);
+      return res.status(400).json(createErrorResponse('Failed to submit quiz'));
+    }
+
+    res.json(createSuccessResponse({
+      accepted,
+      rejected,
+      submitted: true,
+      autoSubmitted: expired,
+      result: buildSubmissionResult(result.submission)
+    }, expired ? 'Answers synced. Your attempt was submitted automatically when time ran out.' : 'Answers synced and quiz submitted'));
+
+  } catch (error) {
+    console.error('Sync offline answers error:', error);
+    res.status(500).json(createErrorResponse('Failed to sync answers'));
+  }
+};
+
+//submit quiz answers
+
+// Enhanced quiz submission grading function
+export const submitQuizAnswers = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json(createErrorResponse('Validation failed', errors.array()));
+    }
+
+    const { assignmentId } = req.params;
+    const { answers } = req.body;
+    const userId = req.user.id;
+
+    // Get assignment details
+    const { data: assignment, error: assignmentError } = await supabase
+      .from('assignments')
+      .select('*')
+      .eq('id', assignmentId)
+      .single();
+
+    if (assignmentError || !assignment) {
+      return res.status(404).json(createErrorResponse('Assignment not found'));
+    }
+
+    if (!await enforceIpFilter(req, assignment, 'submit')) {
+      return res.status(403).json(createErrorResponse('This quiz cannot be taken from your current network location', null, 'IP_NOT_ALLOWED'));
+    }
+
+    if (!hasQuizAccess(req, assignment)) {
+      return res.status(403).json(createErrorResponse('Access code required', null, 'ACCESS_CODE_REQUIRED'));
+    }
+
+    // A retry of a submission that already went through gets the original result
+    const idempotencyKey = getIdempotencyKey(req);
+    const previousSubmission = await findReplayedSubmission(assignmentId, userId, idempotencyKey);
+
+    if (previousSubmission) {
+      return res.json(createSuccessResponse({ ...buildSubmissionResult(previousSubmission), replayed: true }));
+    }
+
+    const now = new Date();
+
+    // Pick up the attempt started through /start, if any
+    const { draft, error: draftError } = await findDraftAttempt(assignmentId, userId);
+
+    if (draftError) {
+      return res.status(400).json(createErrorResponse('Failed to load quiz attempt'));
+    }
+
+    if (!draft && assignment.has_time_limit) {
+      return res.status(409).json(createErrorResponse('Timed quizzes must be started before they can be submitted', null, 'ATTEMPT_NOT_STARTED'));
+    }
+
+    if (!draft && isPagedQuiz(assignment)) {
+      return res.status(409).json(createErrorResponse('This quiz is answered one question at a time and must be started first', null, 'ATTEMPT_NOT_STARTED'));
+    }
+
+    if (!draft && isShuffledQuiz(assignment)) {
+      return res.status(409).json(createErrorResponse('Shuffled quizzes must be started before they can be submitted', null, 'ATTEMPT_NOT_STARTED'));
+    }
+
+    // Past the deadline: close the attempt with what was saved before time ran out
+    if (draft && isAttemptExpired(assignment, draft, now, SUBMISSION_GRACE_SECONDS)) {
+      const deadline = getAttemptDeadline(assignment, draft);
+
+      await finalizeAttempt(assignment, draft, {
+        autoSubmitted: true,
+        completedAt: deadline
+      });
+
+      const closedAtDeadline = getQuizClosingTime(assignment)?.getTime() === deadline.getTime();
+      return res.status(403).json(closedAtDeadline
+        ? createErrorResponse('Quiz is no longer available. Your attempt was submitted automatically when it closed.', null, ELIGIBILITY_CODES.CLOSED)
+        : createErrorResponse('Time limit exceeded. Your attempt was submitted automatically when time ran out.', null, 'TIME_LIMIT_EXCEEDED'));
+    }
+
+    const eligibility = await checkSubmissionEligibility(assignment, userId, { draft, now });
+
+    if (eligibility.error) {
+      console.error('Error checking quiz eligibility:', eligibility.error);
+      return res.status(400).json(createErrorResponse('Failed to submit quiz'));
+    }
+
+    if (!eligibility.eligible) {
+      return res.status(403).json(createErrorResponse(eligibility.message, null, eligibility.code));
+    }
+
+    let submission;
+    let grading;
+
+    if (draft) {
+      // Answers saved during the attempt (autosave or question by question)
+      // are kept unless the submission replaces them
+      let questions = [];
+      if (assignment.cant_go_back) {
+        const result = await loadQuizQuestions(assignmentId, { attempt: draft, seed: draft.id });
+
+        if (result.error) {
+          return res.status(400).json(createErrorResponse('Failed to load questions'));
+        }
+
+        questions = result.questions;
+      }
+
+      const finalAnswers = mergeSubmittedAnswers(assignment, questions, parseQuizData(draft.quiz_data), answers);
+
+      const result = await finalizeAttempt(assignment, draft, {
+        answers: finalAnswers,
+        completedAt: now,
+        idempotencyKey
+      });
+
+      if (result.error) {
+        // A concurrent retry with the same key may have finalised it first
+        const replayed = await findReplayedSubmission(assignmentId, userId, idempotencyKey);
+        if (replayed) {
+          return res.json(createSuccessResponse({ ...buildSubmissionResult(replayed), replayed: true }));
+        }
+
+        console.error('Error finalizing quiz attempt:', result.error);
+        return res.status(400).json(createErrorResponse('Failed to submit quiz'));
+      }
+
+      ({ submission, grading } = result);
+    } else {
+      const { nextAttemptNumber } = eligibility.attemptHistory;
+
+      // Section draws and calculated question values were shown from the seed
+      // of the attempt about to be made (see getQuizDetails)
+      const seed = getShuffleSeed({ assignmentId, studentId: userId, attemptNumber: nextAttemptNumber });
+      const { questions, draws, error: questionsError } = await loadQuizQuestions(assignmentId, { seed });
+
+      if (questionsError) {
+        return res.status(400).json(createErrorResponse('Failed to load questions'));
+      }
+
+      const variables = resolveAttemptVariables(questions, { seed });
+
+      grading = gradeQuizAnswers(questions, answers, { variables });
+
+      // Create submission record
+      const { data: createdSubmission, error: submissionError } = await supabase
+        .from('assignment_submissions')
+        .insert({
+          assignment_id: assignmentId,
+          student_id: userId,
+          quiz_data: JSON.stringify({
+            answers,
+            versions: getQuestionVersions(questions),
+            ...(Object.keys(draws).length > 0 && { draws }),
+            ...(Object.keys(variables).length > 0 && { variables }),
+            detailedResults: grading.detailedResults,
+            autoGradedScore: grading.autoGradedScore,
+            totalPossiblePoints: grading.totalPossiblePoints
+          }),
+          score: grading.autoGradedScore,
+          status: grading.requiresManualGrading ? 'submitted' : 'graded',
+          submitted_at: now.toISOString(),
+          attempt_number: nextAttemptNumber,
+          idempotency_key: idempotencyKey
+        })
+        .select()
+        .single();
+
+      if (submissionError) {
+        if (submissionError.code === '23505') {
+          const replayed = await findReplayedSubmission(assignmentId, userId, idempotencyKey);
+          if (replayed) {
+            return res.json(createSuccessResponse({ ...buildSubmissionResult(replayed), replayed: true }));
+          }
+          return res.status(409).json(createErrorResponse('This attempt has already been submitted'));
+        }
+        return res.status(400).json(createErrorResponse('Failed to submit quiz'));
+      }
+
+      submission = createdSubmission;
+    }
+
+    res.json(createSuccessResponse({
+      submissionId: submission.id,
+      score: grading.autoGradedScore,
+      totalPoints: grading.totalPossiblePoints,
+      detailedResults: grading.detailedResults,
+      requiresManualGrading: grading.requiresManualGrading
+    }));
+
+  } catch (error) {
+    console.error('Submit quiz error:', error);
+    res.status(500).json(createErrorResponse('Failed to submit quiz'));
+  }
+};
+
+// Get quiz results for student
+export const getQuizResults = async (req, res) => {
+  try {
+    const { submissionId } = req.params;
+    const userId = req.user.id;
+
+    // Get submission with assignment details
+    const { data: submission, error: submissionError } = await supabase
+      .from('assignment_submissions')
+      .select(`
+        *,
+        assignments!inner(
+          id,
+          title,
+          show_correct_answers,
+          course_id,
+          courses!inner(instructor_id)
+        )
+      `)
+      .eq('id', submissionId)
+      .single();
+
+    if (submissionError || !submission) {
+      return res.status(404).json(createErrorResponse('Submission not found'));
+    }
+
+    // Check if user owns this submission or is instructor/admin
+    const isOwner = submission.student_id === userId;
+    const isInstructor = submission.assignments.courses.instructor_id === userId;
+    const isAdmin = req.user.role === 'admin';
+
+    if (!isOwner && !isInstructor && !isAdmin) {
+      return res.status(403).json(createErrorResponse('Not authorized to view this submission'));
+    }
+
+    // Get questions and answers if allowed to show correct answers
+    let questionsWithAnswers = null;
+    
+    if (submission.assignments.show_correct_answers && isOwner) {
+      const { data: questions } = await supabase
+        .from('quiz_questions')
+        .select(`
+          id,
           title,
           question_text,
           points,
+          bank_question_id,
+          version,
+          archived_at,
           quiz_question_answers(*)
         `)
         .eq('assignment_id', submission.assignment_id)
         .order('question_number');
 
-      questionsWithAnswers = questions;
+      const { questions: quizQuestions } = await resolveBankQuestions(questions || []);
+
+      // Plus the questions this attempt drew from the quiz's sections, all at
+      // the versions it was shown
+      const { questions: attemptQuestions } = await appendSectionQuestions(submission.assignment_id, quizQuestions, {
+        attempt: submission
+      });
+      ({ questions: questionsWithAnswers } = await applyQuestionVersions(attemptQuestions, submission));
     }
 
     res.json(createSuccessResponse({
@@ -1444,6 +2023,208 @@ export const getQuizResults = async (req, res) => {
 };
 
 
+// Regrade every submitted attempt at a quiz against its current answer keys,
+// e.g. after a teacher fixes a wrong one. Responds with the students whose
+// marks changed.
+export const regradeAssignment = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json(createErrorResponse('Validation failed', errors.array()));
+    }
+
+    const { assignmentId } = req.params;
+    const { questionIds, overrideManualGrades = false } = req.body;
+    const userId = req.user.id;
+
+    const { data: assignment, error: assignmentError } = await supabase
+      .from('assignments')
+      .select(`
+        *,
+        courses!inner(id, instructor_id)
+      `)
+      .eq('id', assignmentId)
+      .single();
+
+    if (assignmentError || !assignment) {
+      return res.status(404).json(createErrorResponse('Assignment not found'));
+    }
+
+    const { data: teachingAssignment } = await supabase
+      .from('teaching_assignments')
+      .select('id')
+      .eq('course_id', assignment.course_id)
+      .eq('teacher_id', userId)
+      .single();
+
+    if (assignment.courses.instructor_id !== userId && !teachingAssignment && req.user.role !== 'admin') {
+      return res.status(403).json(createErrorResponse('Not authorized to regrade this assignment'));
+    }
+
+    if (assignment.assignment_type !== 'quiz') {
+      return res.status(400).json(createErrorResponse('Only quizzes can be regraded'));
+    }
+
+    // Drafts are graded when they are submitted
+    const { data: submissions, error: submissionsError } = await supabase
+      .from('assignment_submissions')
+      .select(`
+        *,
+        students:student_id!inner (
+          id,
+          first_name,
+          last_name,
+          email
+        )
+      `)
+      .eq('assignment_id', assignmentId)
+      .in('status', ['submitted', 'graded']);
+
+    if (submissionsError) {
+      console.error('Regrade submissions fetch error:', submissionsError);
+      return res.status(500).json(createErrorResponse('Failed to fetch submissions'));
+    }
+
+    const regradedSubmissions = [];
+    const changedAttempts = [];
+    const failedSubmissionIds = [];
+
+    for (const submission of submissions || []) {
+      const result = await regradeSubmission(submission, {
+        questionIds: questionIds || null,
+        overrideManualGrades: overrideManualGrades === true,
+        changedBy: userId
+      });
+
+      if (result.error) {
+        console.error(`Error regrading submission ${submission.id}:`, result.error);
+        failedSubmissionIds.push(submission.id);
+        regradedSubmissions.push(submission);
+        continue;
+      }
+
+      regradedSubmissions.push({ ...submission, score: result.newScore });
+      if (result.changed) {
+        changedAttempts.push({ submission, ...result });
+      }
+    }
+
+    // A student's mark is the attempt their scoring policy counts
+    const policy = assignment.scoring_policy || DEFAULT_SCORING_POLICY;
+    const students = [...new Set(changedAttempts.map(({ submission }) => submission.student_id))].map(studentId => {
+      const student = changedAttempts.find(({ submission }) => submission.student_id === studentId).submission.students;
+      const before = applyScoringPolicy((submissions || []).filter(sub => sub.student_id === studentId), policy);
+      const after = applyScoringPolicy(regradedSubmissions.filter(sub => sub.student_id === studentId), policy);
+
+      return {
+        studentId,
+        name: `${student.first_name || ''} ${student.last_name || ''}`.trim() || student.email,
+        email: student.email,
+        previousMark: before.score,
+        newMark: after.score,
+        attempts: changedAttempts
+          .filter(({ submission }) => submission.student_id === studentId)
+          .map(({ submission, previousScore, newScore, questions }) => ({
+            submissionId: submission.id,
+            attemptNumber: submission.attempt_number,
+            previousScore,
+            newScore,
+            questions
+          }))
+      };
+    });
+
+    res.json(createSuccessResponse({
+      regraded: (submissions || []).length - failedSubmissionIds.length,
+      changed: changedAttempts.length,
+      students,
+      ...(failedSubmissionIds.length > 0 && { failedSubmissionIds })
+    }, `Regraded ${(submissions || []).length - failedSubmissionIds.length} submission(s)`));
+
+  } catch (error) {
+    console.error('Regrade assignment error:', error);
+    res.status(500).json(createErrorResponse('Failed to regrade assignment'));
+  }
+};
+
+// Grade sample answers to a quiz, published or not, so a teacher can see how
+// it grades. Nothing is saved, so previews never show up as submissions or in
+// statistics. The seed picks the section draws and calculated values; send
+// back the one returned to preview the same draw again.
+export const previewQuizGrading = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json(createErrorResponse('Validation failed', errors.array()));
+    }
+
+    const { assignmentId } = req.params;
+    const { answers = {}, seed: requestedSeed } = req.body;
+    const userId = req.user.id;
+
+    const { data: assignment, error: assignmentError } = await supabase
+      .from('assignments')
+      .select(`
+        *,
+        courses!inner(id, instructor_id)
+      `)
+      .eq('id', assignmentId)
+      .single();
+
+    if (assignmentError || !assignment) {
+      return res.status(404).json(createErrorResponse('Assignment not found'));
+    }
+
+    const { data: teachingAssignment } = await supabase
+      .from('teaching_assignments')
+      .select('id')
+      .eq('course_id', assignment.course_id)
+      .eq('teacher_id', userId)
+      .single();
+
+    if (assignment.courses.instructor_id !== userId && !teachingAssignment && req.user.role !== 'admin') {
+      return res.status(403).json(createErrorResponse('Not authorized to preview this assignment'));
+    }
+
+    if (assignment.assignment_type !== 'quiz') {
+      return res.status(400).json(createErrorResponse('Only quizzes can be previewed'));
+    }
+
+    const seed = requestedSeed || `preview:${randomUUID()}`;
+    const { questions, draws, error: questionsError } = await loadQuizQuestions(assignmentId, { seed });
+
+    if (questionsError) {
+      return res.status(400).json(createErrorResponse('Failed to load questions'));
+    }
+
+    const variables = resolveAttemptVariables(questions, { seed });
+    const grading = gradeQuizAnswers(questions, answers, { variables });
+
+    res.json(createSuccessResponse({
+      preview: {
+        seed,
+        score: grading.autoGradedScore,
+        totalPossiblePoints: grading.totalPossiblePoints,
+        requiresManualGrading: grading.requiresManualGrading,
+        detailedResults: grading.detailedResults,
+        questions: questions.map(question => ({
+          id: question.id,
+          questionNumber: question.question_number,
+          questionType: question.question_type,
+          points: question.points,
+          ...(question.section_id && { sectionId: question.section_id }),
+          ...(variables[question.id] && { variables: variables[question.id] })
+        })),
+        ...(Object.keys(draws).length > 0 && { draws })
+      }
+    }, 'Quiz preview graded'));
+
+  } catch (error) {
+    console.error('Preview quiz grading error:', error);
+    res.status(500).json(createErrorResponse('Failed to preview quiz'));
+  }
+};
+
 export const getAssignment = async (req, res) => {
   try {
     const { assignmentId } = req.params;
@@ -1502,43 +2283,106 @@ export const getAssignment = async (req, res) => {
       return res.status(403).json(createErrorResponse('Assignment is not yet available'));
     }
 
+    // Students need a valid access token before quiz content is shown
+    const isStudent = !isInstructor && !isAdmin;
+    const accessCodeRequired = isStudent && !hasQuizAccess(req, assignment);
+
+    // Venue-restricted quizzes only show their content on the allowed networks
+    if (isStudent && assignment.assignment_type === 'quiz' && !await enforceIpFilter(req, assignment, 'view')) {
+      return res.status(403).json(createErrorResponse('This quiz cannot be taken from your current network location', null, 'IP_NOT_ALLOWED'));
+    }
+
+    // Paged quizzes only hand students one question at a time (see getAttemptQuestion)
+    const pagedDelivery = isStudent && isPagedQuiz(assignment);
+
+    // Timed quizzes only show their questions once an attempt has started the
+    // clock, and shuffled ones once an attempt has fixed their order
+    let draft = null;
+    if (isStudent && assignment.assignment_type === 'quiz') {
+      ({ draft } = await findDraftAttempt(assignmentId, userId));
+    }
+    const attemptRequired = isStudent && (
+      (!!assignment.has_time_limit && (!draft || isAttemptExpired(assignment, draft))) ||
+      (isShuffledQuiz(assignment) && !draft)
+    );
+
     // Get questions if it's a quiz
     let questions = [];
-    if (assignment.assignment_type === 'quiz') {
-      const { data: questionsData, error: questionsError } = await supabase
-        .from('quiz_questions')
-        .select(`
-          *,
-          quiz_question_answers(*),
-          quiz_short_answer_options(*)
-        `)
-        .eq('assignment_id', assignmentId)
-        .order('question_number');
+    if (assignment.assignment_type === 'quiz' && !accessCodeRequired && !pagedDelivery && !attemptRequired) {
+      // Students see the section draws, order and calculated values of their
+      // current (or next) attempt
+      let attemptContext = null;
+      if (isStudent) {
+        const { nextAttemptNumber } = await getAttemptHistory(assignmentId, userId);
+        attemptContext = {
+          draft,
+          seed: getShuffleSeed({ attempt: draft, assignmentId, studentId: userId, attemptNumber: nextAttemptNumber })
+        };
+      }
+
+      const { questions: questionsData, error: questionsError } = await loadQuizQuestions(
+        assignmentId,
+        attemptContext ? { attempt: attemptContext.draft, seed: attemptContext.seed } : {}
+      );
+
+      let orderedQuestions = questionsData;
+      const hasCalculated = questionsData?.some(q => q.question_type === 'calculated');
+      if (!questionsError && questionsData && isStudent && (isShuffledQuiz(assignment) || hasCalculated)) {
+        const { draft, seed } = attemptContext;
+        const layout = resolveAttemptLayout(assignment, questionsData, draft);
+        const variables = resolveAttemptVariables(questionsData, { attempt: draft, seed });
+        orderedQuestions = applyAttemptVariables(applyAttemptLayout(questionsData, layout), variables);
+      }
 
       if (!questionsError && questionsData) {
-        questions = questionsData.map(q => {
-          const sanitizedQuestion = sanitizeQuestion(q);
+        questions = orderedQuestions.map(q => {
+          const sanitizedQuestion = {
+            ...sanitizeQuestion(q),
+            // The grading config is the answer key, so only teachers get it
+            ...(!isStudent && { gradingConfig: q.grading_config })
+          };
           
           // Handle different question types
-          if (q.question_type === 'short_answer') {
+          if (q.question_type === 'short_answer' || q.question_type === 'fill_in_blanks') {
+            const blanks = q.question_type === 'fill_in_blanks' ? { blanks: getBlankNames(q.question_text) } : {};
+
+            // Accepted answers are the answer key, so students don't get them
+            if (isStudent) {
+              return { ...sanitizedQuestion, ...blanks, answers: [] };
+            }
+
             // For short answer questions, use quiz_short_answer_options
             return {
               ...sanitizedQuestion,
+              ...blanks,
               answers: q.quiz_short_answer_options.map(option => ({
                 id: option.id,
                 questionId: option.question_id,
+                blankName: option.blank_name,
                 answerText: option.answer_text,
                 isCaseSensitive: option.is_case_sensitive,
                 isExactMatch: option.is_exact_match,
+                matchType: option.match_type,
+                ignoreWhitespace: option.ignore_whitespace,
+                ignorePunctuation: option.ignore_punctuation,
+                fuzzyMaxDistance: option.fuzzy_max_distance,
                 answerOrder: option.answer_order,
                 createdAt: option.created_at
               }))
             };
+          } else if (ARRANGEMENT_TYPES.includes(q.question_type) && isStudent) {
+            // Matching pairs and step order are the answer key, so students
+            // get shuffled options without them
+            return { ...sanitizedQuestion, ...presentArrangement(q) };
           } else {
             // For multiple choice, true/false, etc., use quiz_question_answers
             return {
               ...sanitizedQuestion,
-              answers: q.quiz_question_answers.map(sanitizeAnswer)
+              answers: q.quiz_question_answers.map(answer => ({
+                ...sanitizeAnswer(answer),
+                isCorrect: isStudent ? undefined : answer.is_correct,
+                ...(q.question_type === 'matching' && { matchText: answer.match_text, matchKey: answer.match_key })
+              }))
             };
           }
         });
@@ -1550,15 +2394,21 @@ export const getAssignment = async (req, res) => {
     let hasSubmitted = false;
     let canRetake = false;
     let attemptsUsed = 0;
+    let policyScore = null;
 
     // FIXED: Check for submissions for students only (not instructors/admins)
     // This should run for any user who is a student, regardless of enrollment status
-    const isStudent = !isInstructor && !isAdmin;
-    
     if (isStudent) {
       console.log('Checking submissions for student:', userId, 'assignment:', assignmentId);
-      
-      // Get all submissions for this student and assignment
+
+      // Attempt counts include any in-progress draft, same as the submit checks
+      const attemptHistory = await getAttemptHistory(assignmentId, userId);
+      hasSubmitted = attemptHistory.attemptsSubmitted > 0;
+      attemptsUsed = attemptHistory.attemptsUsed;
+      canRetake = hasAttemptsRemaining(assignment, attemptsUsed);
+
+      // Get the finished submissions for this student and assignment (drafts
+      // have no submitted_at and would otherwise sort first)
       const { data: submissions, error: submissionError } = await supabase
         .from('assignment_submissions')
         .select(`
@@ -1581,6 +2431,7 @@ export const getAssignment = async (req, res) => {
         `)
         .eq('assignment_id', assignmentId)
         .eq('student_id', userId)
+        .neq('status', 'draft')
         .order('submitted_at', { ascending: false });
 
       console.log('Submission query result:', {
@@ -1589,16 +2440,9 @@ export const getAssignment = async (req, res) => {
       });
 
       if (!submissionError && submissions && submissions.length > 0) {
-        hasSubmitted = true;
-        attemptsUsed = submissions.length;
-        
         // Get the latest submission
         studentSubmission = submissions[0];
-        
-        // Check if student can retake
-        if (assignment.allowed_attempts === -1 || attemptsUsed < assignment.allowed_attempts) {
-          canRetake = true;
-        }
+        policyScore = applyScoringPolicy(submissions, assignment.scoring_policy).score;
 
         console.log('Submission details:', {
           hasSubmitted,
@@ -1621,22 +2465,33 @@ export const getAssignment = async (req, res) => {
           }
         }
       } else {
-        // No submissions found
-        canRetake = true; // First attempt
-        console.log('No submissions found, allowing first attempt');
+        console.log('No submissions found');
       }
     }
 
+    // Teachers get the section definitions; students only see what they drew
+    let sections = null;
+    if (assignment.assignment_type === 'quiz' && (isInstructor || isAdmin)) {
+      const { sections: sectionRows } = await loadQuizSections(assignmentId);
+      sections = sectionRows.map(sanitizeSection);
+    }
+
     // Build response
     const responseData = {
       assignment: sanitizeAssignment(assignment),
       questions,
+      ...(sections && { sections }),
+      accessCodeRequired,
+      pagedDelivery,
+      attemptRequired,
       canEdit: isInstructor || isAdmin,
       isStudent: isStudent,
       hasSubmitted,
       canRetake,
       attemptsUsed,
-      attemptsRemaining: assignment.allowed_attempts === -1 ? 'unlimited' : Math.max(0, assignment.allowed_attempts - attemptsUsed)
+      attemptsRemaining: assignment.allowed_attempts === -1 ? 'unlimited' : Math.max(0, assignment.allowed_attempts - attemptsUsed),
+      scoringPolicy: assignment.scoring_policy || DEFAULT_SCORING_POLICY,
+      policyScore
     };
 
     // Add submission data if exists
@@ -1787,6 +2642,14 @@ export default {
   toggleAssignmentPublish,
   getUserSubmissions,
   verifyQuizPassword,
+  startQuizAttempt,
+  getAttemptQuestion,
+  saveAttemptAnswer,
+  autosaveAttemptAnswers,
+  resumeQuizAttempt,
+  syncOfflineAnswers,
   submitQuizAnswers,
-  getQuizResults
+  getQuizResults,
+  regradeAssignment,
+  previewQuizGrading
 };
\ No newline at end of file
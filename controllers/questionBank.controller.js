@@ -0,0 +1,569 @@
+// controllers/questionBank.controller.js
+import { validationResult } from 'express-validator';
+import supabase from '../config/postgres.js';
+import { QUESTION_TYPES, getGradingConfigError, getMissingAnswerKeyWarning } from '../utils/questionConfig.js';
+import { buildQuestionRow, insertQuestionAnswers, updateQuestion } from '../utils/quizQuestions.js';
+import {
+  buildBankQuestionTags,
+  getBankQuestionTagsError,
+  isCourseTeacher,
+  canUseBank
+} from '../utils/questionBank.js';
+
+// Utility functions
+const createErrorResponse = (message, errors = null, code = null) => ({
+  success: false,
+  message,
+  ...(code && { code }),
+  ...(errors && { errors })
+});
+
+const createSuccessResponse = (data, message = null) => ({
+  success: true,
+  ...(message && { message }),
+  ...data
+});
+
+// Helper function to sanitize bank data
+const sanitizeBank = (bank) => ({
+  id: bank.id,
+  courseId: bank.course_id,
+  ownerId: bank.owner_id,
+  title: bank.title,
+  description: bank.description,
+  createdAt: bank.created_at,
+  updatedAt: bank.updated_at
+});
+
+// Helper function to sanitize a bank question with its answer key; only
+// teachers who can use the bank ever see these
+const sanitizeBankQuestion = (question, usageCount = 0) => ({
+  id: question.id,
+  bankId: question.bank_id,
+  questionNumber: question.question_number,
+  title: question.title,
+  questionText: question.question_text,
+  questionType: question.question_type,
+  points: question.points,
+  imageUrl: question.image_url,
+  gradingConfig: question.grading_config,
+  capsTopic: question.caps_topic,
+  grade: question.grade_level,
+  difficulty: question.difficulty,
+  tags: question.tags || [],
+  version: question.version || 1,
+  usedInQuizzes: usageCount,
+  answers: [...(question.quiz_question_answers || [])]
+    .sort((a, b) => a.answer_order - b.answer_order)
+    .map(answer => ({
+      id: answer.id,
+      answerText: answer.answer_text,
+      isCorrect: answer.is_correct,
+      feedback: answer.feedback,
+      answerOrder: answer.answer_order,
+      ...(question.question_type === 'matching' && { matchText: answer.match_text })
+    })),
+  acceptableAnswers: [...(question.quiz_short_answer_options || [])]
+    .sort((a, b) => a.answer_order - b.answer_order)
+    .map(option => ({
+      id: option.id,
+      blankName: option.blank_name,
+      answerText: option.answer_text,
+      matchType: option.match_type,
+      isCaseSensitive: option.is_case_sensitive,
+      ignoreWhitespace: option.ignore_whitespace,
+      ignorePunctuation: option.ignore_punctuation,
+      fuzzyMaxDistance: option.fuzzy_max_distance
+    })),
+  createdAt: question.created_at,
+  updatedAt: question.updated_at
+});
+
+// Helper function to find why a bank question as a teacher sends it can't be
+// saved, in the same shape as express-validator errors
+const findBankQuestionErrors = (question = {}) => {
+  let msg = null;
+  if (!question.questionText?.trim()) {
+    msg = 'Question text is required';
+  } else if (!QUESTION_TYPES.includes(question.questionType)) {
+    msg = 'Invalid question type';
+  } else {
+    msg = getGradingConfigError(question) || getBankQuestionTagsError(question);
+  }
+
+  return msg ? [{ param: 'question', msg, location: 'body' }] : [];
+};
+
+// Helper function to load a bank the user may use. Sends the error response
+// and returns null when there is none.
+const loadAccessibleBank = async (req, res) => {
+  const { data: bank, error } = await supabase
+    .from('question_banks')
+    .select('*')
+    .eq('id', req.params.bankId)
+    .single();
+
+  if (error || !bank) {
+    res.status(404).json(createErrorResponse('Question bank not found'));
+    return null;
+  }
+
+  if (!await canUseBank(bank, req.user)) {
+    res.status(403).json(createErrorResponse('Not authorized to use this question bank'));
+    return null;
+  }
+
+  return bank;
+};
+
+// Helper function to load one question of a bank with its answers
+const loadBankQuestion = async (bankId, questionId) => {
+  const { data, error } = await supabase
+    .from('quiz_questions')
+    .select(`
+      *,
+      quiz_question_answers(*),
+      quiz_short_answer_options(*)
+    `)
+    .eq('id', questionId)
+    .eq('bank_id', bankId)
+    .single();
+
+  return { question: error ? null : data, error };
+};
+
+// Helper function to count the quiz questions using each bank question
+const countQuestionUsage = async (questionIds = []) => {
+  const counts = new Map();
+  if (questionIds.length === 0) return counts;
+
+  const { data } = await supabase
+    .from('quiz_questions')
+    .select('bank_question_id')
+    .in('bank_question_id', questionIds);
+
+  (data || []).forEach(row => counts.set(row.bank_question_id, (counts.get(row.bank_question_id) || 0) + 1));
+  return counts;
+};
+
+// List the banks the user can use: their own personal banks and the banks of
+// the courses they teach, or just one course's banks with ?courseId=
+export const getQuestionBanks = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json(createErrorResponse('Validation failed', errors.array()));
+    }
+
+    const { courseId } = req.query;
+    const userId = req.user.id;
+    const isAdmin = req.user.role === 'admin';
+
+    if (courseId) {
+      if (!isAdmin && !await isCourseTeacher(courseId, userId)) {
+        return res.status(403).json(createErrorResponse('Not authorized to view question banks for this course'));
+      }
+
+      const { data: banks, error } = await supabase
+        .from('question_banks')
+        .select('*')
+        .eq('course_id', courseId)
+        .order('title');
+
+      if (error) throw error;
+      return res.json(createSuccessResponse({ banks: banks.map(sanitizeBank) }));
+    }
+
+    // Courses the user teaches, as instructor or through a teaching assignment
+    const { data: instructedCourses } = await supabase
+      .from('courses')
+      .select('id')
+      .eq('instructor_id', userId);
+
+    const { data: teachingAssignments } = await supabase
+      .from('teaching_assignments')
+      .select('course_id')
+      .eq('teacher_id', userId);
+
+    const courseIds = [...new Set([
+      ...(instructedCourses || []).map(course => course.id),
+      ...(teachingAssignments || []).map(assignment => assignment.course_id)
+    ])];
+
+    const { data: personalBanks, error: personalError } = await supabase
+      .from('question_banks')
+      .select('*')
+      .eq('owner_id', userId)
+      .is('course_id', null);
+
+    if (personalError) throw personalError;
+
+    let courseBanks = [];
+    if (courseIds.length > 0) {
+      const { data, error: courseError } = await supabase
+        .from('question_banks')
+        .select('*')
+        .in('course_id', courseIds);
+
+      if (courseError) throw courseError;
+      courseBanks = data || [];
+    }
+
+    const banks = [...(personalBanks || []), ...courseBanks]
+      .sort((a, b) => a.title.localeCompare(b.title));
+
+    res.json(createSuccessResponse({ banks: banks.map(sanitizeBank) }));
+
+  } catch (error) {
+    console.error('Get question banks error:', error);
+    res.status(500).json(createErrorResponse('Failed to fetch question banks'));
+  }
+};
+
+// Create a bank for a course (courseId) or a personal one (no courseId)
+export const createQuestionBank = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json(createErrorResponse('Validation failed', errors.array()));
+    }
+
+    const { courseId, title, description } = req.body;
+    const userId = req.user.id;
+
+    if (courseId && req.user.role !== 'admin' && !await isCourseTeacher(courseId, userId)) {
+      return res.status(403).json(createErrorResponse('Not authorized to create question banks for this course'));
+    }
+
+    const { data: bank, error } = await supabase
+      .from('question_banks')
+      .insert({
+        course_id: courseId || null,
+        owner_id: userId,
+        title: title.trim(),
+        description: description || ''
+      })
+      .select()
+      .single();
+
+    if (error) {
+      console.error('Question bank creation error:', error);
+      return res.status(400).json(createErrorResponse('Failed to create question bank'));
+    }
+
+    res.status(201).json(createSuccessResponse({ bank: sanitizeBank(bank) }, 'Question bank created successfully'));
+
+  } catch (error) {
+    console.error('Create question bank error:', error);
+    res.status(500).json(createErrorResponse('Failed to create question bank'));
+  }
+};
+
+// Get a bank with its questions, optionally filtered by tag:
+// ?capsTopic=&grade=&difficulty=&tag=&questionType=
+export const getQuestionBank = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json(createErrorResponse('Validation failed', errors.array()));
+    }
+
+    const bank = await loadAccessibleBank(req, res);
+    if (!bank) return;
+
+    const { capsTopic, grade, difficulty, tag, questionType } = req.query;
+
+    let query = supabase
+      .from('quiz_questions')
+      .select(`
+        *,
+        quiz_question_answers(*),
+        quiz_short_answer_options(*)
+      `)
+      .eq('bank_id', bank.id);
+
+    if (capsTopic) query = query.eq('caps_topic', capsTopic);
+    if (grade !== undefined) query = query.eq('grade_level', parseInt(grade, 10));
+    if (difficulty) query = query.eq('difficulty', difficulty);
+    if (tag) query = query.contains('tags', [String(tag).trim().toLowerCase()]);
+    if (questionType) query = query.eq('question_type', questionType);
+
+    const { data: questions, error } = await query.order('question_number');
+    if (error) throw error;
+
+    const usage = await countQuestionUsage(questions.map(question => question.id));
+
+    res.json(createSuccessResponse({
+      bank: {
+        ...sanitizeBank(bank),
+        questions: questions.map(question => sanitizeBankQuestion(question, usage.get(question.id)))
+      }
+    }));
+
+  } catch (error) {
+    console.error('Get question bank error:', error);
+    res.status(500).json(createErrorResponse('Failed to fetch question bank'));
+  }
+};
+
+// Rename or describe a bank
+export const updateQuestionBank = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json(createErrorResponse('Validation failed', errors.array()));
+    }
+
+    const bank = await loadAccessibleBank(req, res);
+    if (!bank) return;
+
+    const { title, description } = req.body;
+
+    const { data: updatedBank, error } = await supabase
+      .from('question_banks')
+      .update({
+        title: title?.trim() || bank.title,
+        description: description !== undefined ? description : bank.description,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', bank.id)
+      .select()
+      .single();
+
+    if (error) {
+      console.error('Question bank update error:', error);
+      return res.status(400).json(createErrorResponse('Failed to update question bank'));
+    }
+
+    res.json(createSuccessResponse({ bank: sanitizeBank(updatedBank) }, 'Question bank updated successfully'));
+
+  } catch (error) {
+    console.error('Update question bank error:', error);
+    res.status(500).json(createErrorResponse('Failed to update question bank'));
+  }
+};
+
+// Delete a bank and its questions, unless a quiz still uses one of them or
+// draws from it
+export const deleteQuestionBank = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json(createErrorResponse('Validation failed', errors.array()));
+    }
+
+    const bank = await loadAccessibleBank(req, res);
+    if (!bank) return;
+
+    const { data: bankQuestions } = await supabase
+      .from('quiz_questions')
+      .select('id')
+      .eq('bank_id', bank.id);
+
+    const usage = await countQuestionUsage((bankQuestions || []).map(question => question.id));
+
+    // Quiz sections draw from the bank as a whole
+    const { count: sectionCount } = await supabase
+      .from('quiz_sections')
+      .select('id', { count: 'exact', head: true })
+      .eq('bank_id', bank.id);
+
+    if (usage.size > 0 || sectionCount > 0) {
+      return res.status(409).json(createErrorResponse('Questions from this bank are still used by quizzes', null, 'BANK_IN_USE'));
+    }
+
+    // Bank questions and their answers go with the bank
+    const { error } = await supabase
+      .from('question_banks')
+      .delete()
+      .eq('id', bank.id);
+
+    if (error) {
+      console.error('Question bank deletion error:', error);
+      return res.status(400).json(createErrorResponse('Failed to delete question bank'));
+    }
+
+    res.json(createSuccessResponse({}, 'Question bank deleted successfully'));
+
+  } catch (error) {
+    console.error('Delete question bank error:', error);
+    res.status(500).json(createErrorResponse('Failed to delete question bank'));
+  }
+};
+
+// Add a question to a bank. Takes the same question shape as a quiz, plus
+// capsTopic, grade, difficulty and tags.
+export const createBankQuestion = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json(createErrorResponse('Validation failed', errors.array()));
+    }
+
+    const bank = await loadAccessibleBank(req, res);
+    if (!bank) return;
+
+    const question = req.body;
+    const questionErrors = findBankQuestionErrors(question);
+    if (questionErrors.length > 0) {
+      return res.status(400).json(createErrorResponse('Validation failed', questionErrors));
+    }
+
+    // New questions go to the end of the bank
+    const { data: lastQuestion } = await supabase
+      .from('quiz_questions')
+      .select('question_number')
+      .eq('bank_id', bank.id)
+      .order('question_number', { ascending: false })
+      .limit(1)
+      .single();
+
+    const { data: createdQuestion, error } = await supabase
+      .from('quiz_questions')
+      .insert({
+        bank_id: bank.id,
+        ...buildQuestionRow(question, (lastQuestion?.question_number || 0) + 1),
+        ...buildBankQuestionTags(question)
+      })
+      .select()
+      .single();
+
+    if (error) {
+      console.error('Bank question creation error:', error);
+      return res.status(400).json(createErrorResponse('Failed to create question'));
+    }
+
+    const { error: answersError } = await insertQuestionAnswers(createdQuestion.id, question);
+    if (answersError) {
+      console.error('Error creating answers for bank question:', answersError);
+    }
+
+    const { question: savedQuestion } = await loadBankQuestion(bank.id, createdQuestion.id);
+    const answerKeyWarning = getMissingAnswerKeyWarning(question);
+
+    res.status(201).json(createSuccessResponse({
+      question: sanitizeBankQuestion(savedQuestion || createdQuestion),
+      ...(answerKeyWarning && { answerKeyWarning })
+    }, 'Question created successfully'));
+
+  } catch (error) {
+    console.error('Create bank question error:', error);
+    res.status(500).json(createErrorResponse('Failed to create question'));
+  }
+};
+
+// Edit a bank question in place. Quizzes read bank questions when they load,
+// so the change reaches every quiz that uses this one; attempts already shown
+// it keep the version they saw.
+export const updateBankQuestion = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json(createErrorResponse('Validation failed', errors.array()));
+    }
+
+    const bank = await loadAccessibleBank(req, res);
+    if (!bank) return;
+
+    const { question: existingQuestion } = await loadBankQuestion(bank.id, req.params.questionId);
+    if (!existingQuestion) {
+      return res.status(404).json(createErrorResponse('Question not found'));
+    }
+
+    const question = req.body;
+    const questionErrors = findBankQuestionErrors(question);
+    if (questionErrors.length > 0) {
+      return res.status(400).json(createErrorResponse('Validation failed', questionErrors));
+    }
+
+    const { error } = await updateQuestion(existingQuestion, question, {
+      ...buildQuestionRow(question, existingQuestion.question_number),
+      ...buildBankQuestionTags(question)
+    }, req.user.id);
+
+    if (error) {
+      console.error('Bank question update error:', error);
+      return res.status(400).json(createErrorResponse('Failed to update question'));
+    }
+
+    const { question: savedQuestion } = await loadBankQuestion(bank.id, existingQuestion.id);
+    const usage = await countQuestionUsage([existingQuestion.id]);
+    const answerKeyWarning = getMissingAnswerKeyWarning(question);
+
+    res.json(createSuccessResponse({
+      question: sanitizeBankQuestion(savedQuestion, usage.get(existingQuestion.id)),
+      ...(answerKeyWarning && { answerKeyWarning })
+    }, 'Question updated successfully'));
+
+  } catch (error) {
+    console.error('Update bank question error:', error);
+    res.status(500).json(createErrorResponse('Failed to update question'));
+  }
+};
+
+// Remove a question from a bank, unless a quiz still uses it
+export const deleteBankQuestion = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json(createErrorResponse('Validation failed', errors.array()));
+    }
+
+    const bank = await loadAccessibleBank(req, res);
+    if (!bank) return;
+
+    const { question } = await loadBankQuestion(bank.id, req.params.questionId);
+    if (!question) {
+      return res.status(404).json(createErrorResponse('Question not found'));
+    }
+
+    const usage = await countQuestionUsage([question.id]);
+    if (usage.get(question.id)) {
+      return res.status(409).json(createErrorResponse(
+        `This question is used by ${usage.get(question.id)} quiz question(s)`,
+        null,
+        'QUESTION_IN_USE'
+      ));
+    }
+
+    // Quiz sections may draw this question (and past attempts may have drawn it)
+    const { count: sectionCount } = await supabase
+      .from('quiz_sections')
+      .select('id', { count: 'exact', head: true })
+      .eq('bank_id', bank.id);
+
+    if (sectionCount > 0) {
+      return res.status(409).json(createErrorResponse(
+        `This question's bank is drawn from by ${sectionCount} quiz section(s)`,
+        null,
+        'QUESTION_IN_USE'
+      ));
+    }
+
+    await supabase
+      .from('quiz_question_answers')
+      .delete()
+      .eq('question_id', question.id);
+
+    await supabase
+      .from('quiz_short_answer_options')
+      .delete()
+      .eq('question_id', question.id);
+
+    const { error } = await supabase
+      .from('quiz_questions')
+      .delete()
+      .eq('id', question.id);
+
+    if (error) {
+      console.error('Bank question deletion error:', error);
+      return res.status(400).json(createErrorResponse('Failed to delete question'));
+    }
+
+    res.json(createSuccessResponse({}, 'Question deleted successfully'));
+
+  } catch (error) {
+    console.error('Delete bank question error:', error);
+    res.status(500).json(createErrorResponse('Failed to delete question'));
+  }
+};
@@ -1,11 +1,34 @@
 // controllers/quiz.controller.js
 import { validationResult } from 'express-validator';
 import supabase from '../config/postgres.js';
+import {
+  getQuizAvailability,
+  getAttemptDeadline,
+  getRemainingSeconds,
+  hasAttemptsRemaining,
+  getAttemptHistory,
+  findDraftAttempt,
+  finalizeExpiredAttempts
+} from '../utils/quizAttempt.js';
+import { applyScoringPolicy, applyScoringPolicyByGroup } from '../utils/scoringPolicy.js';
+import { hasQuizAccess } from '../utils/quizAccess.js';
+import { enforceIpFilter } from '../utils/ipFilter.js';
+import { isShuffledQuiz, resolveAttemptLayout, applyAttemptLayout, getShuffleSeed } from '../utils/quizShuffle.js';
+import { resolveAttemptVariables, applyAttemptVariables } from '../utils/calculatedQuestion.js';
+import { isPagedQuiz } from '../utils/quizPaging.js';
+import { ARRANGEMENT_TYPES, presentArrangement } from '../utils/matchingOrdering.js';
+import { getBlankNames } from '../utils/fillInBlanks.js';
+import { loadQuizQuestions, resolveBankQuestions } from '../utils/quizQuestions.js';
+import { appendSectionQuestions } from '../utils/quizSections.js';
+import { applyQuestionVersions } from '../utils/questionVersions.js';
+import { applyManualGrade, computeSubmissionScore } from '../utils/quizGrading.js';
+import { recordGradeChange } from '../utils/gradeAudit.js';
 
 // Utility functions
-const createErrorResponse = (message, errors = null) => ({
+const createErrorResponse = (message, errors = null, code = null) => ({
   success: false,
   message,
+  ...(code && { code }),
   ...(errors && { errors })
 });
 
@@ -50,9 +73,11 @@ const sanitizeQuiz = (quiz) => ({
   availableUntil: quiz.available_until,
   isPublished: quiz.is_published,
   allowedAttempts: quiz.allowed_attempts,
+  scoringPolicy: quiz.scoring_policy,
   hasTimeLimit: quiz.has_time_limit,
   timeLimitMinutes: quiz.time_limit_minutes,
   shuffleAnswers: quiz.shuffle_answers,
+  shuffleQuestions: quiz.shuffle_questions,
   showCorrectAnswers: quiz.show_correct_answers,
   oneQuestionAtTime: quiz.one_question_at_time,
   cantGoBack: quiz.cant_go_back,
@@ -190,11 +215,14 @@ export const getEnrolledCourses = async (req, res) => {
         course_id,
         id,
         max_points,
+        scoring_policy,
         assignment_submissions!left (
           id,
           student_id,
           score,
-          status
+          status,
+          attempt_number,
+          submitted_at
         )
       `)
       .in('course_id', courseIds)
@@ -218,14 +246,17 @@ export const getEnrolledCourses = async (req, res) => {
       stats.total_assignments += 1;
       stats.total_points += assignment.max_points || 0;
 
-      // For students, count their specific submissions
+      // For students, count their graded submissions under the scoring policy
       if (userRole === 'student') {
-        const userSubmission = assignment.assignment_submissions?.find(
-          sub => sub.student_id === userId && sub.status === 'graded'
+        const { submission, score } = applyScoringPolicy(
+          assignment.assignment_submissions?.filter(
+            sub => sub.student_id === userId && sub.status === 'graded'
+          ),
+          assignment.scoring_policy
         );
-        if (userSubmission) {
+        if (submission) {
           stats.completed_assignments += 1;
-          stats.earned_points += userSubmission.score || 0;
+          stats.earned_points += score || 0;
         }
       }
     });
@@ -354,6 +385,7 @@ export const getFullStudentAssessmentData = async (req, res) => {
           available_until,
           is_published,
           allowed_attempts,
+          scoring_policy,
           has_time_limit,
           time_limit_minutes,
           created_at
@@ -415,6 +447,8 @@ export const getFullStudentAssessmentData = async (req, res) => {
         // 4. Process each assignment with its submission data
         for (const assignment of assignments) {
           const latestSubmission = submissionMap[assignment.id];
+          const allAttempts = submissions?.filter(sub => sub.assignment_id === assignment.id) || [];
+          const { score: countedScore } = applyScoringPolicy(allAttempts, assignment.scoring_policy);
           
           // Determine assignment status
           let status = 'available';
@@ -442,8 +476,8 @@ export const getFullStudentAssessmentData = async (req, res) => {
 
           // Calculate statistics
           courseStats.totalPoints += assignment.max_points || 0;
-          if (latestSubmission?.score !== null && latestSubmission?.score !== undefined) {
-            courseStats.earnedPoints += latestSubmission.score;
+          if (countedScore !== null) {
+            courseStats.earnedPoints += countedScore;
           }
 
           assessments.push({
@@ -457,11 +491,15 @@ export const getFullStudentAssessmentData = async (req, res) => {
               availableFrom: assignment.available_from,
               availableUntil: assignment.available_until,
               allowedAttempts: assignment.allowed_attempts,
+              scoringPolicy: assignment.scoring_policy,
               hasTimeLimit: assignment.has_time_limit,
               timeLimitMinutes: assignment.time_limit_minutes,
               createdAt: assignment.created_at,
               status: status
             },
+            countedScore,
+            countedPercentage: countedScore !== null && assignment.max_points > 0 ?
+              Math.round((countedScore / assignment.max_points) * 100) : null,
             latestAttempt: latestSubmission ? {
               id: latestSubmission.id,
               status: latestSubmission.status,
@@ -474,7 +512,7 @@ export const getFullStudentAssessmentData = async (req, res) => {
               timeSpentMinutes: latestSubmission.time_spent_minutes,
               feedback: latestSubmission.feedback
             } : null,
-            allAttempts: submissions?.filter(sub => sub.assignment_id === assignment.id) || []
+            allAttempts
           });
         }
       }
@@ -604,9 +642,11 @@ export const getCourseQuizzes = async (req, res) => {
         available_until,
         is_published,
         allowed_attempts,
+        scoring_policy,
         has_time_limit,
         time_limit_minutes,
         shuffle_answers,
+        shuffle_questions,
         show_correct_answers,
         one_question_at_time,
         cant_go_back,
@@ -661,14 +701,18 @@ export const getCourseQuizzes = async (req, res) => {
         }
       });
 
-      // Add submission data to quizzes
+      // Add submission data to quizzes; points follow each quiz's scoring policy
       quizzesWithSubmissions = quizzes.map(quiz => {
         const submission = submissionMap[quiz.id];
+        const { score } = applyScoringPolicy(
+          submissions?.filter(sub => sub.assignment_id === quiz.id),
+          quiz.scoring_policy
+        );
         return {
           ...quiz,
           submission_id: submission?.id || null,
           submission_status: submission?.status || null,
-          earned_points: submission?.score || null,
+          earned_points: score ?? null,
           submitted_at: submission?.submitted_at || null,
           graded_at: submission?.graded_at || null,
           attempt_number: submission?.attempt_number || null,
@@ -781,12 +825,20 @@ export const getQuizDetails = async (req, res) => {
       return res.status(403).json(createErrorResponse('Not authorized to view this quiz'));
     }
 
+    // Venue-restricted quizzes are only available from the allowed networks
+    if (!isInstructor && !isAdmin && !await enforceIpFilter(req, quiz, 'view')) {
+      return res.status(403).json(createErrorResponse('This quiz cannot be taken from your current network location', null, 'IP_NOT_ALLOWED'));
+    }
+
     // Get student's submissions if applicable (moved up for attempt checking)
     let submissions = [];
     let canTakeQuiz = false;
     let attemptInfo = {};
 
     if (isEnrolled && !isInstructor && !isAdmin) {
+      // Attempts that ran out of time are closed before counting them
+      await finalizeExpiredAttempts({ assignmentId: quizId, studentId: userId });
+
       const { data: submissionsData } = await supabase
         .from('assignment_submissions')
         .select(`
@@ -797,6 +849,7 @@ export const getQuizDetails = async (req, res) => {
           graded_at,
           attempt_number,
           feedback,
+          time_started,
           EXTRACT(EPOCH FROM (time_completed - time_started))/60 as time_spent_minutes
         `)
         .eq('assignment_id', quizId)
@@ -808,37 +861,40 @@ export const getQuizDetails = async (req, res) => {
       // Check attempt limits
       const maxAttempts = quiz.allowed_attempts || 1;
       const currentAttempts = submissions.length;
-      const hasUnfinishedAttempt = submissions.some(sub => sub.status === 'draft');
+      const canRetake = hasAttemptsRemaining(quiz, currentAttempts);
+      const unfinishedAttempt = submissions.find(sub => sub.status === 'draft');
+      const hasUnfinishedAttempt = !!unfinishedAttempt;
       
-      // Check if quiz is currently available
-      const now = new Date();
-      const availableFrom = quiz.available_from ? new Date(quiz.available_from) : null;
-      const availableUntil = quiz.available_until ? new Date(quiz.available_until) : null;
-      const dueDate = quiz.due_date ? new Date(quiz.due_date) : null;
-      
-      const isAvailable = (!availableFrom || now >= availableFrom) && 
-                         (!availableUntil || now <= availableUntil) &&
-                         (!dueDate || now <= dueDate);
+      // Check if quiz is currently available (same window submission enforces)
+      const availability = getQuizAvailability(quiz);
+      const { isAvailable } = availability;
 
       // Determine if student can take the quiz
       canTakeQuiz = isAvailable && 
                    quiz.is_published && 
-                   (currentAttempts < maxAttempts || hasUnfinishedAttempt);
+                   (canRetake || hasUnfinishedAttempt);
 
       attemptInfo = {
         currentAttempts,
         maxAttempts,
-        attemptsRemaining: Math.max(0, maxAttempts - currentAttempts),
+        attemptsRemaining: maxAttempts === -1 ? null : Math.max(0, maxAttempts - currentAttempts),
         hasUnfinishedAttempt,
-        canRetake: currentAttempts < maxAttempts,
+        canRetake,
         isAvailable,
+        availabilityCode: availability.code,
         availableFrom: quiz.available_from,
         availableUntil: quiz.available_until,
-        dueDate: quiz.due_date
+        dueDate: quiz.due_date,
+        activeAttempt: unfinishedAttempt ? {
+          id: unfinishedAttempt.id,
+          timeStarted: unfinishedAttempt.time_started,
+          deadline: getAttemptDeadline(quiz, unfinishedAttempt)?.toISOString() || null,
+          remainingSeconds: getRemainingSeconds(quiz, unfinishedAttempt)
+        } : null
       };
 
       // If student has reached max attempts and no unfinished attempts
-      if (currentAttempts >= maxAttempts && !hasUnfinishedAttempt) {
+      if (!canRetake && !hasUnfinishedAttempt) {
         canTakeQuiz = false;
       }
     } else {
@@ -846,12 +902,23 @@ export const getQuizDetails = async (req, res) => {
       canTakeQuiz = isInstructor || isAdmin;
     }
 
+    // Students must have entered the access code before seeing questions
+    const accessCodeRequired = !isInstructor && !isAdmin && !hasQuizAccess(req, quiz);
+
+    // Paged quizzes are served one question at a time through the attempt API
+    const pagedDelivery = !isInstructor && !isAdmin && isPagedQuiz(quiz);
+
+    // Timed quizzes only show their questions once an attempt has started the
+    // clock (expired attempts were closed above), and shuffled ones once an
+    // attempt has fixed their order
+    const attemptRequired = !isInstructor && !isAdmin && (!!quiz.has_time_limit || isShuffledQuiz(quiz)) && !attemptInfo.activeAttempt;
+
     // Get questions for the quiz
     let questions = [];
     if (quiz.assignment_type === 'quiz') {
       // Only show questions if user can take quiz or is instructor/admin
-      if (canTakeQuiz || isInstructor || isAdmin) {
-        const { data: questionsData } = await supabase
+      if ((canTakeQuiz && !accessCodeRequired && !pagedDelivery && !attemptRequired) || isInstructor || isAdmin) {
+        const { data: questionRows } = await supabase
           .from('quiz_questions')
           .select(`
             id,
@@ -861,36 +928,79 @@ export const getQuizDetails = async (req, res) => {
             question_type,
             points,
             image_url,
+            grading_config,
+            bank_question_id,
+            version,
+            archived_at,
             quiz_question_answers (
               id,
               answer_text,
               is_correct,
               feedback,
-              answer_order
+              answer_order,
+              match_text,
+              match_key
             )
           `)
           .eq('assignment_id', quizId)
           .order('question_number', { ascending: true });
 
+        const { questions: resolvedQuestions } = await resolveBankQuestions(questionRows || []);
+        const { questions: quizQuestions } = await applyQuestionVersions(resolvedQuestions);
+
+        // Students get the section draws, shuffled order and calculated
+        // values of their current (or next) attempt, at the question versions
+        // it was shown
+        let questionsData = quizQuestions;
+        let layout = null;
+        let variables = null;
+        if (isEnrolled) {
+          const { draft } = await findDraftAttempt(quizId, userId);
+          const { nextAttemptNumber } = await getAttemptHistory(quizId, userId);
+          const seed = getShuffleSeed({ attempt: draft, assignmentId: quizId, studentId: userId, attemptNumber: nextAttemptNumber });
+
+          const { questions: attemptQuestions } = await appendSectionQuestions(quizId, resolvedQuestions, { attempt: draft, seed });
+          ({ questions: questionsData } = await applyQuestionVersions(attemptQuestions, draft));
+
+          const hasCalculated = questionsData.some(q => q.question_type === 'calculated');
+          if (isShuffledQuiz(quiz) || hasCalculated) {
+            layout = resolveAttemptLayout(quiz, questionsData, draft);
+            variables = resolveAttemptVariables(questionsData, { attempt: draft, seed });
+          }
+        }
+
         if (questionsData) {
-          questions = questionsData.map(q => ({
-            id: q.id,
-            questionNumber: q.question_number,
-            title: q.title,
-            questionText: q.question_text,
-            questionType: q.question_type,
-            points: q.points,
-            imageUrl: q.image_url,
-            answers: q.quiz_question_answers
-              .sort((a, b) => a.answer_order - b.answer_order)
-              .map(answer => ({
-                id: answer.id,
-                answerText: answer.answer_text,
-                isCorrect: isInstructor || isAdmin ? answer.is_correct : undefined,
-                feedback: answer.feedback,
-                answerOrder: answer.answer_order
-              }))
-          }));
+          questions = applyAttemptVariables(applyAttemptLayout(questionsData, layout), variables).map(q => {
+            const question = {
+              id: q.id,
+              questionNumber: q.question_number,
+              title: q.title,
+              questionText: q.question_text,
+              questionType: q.question_type,
+              points: q.points,
+              imageUrl: q.image_url,
+              ...(q.question_type === 'fill_in_blanks' && { blanks: getBlankNames(q.question_text) })
+            };
+
+            // Matching pairs and step order are the answer key, so students
+            // get shuffled options without them
+            if (ARRANGEMENT_TYPES.includes(q.question_type) && !isInstructor && !isAdmin) {
+              return { ...question, ...presentArrangement(q) };
+            }
+
+            return {
+              ...question,
+              answers: (layout ? q.quiz_question_answers : q.quiz_question_answers.sort((a, b) => a.answer_order - b.answer_order))
+                .map(answer => ({
+                  id: answer.id,
+                  answerText: answer.answer_text,
+                  isCorrect: isInstructor || isAdmin ? answer.is_correct : undefined,
+                  feedback: answer.feedback,
+                  answerOrder: answer.answer_order,
+                  ...(q.question_type === 'matching' && { matchText: answer.match_text, matchKey: answer.match_key })
+                }))
+            };
+          });
         }
       }
     }
@@ -900,7 +1010,7 @@ export const getQuizDetails = async (req, res) => {
     if (isEnrolled && !isInstructor && !isAdmin && !canTakeQuiz) {
       if (!quiz.is_published) {
         message = 'Quiz is not yet published by the instructor';
-      } else if (attemptInfo.currentAttempts >= attemptInfo.maxAttempts) {
+      } else if (!attemptInfo.canRetake && !attemptInfo.hasUnfinishedAttempt) {
         message = `You have used all ${attemptInfo.maxAttempts} attempt(s) for this quiz`;
       } else if (!attemptInfo.isAvailable) {
         const now = new Date();
@@ -924,6 +1034,9 @@ export const getQuizDetails = async (req, res) => {
       },
       canEdit: isInstructor || isAdmin,
       canTake: canTakeQuiz,
+      accessCodeRequired,
+      pagedDelivery,
+      attemptRequired,
       attemptInfo: isEnrolled && !isInstructor && !isAdmin ? attemptInfo : undefined,
       message: message || undefined
     };
@@ -1119,6 +1232,7 @@ export const getStudentAssessmentData = async (req, res) => {
           max_points,
           due_date,
           is_published,
+          scoring_policy,
           created_at
         `)
         .eq('course_id', course.id)
@@ -1157,10 +1271,14 @@ export const getStudentAssessmentData = async (req, res) => {
             // Continue with empty submissions array
           }
 
-          // Calculate best score and latest attempt
+          // Calculate best score, latest attempt and the score the scoring policy counts
           let bestScore = null;
           let latestSubmission = null;
           let totalAttempts = submissions?.length || 0;
+          const { score: countedScore } = applyScoringPolicy(
+            submissions?.filter(sub => sub.status === 'graded'),
+            assessment.scoring_policy
+          );
 
           if (submissions && submissions.length > 0) {
             // Get latest submission (first in ordered list)
@@ -1177,8 +1295,8 @@ export const getStudentAssessmentData = async (req, res) => {
           }
 
           // Calculate percentage if we have a score and max points
-          const percentage = (bestScore !== null && assessment.max_points > 0) 
-            ? Math.round((bestScore / assessment.max_points) * 100) 
+          const percentage = (countedScore !== null && assessment.max_points > 0) 
+            ? Math.round((countedScore / assessment.max_points) * 100) 
             : null;
 
           assessmentsWithMarks.push({
@@ -1189,9 +1307,11 @@ export const getStudentAssessmentData = async (req, res) => {
               type: assessment.assignment_type,
               maxPoints: assessment.max_points,
               dueDate: assessment.due_date,
+              scoringPolicy: assessment.scoring_policy,
               createdAt: assessment.created_at
             },
             marks: {
+              score: countedScore,
               bestScore: bestScore,
               latestScore: latestSubmission?.score || null,
               percentage: percentage,
@@ -1302,7 +1422,8 @@ export const getFullTeacherAssessmentData = async (req, res) => {
           title,
           assignment_type,
           max_points,
-          due_date
+          due_date,
+          scoring_policy
         `)
         .eq('course_id', course.id)
         .eq('is_published', true);
@@ -1321,6 +1442,7 @@ export const getFullTeacherAssessmentData = async (req, res) => {
           .select(`
             id,
             student_id,
+            status,
             score,
             submitted_at,
             graded_at,
@@ -1340,13 +1462,14 @@ export const getFullTeacherAssessmentData = async (req, res) => {
           continue;
         }
 
-        // Group by student to get only latest attempts
+        // Group by student and keep the attempt the scoring policy counts
+        const countedByStudent = applyScoringPolicyByGroup(submissions, assignment.scoring_policy);
         const studentMap = {};
-        for (const sub of submissions) {
-          if (!studentMap[sub.student_id]) {
-            studentMap[sub.student_id] = sub;
+        Object.values(countedByStudent).forEach(({ submission, score }) => {
+          if (submission) {
+            studentMap[submission.student_id] = { ...submission, score };
           }
-        }
+        });
 
         assessments.push({
           assignment: {
@@ -1354,7 +1477,8 @@ export const getFullTeacherAssessmentData = async (req, res) => {
             title: assignment.title,
             type: assignment.assignment_type,
             maxPoints: assignment.max_points,
-            dueDate: assignment.due_date
+            dueDate: assignment.due_date,
+            scoringPolicy: assignment.scoring_policy
           },
           studentSubmissions: Object.values(studentMap).map(sub => ({
             student: {
@@ -1435,6 +1559,7 @@ export const getTeacherAssessmentData = async (req, res) => {
         available_until,
         is_published,
         allowed_attempts,
+        scoring_policy,
         has_time_limit,
         time_limit_minutes,
         created_at,
@@ -1559,8 +1684,8 @@ export const getTeacherAssessmentData = async (req, res) => {
       return res.status(500).json(createErrorResponse('Failed to fetch submission data'));
     }
 
-    // 4. Create a map of best/latest submissions per student
-    const submissionMap = {};
+    // 4. Create a map of the counted submission per student (per the scoring policy)
+    const countedSubmissions = applyScoringPolicyByGroup(submissions || [], assignment.scoring_policy);
     const allSubmissionsMap = {};
     
     submissions?.forEach(sub => {
@@ -1569,27 +1694,6 @@ export const getTeacherAssessmentData = async (req, res) => {
         allSubmissionsMap[sub.student_id] = [];
       }
       allSubmissionsMap[sub.student_id].push(sub);
-
-      // Track best submission (highest score, or latest if no score)
-      if (!submissionMap[sub.student_id]) {
-        submissionMap[sub.student_id] = sub;
-      } else {
-        const existing = submissionMap[sub.student_id];
-        // Prioritize graded submissions, then highest score, then most recent
-        if (sub.status === 'graded' && existing.status !== 'graded') {
-          submissionMap[sub.student_id] = sub;
-        } else if (sub.status === existing.status) {
-          if (sub.score !== null && existing.score !== null) {
-            if (sub.score > existing.score) {
-              submissionMap[sub.student_id] = sub;
-            }
-          } else if (sub.score !== null && existing.score === null) {
-            submissionMap[sub.student_id] = sub;
-          } else if (new Date(sub.submitted_at) > new Date(existing.submitted_at)) {
-            submissionMap[sub.student_id] = sub;
-          }
-        }
-      }
     });
 
     // 5. Process student data with their submission information
@@ -1605,8 +1709,11 @@ export const getTeacherAssessmentData = async (req, res) => {
 
     enrollments.forEach(enrollment => {
       const student = enrollment.users;
-      const bestSubmission = submissionMap[student.id];
       const allAttempts = allSubmissionsMap[student.id] || [];
+      const counted = countedSubmissions[student.id];
+      // A student with only an in-progress attempt still shows as pending
+      const bestSubmission = counted?.submission || allAttempts[0];
+      const countedScore = counted?.submission ? counted.score : null;
       
       // Determine student status for this assignment
       let status = 'not_started';
@@ -1625,11 +1732,11 @@ export const getTeacherAssessmentData = async (req, res) => {
           pendingCount++;
         }
 
-        if (bestSubmission.score !== null && bestSubmission.score !== undefined) {
-          earnedPoints = bestSubmission.score;
+        if (countedScore !== null && countedScore !== undefined) {
+          earnedPoints = countedScore;
           percentage = assignment.max_points > 0 ? 
-            Math.round((bestSubmission.score / assignment.max_points) * 100) : 0;
-          scores.push(bestSubmission.score);
+            Math.round((countedScore / assignment.max_points) * 100) : 0;
+          scores.push(countedScore);
         }
       } else {
         // Check if assignment is overdue
@@ -1653,7 +1760,7 @@ export const getTeacherAssessmentData = async (req, res) => {
         submission: bestSubmission ? {
           id: bestSubmission.id,
           status: bestSubmission.status,
-          score: bestSubmission.score,
+          score: earnedPoints,
           percentage: percentage,
           submittedAt: bestSubmission.submitted_at,
           gradedAt: bestSubmission.graded_at,
@@ -1721,6 +1828,7 @@ export const getTeacherAssessmentData = async (req, res) => {
         availableUntil: assignment.available_until,
         isPublished: assignment.is_published,
         allowedAttempts: assignment.allowed_attempts,
+        scoringPolicy: assignment.scoring_policy,
         hasTimeLimit: assignment.has_time_limit,
         timeLimitMinutes: assignment.time_limit_minutes,
         createdAt: assignment.created_at
@@ -1841,6 +1949,7 @@ export const getTeacherOverviewData = async (req, res) => {
           max_points,
           due_date,
           is_published,
+          scoring_policy,
           created_at
         `)
         .eq('course_id', course.id)
@@ -1873,40 +1982,34 @@ export const getTeacherOverviewData = async (req, res) => {
             student_id,
             status,
             score,
-            attempt_number
+            attempt_number,
+            submitted_at
           `)
           .in('assignment_id', assessmentIds)
           .order('student_id')
           .order('attempt_number', { ascending: false });
 
         if (!submissionError && submissions) {
-          // Calculate points and create best submission map
-          const bestSubmissions = {};
-          submissions.forEach(sub => {
-            if (!bestSubmissions[`${sub.student_id}-${sub.assignment_id}`]) {
-              bestSubmissions[`${sub.student_id}-${sub.assignment_id}`] = sub;
-            } else {
-              const existing = bestSubmissions[`${sub.student_id}-${sub.assignment_id}`];
-              if (sub.score > existing.score || 
-                  (sub.score === existing.score && sub.status === 'graded' && existing.status !== 'graded')) {
-                bestSubmissions[`${sub.student_id}-${sub.assignment_id}`] = sub;
-              }
-            }
-          });
-
-          // Calculate course statistics
+          // Calculate course statistics from each student's counted submission
           assessments.forEach(assessment => {
             courseStats.totalPoints += assessment.max_points || 0;
-          });
 
-          Object.values(bestSubmissions).forEach(submission => {
-            courseStats.totalSubmissions++;
-            if (submission.status === 'graded') {
-              courseStats.gradedSubmissions++;
-            }
-            if (submission.score !== null) {
-              courseStats.earnedPoints += submission.score;
-            }
+            const countedSubmissions = applyScoringPolicyByGroup(
+              submissions.filter(sub => sub.assignment_id === assessment.id),
+              assessment.scoring_policy
+            );
+
+            Object.values(countedSubmissions).forEach(({ submission, score }) => {
+              if (!submission) return;
+
+              courseStats.totalSubmissions++;
+              if (submission.status === 'graded') {
+                courseStats.gradedSubmissions++;
+              }
+              if (score !== null) {
+                courseStats.earnedPoints += score;
+              }
+            });
           });
         }
       }
@@ -2066,13 +2169,12 @@ const getPerformanceLevel = (percentage) => {
       });
     }
 
-    // Verify the question exists and belongs to this assignment
-    const { data: question, error: questionError } = await supabase
-      .from('quiz_questions')
-      .select('id, points, question_type')
-      .eq('id', questionId)
-      .eq('assignment_id', submission.assignment_id)
-      .single();
+    // Verify the question belongs to this attempt: one of the quiz's own, or
+    // one the attempt drew from a section
+    const { questions: allQuestions, error: questionError } = await loadQuizQuestions(submission.assignment_id, {
+      attempt: submission
+    });
+    const question = allQuestions.find(q => q.id === questionId);
 
     if (questionError || !question) {
       return res.status(404).json({
@@ -2114,49 +2216,16 @@ const getPerformanceLevel = (percentage) => {
       }
     };
 
-    // Update the detailedResults for this question
-    const updatedDetailedResults = {
-      ...detailedResults,
-      [questionId]: {
-        ...detailedResults[questionId],
-        points: points,
-        requiresManualGrading: false,
-        isGraded: true,
-        gradedAt: new Date().toISOString(),
-        gradedBy: teacherId
-      }
-    };
-
-    // Calculate new total score from detailedResults
-    let totalScore = 0;
-    
-    // Get all questions for this assignment to calculate total
-    const { data: allQuestions } = await supabase
-      .from('quiz_questions')
-      .select('id, points, question_type')
-      .eq('assignment_id', submission.assignment_id)
-      .order('question_number');
-
-    // Calculate total score from all graded questions
-    if (allQuestions) {
-      totalScore = allQuestions.reduce((sum, q) => {
-        const result = updatedDetailedResults[q.id];
-        if (result && result.points !== undefined) {
-          return sum + (result.points || 0);
-        }
-        return sum;
-      }, 0);
-    }
-
-    // Check if all questions are now graded
-    const allGraded = allQuestions?.every(q => {
-      const result = updatedDetailedResults[q.id];
-      return result && (!result.requiresManualGrading || result.isGraded);
-    });
+    // Update the detailedResults for this question and total them up
+    const updatedDetailedResults = applyManualGrade(detailedResults, questionId, { points, gradedBy: teacherId });
+    const { score: totalScore, requiresManualGrading } = computeSubmissionScore(allQuestions, updatedDetailedResults);
+    const allGraded = !requiresManualGrading;
 
-    // Update the quiz data with new structure
+    // Update the quiz data with new structure. The score is the questions'
+    // points again, so a score set for the whole submission no longer applies.
     const updatedQuizData = {
       ...currentQuizData,
+      scoreOverride: undefined,
       answers: updatedAnswers,
       detailedResults: updatedDetailedResults,
       autoGradedScore: currentQuizData.autoGradedScore || 0,
@@ -2204,6 +2273,19 @@ const getPerformanceLevel = (percentage) => {
       });
     }
 
+    const { error: auditError } = await recordGradeChange(submission, {
+      action: 'question_grade',
+      previousScore: submission.score,
+      newScore: totalScore,
+      changedBy: teacherId,
+      details: {
+        questionId,
+        previousPoints: detailedResults[questionId]?.points ?? null,
+        points
+      }
+    });
+    if (auditError) console.error('Error recording grade change:', auditError);
+
     // Return success response with updated data
     res.json({
       success: true,
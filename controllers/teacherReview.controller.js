@@ -1,6 +1,18 @@
 // controllers/teacherReview.controller.js
 import { validationResult } from 'express-validator';
 import supabase from '../config/postgres.js';
+import { applyScoringPolicy, applyScoringPolicyByGroup } from '../utils/scoringPolicy.js';
+import { getPresentedNumber } from '../utils/quizShuffle.js';
+import { describeNumericAnswer } from '../utils/numericAnswer.js';
+import { describeUnitAnswer } from '../utils/unitAnswer.js';
+import { describeExpressionAnswer } from '../utils/algebraicExpression.js';
+import { getSelectedAnswerIds } from '../utils/multipleAnswers.js';
+import { getBlankNames } from '../utils/fillInBlanks.js';
+import { describeCalculatedAnswer } from '../utils/calculatedQuestion.js';
+import { gradeQuestion } from '../utils/quizGrading.js';
+import { loadQuizQuestions } from '../utils/quizQuestions.js';
+import { parseQuizData } from '../utils/quizData.js';
+import { recordGradeChange } from '../utils/gradeAudit.js';
 
 // Utility functions
 const createErrorResponse = (message, errors = null) => ({
@@ -32,6 +44,134 @@ const calculateLetterGrade = (percentage) => {
   return 'F';
 };
 
+// Helper function to shape a question and its answer key for review
+const formatReviewQuestion = (q, shortAnswerOptions = []) => ({
+  id: q.id,
+  questionNumber: q.question_number,
+  title: q.title,
+  questionText: q.question_text,
+  questionType: q.question_type,
+  points: q.points,
+  imageUrl: q.image_url,
+  shortAnswerMatchType: q.short_answer_match_type,
+  shortAnswerCaseSensitive: q.short_answer_case_sensitive,
+  gradingConfig: q.grading_config,
+  answers: [...(q.quiz_question_answers || [])]
+    .sort((a, b) => a.answer_order - b.answer_order)
+    .map(answer => ({
+      id: answer.id,
+      answerText: answer.answer_text,
+      isCorrect: answer.is_correct,
+      feedback: answer.feedback,
+      answerOrder: answer.answer_order,
+      matchText: answer.match_text,
+      matchKey: answer.match_key
+    })),
+  shortAnswerOptions: shortAnswerOptions || []
+});
+
+// Helper function to describe a student's answer to a review question and its
+// correct answer as text. `variables` are the attempt's values for a
+// calculated question.
+const describeReviewAnswer = (question, studentAnswer, variables) => {
+  let studentAnswerText = 'No answer provided';
+  let correctAnswerText = 'No correct answer';
+  const answerText = (ids) => question.answers
+    .filter(answer => ids.includes(answer.id))
+    .map(answer => answer.answerText)
+    .join(', ');
+  const textAnswer = studentAnswer?.textAnswer ?? studentAnswer?.numericAnswer;
+  const hasTextAnswer = textAnswer !== undefined && textAnswer !== null && textAnswer !== '';
+
+  switch (question.questionType) {
+    case 'multiple_choice':
+    case 'true_false':
+      if (studentAnswer?.answerId) {
+        studentAnswerText = question.answers.find(a => a.id === studentAnswer.answerId)?.answerText || 'Answer not found';
+      }
+      correctAnswerText = question.answers.find(a => a.isCorrect)?.answerText || correctAnswerText;
+      break;
+
+    case 'multiple_answers': {
+      const selectedIds = getSelectedAnswerIds(studentAnswer);
+      if (selectedIds.length > 0) {
+        studentAnswerText = answerText(selectedIds) || 'Answer not found';
+      }
+      correctAnswerText = answerText(question.answers.filter(a => a.isCorrect).map(a => a.id)) || correctAnswerText;
+      break;
+    }
+
+    case 'matching': {
+      const matches = studentAnswer?.matches || {};
+      const matchTextByKey = new Map(question.answers.map(answer => [answer.matchKey, answer.matchText]));
+      if (Object.keys(matches).length > 0) {
+        studentAnswerText = question.answers
+          .map(answer => `${answer.answerText} → ${matchTextByKey.get(matches[answer.id]) ?? '—'}`)
+          .join('; ');
+      }
+      correctAnswerText = question.answers
+        .map(answer => `${answer.answerText} → ${answer.matchText}`)
+        .join('; ');
+      break;
+    }
+
+    case 'ordering': {
+      const answerTextById = new Map(question.answers.map(answer => [answer.id, answer.answerText]));
+      if (Array.isArray(studentAnswer?.order) && studentAnswer.order.length > 0) {
+        studentAnswerText = studentAnswer.order.map(id => answerTextById.get(id) ?? '—').join(' → ');
+      }
+      correctAnswerText = question.answers.map(answer => answer.answerText).join(' → ');
+      break;
+    }
+
+    case 'fill_in_blanks': {
+      const blankAnswers = studentAnswer?.blanks || {};
+      const names = question.gradingConfig?.blanks || getBlankNames(question.questionText);
+      if (Object.keys(blankAnswers).length > 0) {
+        studentAnswerText = names.map(name => `${name}: ${blankAnswers[name] || '—'}`).join('; ');
+      }
+      correctAnswerText = names
+        .map(name => `${name}: ${question.shortAnswerOptions.filter(option => option.blank_name === name).map(option => option.answer_text).join(' / ')}`)
+        .join('; ');
+      break;
+    }
+
+    case 'short_answer':
+      if (hasTextAnswer) studentAnswerText = String(textAnswer);
+      // No answer key: graded by hand like an essay
+      correctAnswerText = question.shortAnswerOptions.length > 0
+        ? question.shortAnswerOptions.map(option => option.answer_text).join(', ')
+        : 'Requires manual grading';
+      break;
+
+    case 'calculated':
+      if (hasTextAnswer) studentAnswerText = String(textAnswer);
+      correctAnswerText = describeCalculatedAnswer(question.gradingConfig, variables);
+      break;
+
+    case 'numeric':
+      if (hasTextAnswer) studentAnswerText = String(textAnswer);
+      correctAnswerText = describeNumericAnswer(question.gradingConfig);
+      break;
+
+    case 'numeric_unit':
+      if (hasTextAnswer) studentAnswerText = String(textAnswer);
+      correctAnswerText = describeUnitAnswer(question.gradingConfig);
+      break;
+
+    case 'expression':
+      if (hasTextAnswer) studentAnswerText = String(textAnswer);
+      correctAnswerText = describeExpressionAnswer(question.gradingConfig);
+      break;
+
+    default:
+      if (hasTextAnswer) studentAnswerText = String(textAnswer);
+      correctAnswerText = 'Requires manual grading';
+  }
+
+  return { studentAnswerText, correctAnswerText };
+};
+
 // Helper function to determine performance level
 const getPerformanceLevel = (percentage) => {
   if (percentage >= 90) return 'excellent';
@@ -73,10 +213,12 @@ export const getAssessmentReview = async (req, res) => {
         available_until,
         is_published,
         allowed_attempts,
+        scoring_policy,
         has_time_limit,
         time_limit_minutes,
         show_correct_answers,
         shuffle_answers,
+        shuffle_questions,
         one_question_at_time,
         cant_go_back,
         created_at,
@@ -101,138 +243,22 @@ export const getAssessmentReview = async (req, res) => {
 
     const course = assignment.courses;
 
-    // 2. Get all questions and their answers/options for this assessment (if it's a quiz)
+    // 2. Get the quiz's current questions with their answers and options (if it's a quiz)
+    let questionRows = [];
     let questions = [];
-    let correctAnswersMap = {};
-    let shortAnswerOptionsMap = {};
 
     if (assignment.assignment_type === 'quiz') {
-      // Fetch questions with multiple choice answers
-      const { data: questionsData, error: questionsError } = await supabase
-        .from('quiz_questions')
-        .select(`
-          id,
-          question_number,
-          title,
-          question_text,
-          question_type,
-          points,
-          image_url,
-          short_answer_match_type,
-          short_answer_case_sensitive,
-          quiz_question_answers (
-            id,
-            answer_text,
-            is_correct,
-            feedback,
-            answer_order
-          )
-        `)
-        .eq('assignment_id', assessmentId)
-        .order('question_number', { ascending: true });
+      const { questions: questionsData, error: questionsError } = await loadQuizQuestions(assessmentId);
 
       if (questionsError) {
         console.error('Error fetching questions:', questionsError);
         return res.status(500).json(createErrorResponse('Failed to fetch quiz questions'));
       }
 
-      // Fetch short answer options separately
-      const { data: shortAnswerOptions, error: shortAnswerError } = await supabase
-        .from('quiz_short_answer_options')
-        .select(`
-          id,
-          question_id,
-          answer_text,
-          is_case_sensitive,
-          is_exact_match,
-          answer_order
-        `)
-        .in('question_id', questionsData.map(q => q.id))
-        .order('answer_order', { ascending: true });
-
-      if (shortAnswerError) {
-        console.error('Error fetching short answer options:', shortAnswerError);
-      }
-
-      // Organize short answer options by question ID
-      if (shortAnswerOptions) {
-        shortAnswerOptions.forEach(option => {
-          if (!shortAnswerOptionsMap[option.question_id]) {
-            shortAnswerOptionsMap[option.question_id] = [];
-          }
-          shortAnswerOptionsMap[option.question_id].push(option);
-        });
-      }
-
-      if (questionsData) {
-        questions = questionsData.map(q => ({
-          id: q.id,
-          questionNumber: q.question_number,
-          title: q.title,
-          questionText: q.question_text,
-          questionType: q.question_type,
-          points: q.points,
-          imageUrl: q.image_url,
-          shortAnswerMatchType: q.short_answer_match_type,
-          shortAnswerCaseSensitive: q.short_answer_case_sensitive,
-          answers: q.quiz_question_answers
-            .sort((a, b) => a.answer_order - b.answer_order)
-            .map(answer => ({
-              id: answer.id,
-              answerText: answer.answer_text,
-              isCorrect: answer.is_correct,
-              feedback: answer.feedback,
-              answerOrder: answer.answer_order
-            })),
-          shortAnswerOptions: shortAnswerOptionsMap[q.id] || []
-        }));
-
-        // Create a map of correct answers for quick lookup
-        questions.forEach(question => {
-          if (question.questionType === 'multiple_choice' || question.questionType === 'true_false') {
-            const correctAnswer = question.answers.find(a => a.isCorrect);
-            if (correctAnswer) {
-              correctAnswersMap[question.id] = correctAnswer.id;
-            }
-          }
-        });
-      }
+      questionRows = questionsData;
+      questions = questionsData.map(q => formatReviewQuestion(q, q.quiz_short_answer_options));
     }
 
-    // Helper function to grade short answer
-    const gradeShortAnswer = (studentAnswer, acceptableAnswers, matchType = 'exact', caseSensitive = false) => {
-      if (!studentAnswer || !acceptableAnswers || acceptableAnswers.length === 0) {
-        return false;
-      }
-
-      let cleanStudentAnswer = studentAnswer.trim();
-
-      for (const acceptable of acceptableAnswers) {
-        let cleanAcceptableAnswer = acceptable.answer_text.trim();
-
-        // Handle case sensitivity
-        if (!caseSensitive && !acceptable.is_case_sensitive) {
-          cleanStudentAnswer = cleanStudentAnswer.toLowerCase();
-          cleanAcceptableAnswer = cleanAcceptableAnswer.toLowerCase();
-        }
-
-        // Check match type
-        const isExactMatch = acceptable.is_exact_match !== undefined ? acceptable.is_exact_match : (matchType === 'exact');
-
-        if (isExactMatch) {
-          if (cleanStudentAnswer === cleanAcceptableAnswer) {
-            return true;
-          }
-        } else {
-          if (cleanStudentAnswer.includes(cleanAcceptableAnswer) || cleanAcceptableAnswer.includes(cleanStudentAnswer)) {
-            return true;
-          }
-        }
-      }
-
-      return false;
-    };
-
     // 3. Get all enrolled students in the course
     console.log('Fetching enrollments for course ID:', course.id);
 
@@ -352,8 +378,8 @@ export const getAssessmentReview = async (req, res) => {
       };
     }) || [];
 
-    // 5. Process submissions - get best/latest per student
-    const submissionMap = {};
+    // 5. Process submissions - get the counted submission per student (per the scoring policy)
+    const countedSubmissions = applyScoringPolicyByGroup(processedSubmissions, assignment.scoring_policy);
     const allSubmissionsMap = {};
 
     processedSubmissions.forEach(sub => {
@@ -361,26 +387,25 @@ export const getAssessmentReview = async (req, res) => {
         allSubmissionsMap[sub.student_id] = [];
       }
       allSubmissionsMap[sub.student_id].push(sub);
+    });
 
-      if (!submissionMap[sub.student_id]) {
-        submissionMap[sub.student_id] = sub;
-      } else {
-        const existing = submissionMap[sub.student_id];
-        if (sub.status === 'graded' && existing.status !== 'graded') {
-          submissionMap[sub.student_id] = sub;
-        } else if (sub.status === existing.status) {
-          if (sub.score !== null && existing.score !== null) {
-            if (sub.score > existing.score) {
-              submissionMap[sub.student_id] = sub;
-            }
-          } else if (sub.score !== null && existing.score === null) {
-            submissionMap[sub.student_id] = sub;
-          } else if (new Date(sub.submitted_at) > new Date(existing.submitted_at)) {
-            submissionMap[sub.student_id] = sub;
-          }
+    // Questions each counted attempt was shown: its section draws, archived
+    // questions it had and the versions it saw them at
+    const reviewQuestionsBySubmission = {};
+    if (assignment.assignment_type === 'quiz') {
+      for (const counted of Object.values(countedSubmissions)) {
+        const submission = counted?.submission;
+        if (!submission) continue;
+
+        const { questions: attemptQuestions, error: attemptQuestionsError } = await loadQuizQuestions(assessmentId, { attempt: submission });
+        if (attemptQuestionsError) {
+          console.error('Error fetching questions for submission', submission.id, ':', attemptQuestionsError);
+          return res.status(500).json(createErrorResponse('Failed to fetch quiz questions'));
         }
+
+        reviewQuestionsBySubmission[submission.id] = attemptQuestions;
       }
-    });
+    }
 
     // 6. Process student data with detailed answers
     const studentReviews = [];
@@ -393,7 +418,8 @@ export const getAssessmentReview = async (req, res) => {
 
     enrollments.forEach(enrollment => {
       const student = enrollment.users;
-      const bestSubmission = submissionMap[student.id];
+      const counted = countedSubmissions[student.id];
+      const bestSubmission = counted?.submission || null;
       const allAttempts = allSubmissionsMap[student.id] || [];
 
       let studentAnswers = null;
@@ -411,7 +437,9 @@ export const getAssessmentReview = async (req, res) => {
           submittedCount++;
         }
 
-        earnedPoints = bestSubmission.score;
+        // The stored score is the grade, as regrades and teacher grades left
+        // it (averaged across attempts under the average scoring policy)
+        earnedPoints = counted.score;
 
         // Parse quiz answers if available
         if (bestSubmission.quiz_data && assignment.assignment_type === 'quiz') {
@@ -421,124 +449,43 @@ export const getAssessmentReview = async (req, res) => {
 
             studentAnswers = quizData.answers || quizData;
 
-            // Analyze answers against correct answers
+            // Each answer's result as it was stored when graded (submit, manual
+            // grades, regrades); the grading engine grades any question without one
             answerAnalysis = {};
-            let correctCount = 0;
-            let totalQuestions = questions.length;
-            let totalPointsEarned = 0;
+            const attemptQuestions = reviewQuestionsBySubmission[bestSubmission.id] || questionRows;
+            const detailedResults = quizData.detailedResults || {};
+            const variables = quizData.variables || {};
             let totalPossiblePoints = 0;
 
-            // Fix the answer analysis logic to handle essay questions properly
-            questions.forEach(question => {
+            attemptQuestions.forEach(questionRow => {
+              const question = formatReviewQuestion(questionRow, questionRow.quiz_short_answer_options);
               const studentAnswer = studentAnswers[question.id];
+              const result = detailedResults[question.id] || gradeQuestion(questionRow, studentAnswer, { variables });
+              const pointsEarned = result.points || 0;
+              const { studentAnswerText, correctAnswerText } = describeReviewAnswer(question, studentAnswer, variables[question.id]);
+
               totalPossiblePoints += question.points;
-              let isCorrect = false;
-              let pointsEarned = 0;
-              let studentAnswerText = 'No answer provided';
-              let correctAnswerText = 'No correct answer';
-
-              if (studentAnswer) {
-                if (question.questionType === 'multiple_choice' || question.questionType === 'true_false') {
-                  // Handle multiple choice and true/false
-                  const correctAnswerId = correctAnswersMap[question.id];
-
-                  if (studentAnswer.answerId) {
-                    isCorrect = studentAnswer.answerId === correctAnswerId;
-
-                    const selectedAnswer = question.answers.find(a => a.id === studentAnswer.answerId);
-                    const correctAnswer = question.answers.find(a => a.isCorrect);
-
-                    studentAnswerText = selectedAnswer?.answerText || 'Answer not found';
-                    correctAnswerText = correctAnswer?.answerText || 'No correct answer';
-                  }
-                } else if (question.questionType === 'short_answer') {
-                  // Handle short answer questions
-                  if (studentAnswer.textAnswer) {
-                    studentAnswerText = studentAnswer.textAnswer;
-
-                    // Get acceptable answers for this question
-                    const acceptableAnswers = question.shortAnswerOptions || [];
-
-                    if (acceptableAnswers.length > 0) {
-                      isCorrect = gradeShortAnswer(
-                        studentAnswer.textAnswer,
-                        acceptableAnswers,
-                        question.shortAnswerMatchType,
-                        question.shortAnswerCaseSensitive
-                      );
-
-                      // Show all acceptable answers
-                      correctAnswerText = acceptableAnswers
-                        .map(option => option.answer_text)
-                        .join(', ');
-                    }
-                  }
-
-                  // Replace the essay question handling section (around lines 180-190) with this:
-
-                } else if (question.questionType === 'essay') {
-                  // Handle essay questions
-                  if (studentAnswer.textAnswer) {
-                    studentAnswerText = studentAnswer.textAnswer;
-                    correctAnswerText = 'Requires manual grading';
-
-                    // Check if this essay has been manually graded
-                    // Look for saved points in the quiz_data structure
-                    if (studentAnswer.pointsEarned !== undefined && studentAnswer.pointsEarned !== null) {
-                      // Points were saved directly in the answer object
-                      pointsEarned = studentAnswer.pointsEarned;
-                      isCorrect = pointsEarned > 0;
-                      totalPointsEarned += pointsEarned;
-                    } else if (quizData.detailedResults && quizData.detailedResults[question.id]) {
-                      // Points might be saved in detailedResults
-                      const detailedResult = quizData.detailedResults[question.id];
-                      if (detailedResult.points !== undefined && detailedResult.points !== null) {
-                        pointsEarned = detailedResult.points;
-                        isCorrect = pointsEarned > 0;
-                        totalPointsEarned += pointsEarned;
-                      }
-                    }
-
-                    // Mark as graded if points have been assigned or if explicitly marked as graded
-                    const isGraded = studentAnswer.isGraded ||
-                      (quizData.detailedResults && quizData.detailedResults[question.id] && quizData.detailedResults[question.id].isGraded) ||
-                      (pointsEarned !== undefined && pointsEarned !== null);
-                  }
-                }
-
-                if (isCorrect) {
-                  correctCount++;
-                  pointsEarned = question.points;
-                  totalPointsEarned += question.points;
-                }
-              }
-
-              // Replace the answerAnalysis assignment (around line 200-210) with this:
 
               answerAnalysis[question.id] = {
                 questionNumber: question.questionNumber,
+                // Position the student saw the question at when the quiz was shuffled
+                presentedNumber: getPresentedNumber(quizData.layout, question.id) ?? question.questionNumber,
                 questionText: question.questionText,
                 questionPoints: question.points,
                 studentAnswerId: studentAnswer?.answerId || null,
+                studentAnswerIds: question.questionType === 'multiple_answers' ? getSelectedAnswerIds(studentAnswer) : undefined,
                 studentAnswerText: studentAnswerText,
                 correctAnswerText: correctAnswerText,
-                isCorrect: isCorrect,
+                isCorrect: !!result.correct,
                 pointsEarned: pointsEarned,
+                gradingReason: result.reason || null,
                 feedback: studentAnswer?.feedback || null,
-                // Add grading information for essay questions
-                isGraded: question.questionType === 'essay' ? (
-                  studentAnswer?.isGraded ||
-                  (quizData.detailedResults && quizData.detailedResults[question.id] && quizData.detailedResults[question.id].isGraded) ||
-                  (pointsEarned !== undefined && pointsEarned !== null)
-                ) : true // Non-essay questions are considered auto-graded
+                // Questions waiting for a teacher (essays, short answers without a key)
+                isGraded: !result.requiresManualGrading
               };
             });
-            // Always use the recalculated points from analysis for quiz submissions
-            // This ensures we use the correct auto-graded score
-            earnedPoints = totalPointsEarned;
-
-            // Calculate percentage based on analysis
-            if (totalPossiblePoints > 0) {
+            // Calculate percentage out of the questions this attempt was given
+            if (earnedPoints !== null && earnedPoints !== undefined && totalPossiblePoints > 0) {
               percentage = Math.round((earnedPoints / totalPossiblePoints) * 100);
             }
           } catch (error) {
@@ -546,12 +493,12 @@ export const getAssessmentReview = async (req, res) => {
           }
         }
 
-        // Track statistics - always use recalculated earnedPoints for quizzes
+        // Track statistics
         if (earnedPoints !== null && earnedPoints !== undefined) {
           totalScore += earnedPoints;
           scoredSubmissions++;
 
-          // Calculate percentage based on actual earned points, not stored score
+          // Calculate percentage out of the assignment's points
           if (!percentage && assignment.max_points > 0) {
             percentage = Math.round((earnedPoints / assignment.max_points) * 100);
           }
@@ -654,10 +601,12 @@ export const getAssessmentReview = async (req, res) => {
         availableUntil: assignment.available_until,
         isPublished: assignment.is_published,
         allowedAttempts: assignment.allowed_attempts,
+        scoringPolicy: assignment.scoring_policy,
         hasTimeLimit: assignment.has_time_limit,
         timeLimitMinutes: assignment.time_limit_minutes,
         showCorrectAnswers: assignment.show_correct_answers,
         shuffleAnswers: assignment.shuffle_answers,
+        shuffleQuestions: assignment.shuffle_questions,
         oneQuestionAtTime: assignment.one_question_at_time,
         cantGoBack: assignment.cant_go_back,
         createdAt: assignment.created_at,
@@ -744,7 +693,9 @@ export const getStudentSubmissionReview = async (req, res) => {
 };
 
 /**
- * Grade or update grade for a student submission
+ * Grade or update grade for a student submission: the attempt their scoring
+ * policy counts, or the one given by submissionId. Every change is kept in
+ * the grade audit log.
  */
 export const gradeSubmission = async (req, res) => {
   try {
@@ -754,7 +705,7 @@ export const gradeSubmission = async (req, res) => {
     }
 
     const { assessmentId } = req.params;
-    const { studentId, score, feedback } = req.body;
+    const { studentId, submissionId, score, feedback } = req.body;
     const teacherId = req.user.id;
 
     console.log(`Grading submission - Teacher: ${teacherId}, Assessment: ${assessmentId}, Student: ${studentId}`);
@@ -765,6 +716,7 @@ export const gradeSubmission = async (req, res) => {
       .select(`
         id,
         max_points,
+        scoring_policy,
         courses!inner (instructor_id)
       `)
       .eq('id', assessmentId)
@@ -782,10 +734,94 @@ export const gradeSubmission = async (req, res) => {
       ));
     }
 
+    // Drafts are still being worked on, so they can't be graded
+    const { data: studentSubmissions, error: submissionsError } = await supabase
+      .from('assignment_submissions')
+      .select('*')
+      .eq('assignment_id', assessmentId)
+      .eq('student_id', studentId)
+      .neq('status', 'draft');
+
+    if (submissionsError) {
+      console.error('Error fetching submissions:', submissionsError);
+      return res.status(500).json(createErrorResponse('Failed to fetch submissions'));
+    }
+
+    const submission = submissionId
+      ? (studentSubmissions || []).find(sub => sub.id === submissionId)
+      : applyScoringPolicy(studentSubmissions || [], assignment.scoring_policy).submission;
+
+    if (!submission) {
+      return res.status(404).json(createErrorResponse('Submission not found'));
+    }
+
+    const gradedAt = new Date().toISOString();
+    const newScore = Number(score);
+    const newFeedback = feedback !== undefined ? feedback : submission.feedback;
+
+    // Quiz regrades keep a grade a teacher set for the whole submission
+    const quizData = submission.quiz_data ? parseQuizData(submission.quiz_data) : null;
+
+    const { data: gradedSubmission, error: updateError } = await supabase
+      .from('assignment_submissions')
+      .update({
+        score: newScore,
+        feedback: newFeedback,
+        status: 'graded',
+        graded_at: gradedAt,
+        graded_by: teacherId,
+        ...(quizData && {
+          quiz_data: JSON.stringify({
+            ...quizData,
+            scoreOverride: { score: newScore, gradedBy: teacherId, gradedAt }
+          })
+        })
+      })
+      .eq('id', submission.id)
+      .select()
+      .single();
+
+    if (updateError) {
+      console.error('Error updating grade:', updateError);
+      return res.status(500).json(createErrorResponse('Failed to update grade'));
+    }
+
+    const { error: auditError } = await recordGradeChange(submission, {
+      action: submissionId ? 'attempt_override' : 'teacher_grade',
+      previousScore: submission.score,
+      newScore,
+      changedBy: teacherId,
+      details: {
+        attemptNumber: submission.attempt_number,
+        previousStatus: submission.status,
+        ...(newFeedback !== submission.feedback && {
+          previousFeedback: submission.feedback,
+          feedback: newFeedback
+        })
+      }
+    });
+    if (auditError) console.error('Error recording grade change:', auditError);
+
+    // The student's mark may now come from a different attempt
+    const counted = applyScoringPolicy(
+      (studentSubmissions || []).map(sub => (sub.id === gradedSubmission.id ? gradedSubmission : sub)),
+      assignment.scoring_policy
+    );
+
     res.json(createSuccessResponse({
-      message: 'Grade would be updated successfully',
-      score: score,
-      feedback: feedback
+      message: 'Grade updated successfully',
+      submission: {
+        id: gradedSubmission.id,
+        attemptNumber: gradedSubmission.attempt_number,
+        previousScore: submission.score,
+        score: gradedSubmission.score,
+        feedback: gradedSubmission.feedback,
+        status: gradedSubmission.status,
+        gradedAt: gradedSubmission.graded_at,
+        gradedBy: gradedSubmission.graded_by
+      },
+      countedSubmissionId: counted.submission?.id || null,
+      finalScore: counted.score
     }));
 
   } catch (error) {
@@ -794,6 +830,70 @@ export const gradeSubmission = async (req, res) => {
   }
 };
 
+/**
+ * Get the audit trail of grade changes for an assessment, optionally for one
+ * student, newest first
+ */
+export const getGradeHistory = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json(createErrorResponse('Validation failed', errors.array()));
+    }
+
+    const { assessmentId } = req.params;
+    const { studentId } = req.query;
+    const teacherId = req.user.id;
+
+    // Verify teacher access to assessment
+    const { data: assignment, error: assignmentError } = await supabase
+      .from('assignments')
+      .select(`
+        id,
+        courses!inner (instructor_id)
+      `)
+      .eq('id', assessmentId)
+      .eq('courses.instructor_id', teacherId)
+      .single();
+
+    if (assignmentError || !assignment) {
+      return res.status(404).json(createErrorResponse('Assignment not found or access denied'));
+    }
+
+    let query = supabase
+      .from('grade_audit_log')
+      .select('*')
+      .eq('assignment_id', assessmentId);
+
+    if (studentId) query = query.eq('student_id', studentId);
+
+    const { data: entries, error } = await query.order('created_at', { ascending: false });
+
+    if (error) {
+      console.error('Error fetching grade history:', error);
+      return res.status(500).json(createErrorResponse('Failed to fetch grade history'));
+    }
+
+    res.json(createSuccessResponse({
+      history: (entries || []).map(entry => ({
+        id: entry.id,
+        submissionId: entry.submission_id,
+        studentId: entry.student_id,
+        changedBy: entry.changed_by,
+        action: entry.action,
+        previousScore: entry.previous_score,
+        newScore: entry.new_score,
+        details: entry.details,
+        createdAt: entry.created_at
+      }))
+    }));
+
+  } catch (error) {
+    console.error('Error in getGradeHistory:', error);
+    res.status(500).json(createErrorResponse('Failed to fetch grade history'));
+  }
+};
+
 /**
  * Get assessment statistics and analytics
  */
@@ -820,6 +920,85 @@ export const getAssessmentStatistics = async (req, res) => {
   }
 };
 
+/**
+ * Get the requests refused by an assessment's IP filter
+ */
+export const getAccessDenials = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json(createErrorResponse('Validation failed', errors.array()));
+    }
+
+    const { assessmentId } = req.params;
+    const teacherId = req.user.id;
+
+    // Verify teacher access to assessment
+    const { data: assignment, error: assignmentError } = await supabase
+      .from('assignments')
+      .select(`
+        id,
+        title,
+        ip_filtering,
+        ip_filter,
+        courses!inner (instructor_id)
+      `)
+      .eq('id', assessmentId)
+      .eq('courses.instructor_id', teacherId)
+      .single();
+
+    if (assignmentError || !assignment) {
+      return res.status(404).json(createErrorResponse('Assignment not found or access denied'));
+    }
+
+    const { data: denials, error: denialsError } = await supabase
+      .from('quiz_access_denials')
+      .select(`
+        id,
+        student_id,
+        ip_address,
+        action,
+        user_agent,
+        created_at,
+        users (
+          first_name,
+          last_name,
+          email
+        )
+      `)
+      .eq('assignment_id', assessmentId)
+      .order('created_at', { ascending: false });
+
+    if (denialsError) {
+      console.error('Error fetching access denials:', denialsError);
+      return res.status(500).json(createErrorResponse('Failed to fetch access denials'));
+    }
+
+    res.json(createSuccessResponse({
+      assignment: {
+        id: assignment.id,
+        title: assignment.title,
+        ipFiltering: assignment.ip_filtering,
+        ipFilter: assignment.ip_filter
+      },
+      denials: (denials || []).map(denial => ({
+        id: denial.id,
+        studentId: denial.student_id,
+        studentName: denial.users ? `${denial.users.first_name} ${denial.users.last_name}`.trim() : null,
+        studentEmail: denial.users?.email || null,
+        ipAddress: denial.ip_address,
+        action: denial.action,
+        userAgent: denial.user_agent,
+        deniedAt: denial.created_at
+      }))
+    }));
+
+  } catch (error) {
+    console.error('Error fetching access denials:', error);
+    res.status(500).json(createErrorResponse('Failed to fetch access denials'));
+  }
+};
+
 /**
  * Export assessment results
  */
@@ -847,6 +1026,8 @@ export default {
   getAssessmentReview,
   getStudentSubmissionReview,
   gradeSubmission,
+  getGradeHistory,
   getAssessmentStatistics,
+  getAccessDenials,
   exportAssessmentResults
 };
\ No newline at end of file
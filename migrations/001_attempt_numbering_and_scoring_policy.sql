@@ -0,0 +1,23 @@
+-- Which attempt counts towards a student's grade when several are allowed
+ALTER TABLE assignments
+  ADD COLUMN IF NOT EXISTS scoring_policy TEXT NOT NULL DEFAULT 'highest'
+  CHECK (scoring_policy IN ('highest', 'latest', 'first', 'average'));
+
+-- Renumber existing attempts per student so they are sequential
+WITH numbered AS (
+  SELECT id,
+         ROW_NUMBER() OVER (
+           PARTITION BY assignment_id, student_id
+           ORDER BY COALESCE(time_started, submitted_at), id
+         ) AS attempt_number
+  FROM assignment_submissions
+)
+UPDATE assignment_submissions s
+SET attempt_number = numbered.attempt_number
+FROM numbered
+WHERE s.id = numbered.id;
+
+-- Two concurrent submissions can't claim the same attempt number
+ALTER TABLE assignment_submissions
+  ADD CONSTRAINT assignment_submissions_attempt_unique
+  UNIQUE (assignment_id, student_id, attempt_number);
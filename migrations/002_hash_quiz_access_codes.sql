@@ -0,0 +1,9 @@
+-- Quiz access codes are stored as a bcrypt hash in assignments.password;
+-- the plaintext access_code column is no longer written.
+CREATE EXTENSION IF NOT EXISTS pgcrypto;
+
+UPDATE assignments
+SET password = crypt(COALESCE(password, access_code), gen_salt('bf', 12)),
+    access_code = NULL
+WHERE COALESCE(password, access_code) IS NOT NULL
+  AND COALESCE(password, '') NOT LIKE '$2_$%';
@@ -0,0 +1,13 @@
+-- Requests refused by an assignment's IP filter, kept for teachers to review
+CREATE TABLE IF NOT EXISTS quiz_access_denials (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  assignment_id UUID NOT NULL REFERENCES assignments(id) ON DELETE CASCADE,
+  student_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  ip_address TEXT,
+  action TEXT NOT NULL,
+  user_agent TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS quiz_access_denials_assignment_idx
+  ON quiz_access_denials (assignment_id, created_at DESC);
@@ -0,0 +1,4 @@
+-- Present questions in a per-attempt shuffled order (answer options already
+-- follow shuffle_answers). The order used is stored in quiz_data.layout.
+ALTER TABLE assignments
+  ADD COLUMN IF NOT EXISTS shuffle_questions BOOLEAN NOT NULL DEFAULT FALSE;
@@ -0,0 +1,8 @@
+-- Idempotency key sent with a quiz submission, so a retried request returns
+-- the original result instead of creating another attempt
+ALTER TABLE assignment_submissions
+  ADD COLUMN IF NOT EXISTS idempotency_key TEXT;
+
+CREATE UNIQUE INDEX IF NOT EXISTS assignment_submissions_idempotency_key_unique
+  ON assignment_submissions (assignment_id, student_id, idempotency_key)
+  WHERE idempotency_key IS NOT NULL;
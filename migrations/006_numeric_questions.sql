@@ -0,0 +1,8 @@
+-- Answer key for question types graded without answer rows (numeric first),
+-- e.g. {"mode": "tolerance", "value": 3e8, "tolerance": 1, "toleranceType": "percent"}
+ALTER TABLE quiz_questions
+  ADD COLUMN IF NOT EXISTS grading_config JSONB;
+
+ALTER TABLE quiz_questions DROP CONSTRAINT IF EXISTS quiz_questions_question_type_check;
+ALTER TABLE quiz_questions ADD CONSTRAINT quiz_questions_question_type_check
+  CHECK (question_type IN ('multiple_choice', 'true_false', 'short_answer', 'essay', 'file_upload', 'numeric'));
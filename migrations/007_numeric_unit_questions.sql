@@ -0,0 +1,6 @@
+-- Numeric answers with units ("1.5 kJ"); the answer key lives in grading_config,
+-- e.g. {"mode": "tolerance", "value": 1500, "tolerance": 1, "toleranceType": "percent",
+--       "unit": "J", "unitPartialCredit": 0.5}
+ALTER TABLE quiz_questions DROP CONSTRAINT IF EXISTS quiz_questions_question_type_check;
+ALTER TABLE quiz_questions ADD CONSTRAINT quiz_questions_question_type_check
+  CHECK (question_type IN ('multiple_choice', 'true_false', 'short_answer', 'essay', 'file_upload', 'numeric', 'numeric_unit'));
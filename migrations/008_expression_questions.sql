@@ -0,0 +1,5 @@
+-- Algebraic expression answers, graded by equivalence; the answer key lives in
+-- grading_config, e.g. {"expression": "2(x+3)", "requiredForm": "factorised"}
+ALTER TABLE quiz_questions DROP CONSTRAINT IF EXISTS quiz_questions_question_type_check;
+ALTER TABLE quiz_questions ADD CONSTRAINT quiz_questions_question_type_check
+  CHECK (question_type IN ('multiple_choice', 'true_false', 'short_answer', 'essay', 'file_upload', 'numeric', 'numeric_unit', 'expression'));
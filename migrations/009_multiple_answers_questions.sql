@@ -0,0 +1,5 @@
+-- Select-all-that-apply questions; options are quiz_question_answers rows and
+-- the scoring scheme lives in grading_config, e.g. {"scoring": "partial"}
+ALTER TABLE quiz_questions DROP CONSTRAINT IF EXISTS quiz_questions_question_type_check;
+ALTER TABLE quiz_questions ADD CONSTRAINT quiz_questions_question_type_check
+  CHECK (question_type IN ('multiple_choice', 'multiple_answers', 'true_false', 'short_answer', 'essay', 'file_upload', 'numeric', 'numeric_unit', 'expression'));
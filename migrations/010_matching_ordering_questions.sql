@@ -0,0 +1,10 @@
+-- Matching and ordering questions use quiz_question_answers rows:
+-- matching rows pair answer_text with match_text, and students only ever see a
+-- match by its opaque match_key; ordering rows are stored in the correct order
+ALTER TABLE quiz_question_answers
+  ADD COLUMN IF NOT EXISTS match_text TEXT,
+  ADD COLUMN IF NOT EXISTS match_key UUID NOT NULL DEFAULT gen_random_uuid();
+
+ALTER TABLE quiz_questions DROP CONSTRAINT IF EXISTS quiz_questions_question_type_check;
+ALTER TABLE quiz_questions ADD CONSTRAINT quiz_questions_question_type_check
+  CHECK (question_type IN ('multiple_choice', 'multiple_answers', 'true_false', 'matching', 'ordering', 'short_answer', 'essay', 'file_upload', 'numeric', 'numeric_unit', 'expression'));
@@ -0,0 +1,8 @@
+-- Fill-in-multiple-blanks questions name their blanks in question_text as
+-- {{name}}; each blank's acceptable answers are quiz_short_answer_options rows
+ALTER TABLE quiz_short_answer_options
+  ADD COLUMN IF NOT EXISTS blank_name TEXT;
+
+ALTER TABLE quiz_questions DROP CONSTRAINT IF EXISTS quiz_questions_question_type_check;
+ALTER TABLE quiz_questions ADD CONSTRAINT quiz_questions_question_type_check
+  CHECK (question_type IN ('multiple_choice', 'multiple_answers', 'true_false', 'matching', 'ordering', 'short_answer', 'fill_in_blanks', 'essay', 'file_upload', 'numeric', 'numeric_unit', 'expression'));
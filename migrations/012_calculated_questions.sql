@@ -0,0 +1,8 @@
+-- Calculated questions draw variables per attempt; the formula, variable ranges
+-- and tolerance live in grading_config, e.g.
+-- {"formula": "a*t", "variables": [{"name": "a", "min": 1, "max": 5, "decimals": 1}, ...],
+--  "mode": "tolerance", "tolerance": 1, "toleranceType": "percent"}
+-- Each attempt's values are stored in assignment_submissions.quiz_data.variables
+ALTER TABLE quiz_questions DROP CONSTRAINT IF EXISTS quiz_questions_question_type_check;
+ALTER TABLE quiz_questions ADD CONSTRAINT quiz_questions_question_type_check
+  CHECK (question_type IN ('multiple_choice', 'multiple_answers', 'true_false', 'matching', 'ordering', 'short_answer', 'fill_in_blanks', 'essay', 'file_upload', 'numeric', 'numeric_unit', 'expression', 'calculated'));
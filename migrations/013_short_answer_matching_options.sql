@@ -0,0 +1,8 @@
+-- Per-option matching for short answers and blanks: regex and fuzzy match
+-- types, whitespace/punctuation normalisation and the Levenshtein threshold.
+-- Rows without match_type keep using is_exact_match.
+ALTER TABLE quiz_short_answer_options
+  ADD COLUMN IF NOT EXISTS match_type TEXT CHECK (match_type IN ('exact', 'contains', 'regex', 'fuzzy')),
+  ADD COLUMN IF NOT EXISTS ignore_whitespace BOOLEAN NOT NULL DEFAULT FALSE,
+  ADD COLUMN IF NOT EXISTS ignore_punctuation BOOLEAN NOT NULL DEFAULT FALSE,
+  ADD COLUMN IF NOT EXISTS fuzzy_max_distance INTEGER CHECK (fuzzy_max_distance BETWEEN 0 AND 10);
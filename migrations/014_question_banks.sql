@@ -0,0 +1,45 @@
+-- Question banks hold reusable questions, either for a course (course_id set)
+-- or for one teacher across their courses (course_id null)
+CREATE TABLE IF NOT EXISTS question_banks (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  course_id UUID REFERENCES courses(id) ON DELETE CASCADE,
+  owner_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  title TEXT NOT NULL,
+  description TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS question_banks_course_idx ON question_banks (course_id);
+CREATE INDEX IF NOT EXISTS question_banks_owner_idx ON question_banks (owner_id);
+
+-- Bank questions are quiz_questions rows with bank_id instead of
+-- assignment_id, so they keep their answers in quiz_question_answers and
+-- quiz_short_answer_options. A quiz uses one through a row of its own whose
+-- bank_question_id points at it; the content is read from the bank question
+-- when the quiz is loaded, so fixes reach every quiz using it.
+ALTER TABLE quiz_questions
+  ALTER COLUMN assignment_id DROP NOT NULL,
+  ADD COLUMN IF NOT EXISTS bank_id UUID REFERENCES question_banks(id) ON DELETE CASCADE,
+  ADD COLUMN IF NOT EXISTS bank_question_id UUID REFERENCES quiz_questions(id) ON DELETE RESTRICT,
+  ADD COLUMN IF NOT EXISTS caps_topic TEXT,
+  ADD COLUMN IF NOT EXISTS grade_level INTEGER,
+  ADD COLUMN IF NOT EXISTS difficulty TEXT,
+  ADD COLUMN IF NOT EXISTS tags TEXT[] NOT NULL DEFAULT '{}';
+
+ALTER TABLE quiz_questions DROP CONSTRAINT IF EXISTS quiz_questions_owner_check;
+ALTER TABLE quiz_questions ADD CONSTRAINT quiz_questions_owner_check
+  CHECK ((assignment_id IS NULL) <> (bank_id IS NULL));
+
+ALTER TABLE quiz_questions DROP CONSTRAINT IF EXISTS quiz_questions_difficulty_check;
+ALTER TABLE quiz_questions ADD CONSTRAINT quiz_questions_difficulty_check
+  CHECK (difficulty IS NULL OR difficulty IN ('easy', 'medium', 'hard'));
+
+-- CAPS grades run from Grade R (0) to Grade 12
+ALTER TABLE quiz_questions DROP CONSTRAINT IF EXISTS quiz_questions_grade_level_check;
+ALTER TABLE quiz_questions ADD CONSTRAINT quiz_questions_grade_level_check
+  CHECK (grade_level IS NULL OR grade_level BETWEEN 0 AND 12);
+
+CREATE INDEX IF NOT EXISTS quiz_questions_bank_idx ON quiz_questions (bank_id, question_number);
+CREATE INDEX IF NOT EXISTS quiz_questions_bank_question_idx ON quiz_questions (bank_question_id);
+CREATE INDEX IF NOT EXISTS quiz_questions_tags_idx ON quiz_questions USING GIN (tags);
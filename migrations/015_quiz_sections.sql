@@ -0,0 +1,22 @@
+-- Quiz sections draw questions at random from a question bank, e.g. "5
+-- questions tagged kinematics worth 2 points each". Each attempt gets its own
+-- draw, recorded in its quiz_data (draws) so it stays fixed once started.
+CREATE TABLE IF NOT EXISTS quiz_sections (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  assignment_id UUID NOT NULL REFERENCES assignments(id) ON DELETE CASCADE,
+  bank_id UUID NOT NULL REFERENCES question_banks(id) ON DELETE RESTRICT,
+  position INTEGER NOT NULL,
+  title TEXT,
+  draw_count INTEGER NOT NULL CHECK (draw_count > 0),
+  points_per_question INTEGER NOT NULL CHECK (points_per_question > 0),
+  -- Which bank questions the section draws from; unset filters match all
+  caps_topic TEXT,
+  grade_level INTEGER,
+  difficulty TEXT,
+  tags TEXT[] NOT NULL DEFAULT '{}',
+  question_type TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS quiz_sections_assignment_idx ON quiz_sections (assignment_id, position);
+CREATE INDEX IF NOT EXISTS quiz_sections_bank_idx ON quiz_sections (bank_id);
@@ -0,0 +1,22 @@
+-- Quizzes are edited in place so question IDs, which key the answers and
+-- results stored in attempts' quiz_data, stay stable. Each edit that changes
+-- what students see bumps the question's version and keeps the version before
+-- it, and each attempt records the versions it was shown (quiz_data.versions).
+ALTER TABLE quiz_questions
+  ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 1,
+  -- Removed from a quiz that already has attempts; only those attempts show it
+  ADD COLUMN IF NOT EXISTS archived_at TIMESTAMPTZ;
+
+-- Earlier versions of a question: its content columns with its answers and
+-- short answer options, as loaded at the time
+CREATE TABLE IF NOT EXISTS quiz_question_versions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  question_id UUID NOT NULL REFERENCES quiz_questions(id) ON DELETE CASCADE,
+  version INTEGER NOT NULL,
+  content JSONB NOT NULL,
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (question_id, version)
+);
+
+CREATE INDEX IF NOT EXISTS quiz_questions_active_idx ON quiz_questions (assignment_id, question_number) WHERE archived_at IS NULL;
@@ -0,0 +1,18 @@
+-- Every change to a submission's grade after it was first graded (regrades,
+-- teacher overrides), with the score before and after and who made it
+CREATE TABLE IF NOT EXISTS grade_audit_log (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  submission_id UUID NOT NULL REFERENCES assignment_submissions(id) ON DELETE CASCADE,
+  assignment_id UUID NOT NULL REFERENCES assignments(id) ON DELETE CASCADE,
+  student_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  changed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  action TEXT NOT NULL,
+  previous_score NUMERIC,
+  new_score NUMERIC,
+  -- What changed, e.g. the points of each regraded question before and after
+  details JSONB NOT NULL DEFAULT '{}',
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS grade_audit_log_assignment_idx ON grade_audit_log (assignment_id, created_at);
+CREATE INDEX IF NOT EXISTS grade_audit_log_submission_idx ON grade_audit_log (submission_id, created_at);
@@ -0,0 +1,8 @@
+-- Quiz sections are edited in place so section IDs, which key the draws stored
+-- in attempts' quiz_data, stay stable. A section removed from a quiz that
+-- already has attempts is archived rather than deleted: it draws no more, but
+-- the attempts that drew from it still show those questions.
+ALTER TABLE quiz_sections
+  ADD COLUMN IF NOT EXISTS archived_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS quiz_sections_active_idx ON quiz_sections (assignment_id, position) WHERE archived_at IS NULL;
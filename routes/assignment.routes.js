@@ -1,6 +1,6 @@
 // routes/assignment.routes.js
 import express from 'express';
-import { body, param } from 'express-validator';
+import { body, header, param } from 'express-validator';
 import { 
   authenticateUser, 
   requireRole 
@@ -14,9 +14,21 @@ import {
   toggleAssignmentPublish,
   getUserSubmissions,
   verifyQuizPassword,
+  startQuizAttempt,
+  getAttemptQuestion,
+  saveAttemptAnswer,
+  autosaveAttemptAnswers,
+  resumeQuizAttempt,
+  syncOfflineAnswers,
   submitQuizAnswers,
-  getQuizResults
+  getQuizResults,
+  regradeAssignment,
+  previewQuizGrading
 } from '../controllers/assignment.controller.js';
+import { SCORING_POLICIES } from '../utils/scoringPolicy.js';
+import { isValidIpFilter } from '../utils/ipFilter.js';
+import { QUESTION_TYPES } from '../utils/questionConfig.js';
+import { isValidAnswer, isValidAnswerSet } from '../utils/quizGrading.js';
 
 const router = express.Router();
 
@@ -63,12 +75,21 @@ const createAssignmentValidation = [
     .withMessage('Available until date must be a valid date'),
   body('allowedAttempts')
     .optional()
-    .isInt({ min: 1, max: 100 })
-    .withMessage('Allowed attempts must be between 1 and 100'),
+    .isInt({ min: -1, max: 100 })
+    .custom(value => Number(value) !== 0)
+    .withMessage('Allowed attempts must be between 1 and 100, or -1 for unlimited'),
+  body('scoringPolicy')
+    .optional()
+    .isIn(SCORING_POLICIES)
+    .withMessage(`Scoring policy must be one of: ${SCORING_POLICIES.join(', ')}`),
   body('timeLimitMinutes')
     .optional()
     .isInt({ min: 1, max: 480 })
     .withMessage('Time limit must be between 1 and 480 minutes'),
+  body('ipFilter')
+    .optional({ checkFalsy: true })
+    .custom(isValidIpFilter)
+    .withMessage('IP filter must be a list of valid IP addresses or CIDR ranges'),
   body('questions')
     .optional()
     .isArray()
@@ -85,12 +106,24 @@ const createAssignmentValidation = [
     .withMessage('Question text is required'),
   body('questions.*.questionType')
     .optional()
-    .isIn(['multiple_choice', 'true_false', 'short_answer', 'essay', 'file_upload'])
+    .isIn(QUESTION_TYPES)
     .withMessage('Invalid question type'),
   body('questions.*.points')
     .optional()
     .isInt({ min: 1, max: 100 })
-    .withMessage('Question points must be between 1 and 100')
+    .withMessage('Question points must be between 1 and 100'),
+  body('questions.*.bankQuestionId')
+    .optional()
+    .isUUID()
+    .withMessage('Valid bank question ID is required'),
+  body('sections')
+    .optional()
+    .isArray()
+    .withMessage('Sections must be an array'),
+  body('sections.*.bankId')
+    .optional()
+    .isUUID()
+    .withMessage('Valid question bank ID is required')
 ];
 
 const updateAssignmentValidation = [
@@ -137,12 +170,21 @@ const updateAssignmentValidation = [
     .withMessage('Available until date must be a valid date'),
   body('allowedAttempts')
     .optional()
-    .isInt({ min: 1, max: 100 })
-    .withMessage('Allowed attempts must be between 1 and 100'),
+    .isInt({ min: -1, max: 100 })
+    .custom(value => Number(value) !== 0)
+    .withMessage('Allowed attempts must be between 1 and 100, or -1 for unlimited'),
+  body('scoringPolicy')
+    .optional()
+    .isIn(SCORING_POLICIES)
+    .withMessage(`Scoring policy must be one of: ${SCORING_POLICIES.join(', ')}`),
   body('timeLimitMinutes')
     .optional()
     .isInt({ min: 1, max: 480 })
-    .withMessage('Time limit must be between 1 and 480 minutes')
+    .withMessage('Time limit must be between 1 and 480 minutes'),
+  body('ipFilter')
+    .optional({ checkFalsy: true })
+    .custom(isValidIpFilter)
+    .withMessage('IP filter must be a list of valid IP addresses or CIDR ranges')
 ];
 
 const assignmentIdValidation = [
@@ -176,13 +218,21 @@ const passwordValidation = [
     .withMessage('Password is required')
 ];
 
+const idempotencyKeyValidation = header('Idempotency-Key')
+  .optional()
+  .isLength({ min: 8, max: 255 })
+  .withMessage('Idempotency key must be between 8 and 255 characters');
+
 const submitQuizValidation = [
   param('assignmentId')
     .isUUID()
     .withMessage('Valid assignment ID is required'),
+  idempotencyKeyValidation,
   body('answers')
     .isObject()
-    .withMessage('Answers must be an object'),
+    .withMessage('Answers must be an object')
+    .custom(isValidAnswerSet)
+    .withMessage('Answers must be shaped as the question types expect'),
   body('timeStarted')
     .optional()
     .isISO8601()
@@ -193,16 +243,104 @@ const submitQuizValidation = [
     .withMessage('Time completed must be a valid date')
 ];
 
+const attemptQuestionValidation = [
+  param('assignmentId')
+    .isUUID()
+    .withMessage('Valid assignment ID is required'),
+  param('position')
+    .isInt({ min: 1 })
+    .withMessage('Question position must be a positive integer')
+];
+
+const attemptAnswerValidation = [
+  ...attemptQuestionValidation,
+  body('answer')
+    .custom(isValidAnswer)
+    .withMessage('Answer must be an object shaped as the question type expects')
+];
+
+const autosaveValidation = [
+  param('assignmentId')
+    .isUUID()
+    .withMessage('Valid assignment ID is required'),
+  body('answers')
+    .isObject()
+    .withMessage('Answers must be an object')
+    .custom(isValidAnswerSet)
+    .withMessage('Answers must be shaped as the question types expect')
+];
+
+const syncAnswersValidation = [
+  param('assignmentId')
+    .isUUID()
+    .withMessage('Valid assignment ID is required'),
+  idempotencyKeyValidation,
+  body('answers')
+    .isArray({ max: 500 })
+    .withMessage('Answers must be an array of at most 500 entries'),
+  body('answers.*.questionId')
+    .isUUID()
+    .withMessage('Each answer needs a valid question ID'),
+  body('answers.*.answer')
+    .custom(isValidAnswer)
+    .withMessage('Each answer must be an object shaped as the question type expects'),
+  body('answers.*.answeredAt')
+    .isISO8601()
+    .withMessage('Each answer needs the time it was given'),
+  body('submit')
+    .optional()
+    .isBoolean()
+    .withMessage('Submit must be a boolean')
+];
+
 const submissionIdValidation = [
   param('submissionId')
     .isUUID()
     .withMessage('Valid submission ID is required')
 ];
 
+const previewValidation = [
+  param('assignmentId')
+    .isUUID()
+    .withMessage('Valid assignment ID is required'),
+  body('answers')
+    .optional()
+    .isObject()
+    .withMessage('Answers must be an object')
+    .custom(isValidAnswerSet)
+    .withMessage('Answers must be shaped as the question types expect'),
+  body('seed')
+    .optional()
+    .isString()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Seed must be text of at most 100 characters')
+];
+
+const regradeValidation = [
+  param('assignmentId')
+    .isUUID()
+    .withMessage('Valid assignment ID is required'),
+  body('questionIds')
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('Question IDs must be a non-empty array'),
+  body('questionIds.*')
+    .isUUID()
+    .withMessage('Each question ID must be valid'),
+  body('overrideManualGrades')
+    .optional()
+    .isBoolean()
+    .withMessage('Override manual grades must be a boolean')
+];
+
 
 // Assignment routes
 
-// Create new assignment (teachers and admins only)
+// Create new assignment (teachers and admins only).
+// With ?validate=true only the questions' answer keys are checked.
+// A question given as { bankQuestionId, points } uses that bank question.
+// Each of sections ({ bankId, draw, pointsPerQuestion, filter }) draws its
+// questions from a bank afresh for every attempt.
 router.post('/', 
   authenticateUser, 
   requireRole(['teacher', 'admin']), 
@@ -224,7 +362,12 @@ router.get('/:assignmentId',
   getAssignment
 );
 
-// Update assignment (teachers and admins only)
+// Update assignment (teachers and admins only).
+// With ?validate=true only the questions' answer keys are checked.
+// Questions (and answers) sent back with their id are edited in place;
+// attempts already made keep showing the version they were given. Sections
+// sent back with their id are edited in place as well, so attempts keep the
+// questions they drew from them.
 router.put('/:assignmentId', 
   authenticateUser, 
   requireRole(['teacher', 'admin']), 
@@ -261,6 +404,48 @@ router.post('/:assignmentId/verify-password',
   verifyQuizPassword
 );
 
+// Start (or resume) a quiz attempt
+router.post('/:assignmentId/start',
+  authenticateUser,
+  assignmentIdValidation,
+  startQuizAttempt
+);
+
+// Resume the in-progress attempt with its saved answers and remaining time
+router.get('/:assignmentId/attempt',
+  authenticateUser,
+  assignmentIdValidation,
+  resumeQuizAttempt
+);
+
+// Autosave partial answers into the in-progress attempt
+router.put('/:assignmentId/attempt/answers',
+  authenticateUser,
+  autosaveValidation,
+  autosaveAttemptAnswers
+);
+
+// Sync answers captured offline, optionally submitting the attempt
+router.post('/:assignmentId/attempt/sync',
+  authenticateUser,
+  syncAnswersValidation,
+  syncOfflineAnswers
+);
+
+// Get one question of the in-progress attempt (one-question-at-a-time delivery)
+router.get('/:assignmentId/attempt/questions/:position',
+  authenticateUser,
+  attemptQuestionValidation,
+  getAttemptQuestion
+);
+
+// Record the answer to one question of the in-progress attempt
+router.put('/:assignmentId/attempt/questions/:position/answer',
+  authenticateUser,
+  attemptAnswerValidation,
+  saveAttemptAnswer
+);
+
 // Submit quiz answers
 router.post('/:assignmentId/submit', 
   authenticateUser, 
@@ -268,6 +453,25 @@ router.post('/:assignmentId/submit',
   submitQuizAnswers
 );
 
+// Regrade every submitted attempt against the current answer keys (teachers
+// and admins only). questionIds limits it to some questions; manual grades are
+// kept unless overrideManualGrades.
+router.post('/:assignmentId/regrade',
+  authenticateUser,
+  requireRole(['teacher', 'admin']),
+  regradeValidation,
+  regradeAssignment
+);
+
+// Grade sample answers without saving anything (teachers and admins only),
+// to see how a quiz grades before students take it
+router.post('/:assignmentId/preview',
+  authenticateUser,
+  requireRole(['teacher', 'admin']),
+  previewValidation,
+  previewQuizGrading
+);
+
 // Get quiz results
 router.get('/submission/:submissionId/results', 
   authenticateUser, 
@@ -0,0 +1,191 @@
+// routes/questionBank.routes.js
+import express from 'express';
+import { body, param, query } from 'express-validator';
+import {
+  authenticateUser,
+  requireRole
+} from '../middleware/auth.middleware.js';
+import {
+  getQuestionBanks,
+  createQuestionBank,
+  getQuestionBank,
+  updateQuestionBank,
+  deleteQuestionBank,
+  createBankQuestion,
+  updateBankQuestion,
+  deleteBankQuestion
+} from '../controllers/questionBank.controller.js';
+import { QUESTION_TYPES } from '../utils/questionConfig.js';
+import { BANK_DIFFICULTIES, MIN_GRADE_LEVEL, MAX_GRADE_LEVEL } from '../utils/questionBank.js';
+
+const router = express.Router();
+
+// Validation rules
+const bankIdValidation = [
+  param('bankId')
+    .isUUID()
+    .withMessage('Valid question bank ID is required')
+];
+
+const bankQuestionIdValidation = [
+  ...bankIdValidation,
+  param('questionId')
+    .isUUID()
+    .withMessage('Valid question ID is required')
+];
+
+const listBanksValidation = [
+  query('courseId')
+    .optional()
+    .isUUID()
+    .withMessage('Valid course ID is required')
+];
+
+const createBankValidation = [
+  body('courseId')
+    .optional({ nullable: true })
+    .isUUID()
+    .withMessage('Valid course ID is required'),
+  body('title')
+    .trim()
+    .isLength({ min: 1, max: 255 })
+    .withMessage('Title is required and must be less than 255 characters'),
+  body('description')
+    .optional()
+    .isString()
+    .withMessage('Description must be text')
+];
+
+const updateBankValidation = [
+  ...bankIdValidation,
+  body('title')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 255 })
+    .withMessage('Title must be less than 255 characters'),
+  body('description')
+    .optional()
+    .isString()
+    .withMessage('Description must be text')
+];
+
+const bankQuestionFilterValidation = [
+  ...bankIdValidation,
+  query('grade')
+    .optional()
+    .isInt({ min: MIN_GRADE_LEVEL, max: MAX_GRADE_LEVEL })
+    .withMessage(`Grade must be from ${MIN_GRADE_LEVEL} to ${MAX_GRADE_LEVEL}`),
+  query('difficulty')
+    .optional()
+    .isIn(BANK_DIFFICULTIES)
+    .withMessage('Invalid difficulty'),
+  query('questionType')
+    .optional()
+    .isIn(QUESTION_TYPES)
+    .withMessage('Invalid question type')
+];
+
+const bankQuestionBodyValidation = [
+  body('questionType')
+    .isIn(QUESTION_TYPES)
+    .withMessage('Invalid question type'),
+  body('questionText')
+    .trim()
+    .isLength({ min: 1 })
+    .withMessage('Question text is required'),
+  body('points')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Question points must be between 1 and 100'),
+  body('grade')
+    .optional({ nullable: true })
+    .isInt({ min: MIN_GRADE_LEVEL, max: MAX_GRADE_LEVEL })
+    .withMessage(`Grade must be from ${MIN_GRADE_LEVEL} to ${MAX_GRADE_LEVEL}`),
+  body('difficulty')
+    .optional({ nullable: true })
+    .isIn(BANK_DIFFICULTIES)
+    .withMessage('Invalid difficulty'),
+  body('tags')
+    .optional()
+    .isArray({ max: 50 })
+    .withMessage('Tags must be a list of at most 50 entries')
+];
+
+const createBankQuestionValidation = [
+  ...bankIdValidation,
+  ...bankQuestionBodyValidation
+];
+
+const updateBankQuestionValidation = [
+  ...bankQuestionIdValidation,
+  ...bankQuestionBodyValidation
+];
+
+
+// Question bank routes (teachers and admins only)
+
+// List the question banks the user can use (?courseId= for one course's)
+router.get('/',
+  authenticateUser,
+  requireRole(['teacher', 'admin']),
+  listBanksValidation,
+  getQuestionBanks
+);
+
+// Create a course bank (with courseId) or a personal bank
+router.post('/',
+  authenticateUser,
+  requireRole(['teacher', 'admin']),
+  createBankValidation,
+  createQuestionBank
+);
+
+// Get a bank with its questions, filtered by capsTopic, grade, difficulty, tag or questionType
+router.get('/:bankId',
+  authenticateUser,
+  requireRole(['teacher', 'admin']),
+  bankQuestionFilterValidation,
+  getQuestionBank
+);
+
+// Update a bank's title or description
+router.put('/:bankId',
+  authenticateUser,
+  requireRole(['teacher', 'admin']),
+  updateBankValidation,
+  updateQuestionBank
+);
+
+// Delete a bank no quiz uses questions or draws sections from
+router.delete('/:bankId',
+  authenticateUser,
+  requireRole(['teacher', 'admin']),
+  bankIdValidation,
+  deleteQuestionBank
+);
+
+// Add a question to a bank
+router.post('/:bankId/questions',
+  authenticateUser,
+  requireRole(['teacher', 'admin']),
+  createBankQuestionValidation,
+  createBankQuestion
+);
+
+// Edit a bank question; every quiz using it sees the change
+router.put('/:bankId/questions/:questionId',
+  authenticateUser,
+  requireRole(['teacher', 'admin']),
+  updateBankQuestionValidation,
+  updateBankQuestion
+);
+
+// Remove a bank question no quiz uses
+router.delete('/:bankId/questions/:questionId',
+  authenticateUser,
+  requireRole(['teacher', 'admin']),
+  bankQuestionIdValidation,
+  deleteBankQuestion
+);
+
+export default router;
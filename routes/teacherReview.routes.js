@@ -2,6 +2,13 @@
 import express from 'express';
 import { body, param, query } from 'express-validator';
 import supabase from '../config/postgres.js';
+import { applyScoringPolicy, applyScoringPolicyByGroup } from '../utils/scoringPolicy.js';
+import { parseQuizData } from '../utils/quizData.js';
+import { getPresentedNumber } from '../utils/quizShuffle.js';
+import { renderCalculatedText, describeCalculatedAnswer } from '../utils/calculatedQuestion.js';
+import { resolveBankQuestions } from '../utils/quizQuestions.js';
+import { appendSectionQuestions } from '../utils/quizSections.js';
+import { applyQuestionVersions } from '../utils/questionVersions.js';
 import { 
   authenticateUser, 
   requireRole 
@@ -10,7 +17,9 @@ import {
   getAssessmentReview,
   getStudentSubmissionReview,
   gradeSubmission,
+  getGradeHistory,
   getAssessmentStatistics,
+  getAccessDenials,
   exportAssessmentResults
 } from '../controllers/teacherReview.controller.js';
 
@@ -37,6 +46,10 @@ const gradeSubmissionValidation = [
   body('studentId')
     .isUUID()
     .withMessage('Student ID must be a valid UUID'),
+  body('submissionId')
+    .optional()
+    .isUUID()
+    .withMessage('Submission ID must be a valid UUID'),
   body('score')
     .isNumeric()
     .withMessage('Score must be a number')
@@ -50,6 +63,13 @@ const gradeSubmissionValidation = [
     .withMessage('Feedback must be less than 2000 characters')
 ];
 
+const gradeHistoryValidation = [
+  query('studentId')
+    .optional()
+    .isUUID()
+    .withMessage('Student ID must be a valid UUID')
+];
+
 // Routes
 
 /**
@@ -85,6 +105,7 @@ router.get('/assignments/:assignmentId/scores', async (req, res) => {
         max_points,
         due_date,
         assignment_type,
+        scoring_policy,
         courses!inner(
           id,
           title,
@@ -140,12 +161,12 @@ router.get('/assignments/:assignmentId/scores', async (req, res) => {
       return res.status(500).json({ error: submissionsError.message });
     }
 
-    // Create a map of submissions by student_id
+    // Create a map of the counted submission by student_id (per the scoring policy)
     const submissionMap = new Map();
-    submissions?.forEach(sub => {
-      if (!submissionMap.has(sub.student_id) || 
-          new Date(sub.submitted_at) > new Date(submissionMap.get(sub.student_id).submitted_at)) {
-        submissionMap.set(sub.student_id, sub);
+    const countedSubmissions = applyScoringPolicyByGroup(submissions || [], assignment.scoring_policy);
+    Object.values(countedSubmissions).forEach(({ submission, score }) => {
+      if (submission) {
+        submissionMap.set(submission.student_id, { ...submission, score });
       }
     });
 
@@ -230,7 +251,8 @@ router.get('/assignments/:assignmentId/scores', async (req, res) => {
         description: assignment.description,
         maxPoints: assignment.max_points,
         dueDate: assignment.due_date,
-        assignmentType: assignment.assignment_type
+        assignmentType: assignment.assignment_type,
+        scoringPolicy: assignment.scoring_policy
       },
       course: {
         id: assignment.courses.id,
@@ -277,6 +299,7 @@ router.get('/assignments/:assignmentId/student/:studentId', async (req, res) =>
         max_points,
         due_date,
         assignment_type,
+        scoring_policy,
         courses!inner(
           id,
           title,
@@ -302,7 +325,7 @@ router.get('/assignments/:assignmentId/student/:studentId', async (req, res) =>
     }
 
     // Get quiz questions with their answers/options
-    const { data: questions, error: questionsError } = await supabase
+    const { data: questionRows, error: questionsError } = await supabase
       .from('quiz_questions')
       .select(`
         id,
@@ -312,7 +335,11 @@ router.get('/assignments/:assignmentId/student/:studentId', async (req, res) =>
         question_type,
         points,
         short_answer_match_type,
-        short_answer_case_sensitive
+        short_answer_case_sensitive,
+        grading_config,
+        bank_question_id,
+        version,
+        archived_at
       `)
       .eq('assignment_id', assignmentId)
       .order('question_number', { ascending: true });
@@ -321,11 +348,17 @@ router.get('/assignments/:assignmentId/student/:studentId', async (req, res) =>
       return res.status(500).json({ error: questionsError.message });
     }
 
+    // Questions from a bank take their content, answers and options from the
+    // bank question
+    const { questions } = await resolveBankQuestions(questionRows || []);
+    const questionVersions = new Map(questions.map(question => [question.id, question.version]));
+    const contentId = (question) => question.bank_question_id || question.id;
+
     // Get multiple choice answers for each question
     const { data: mcAnswers, error: mcAnswersError } = await supabase
       .from('quiz_question_answers')
-      .select('id, question_id, answer_text, is_correct, feedback, answer_order')
-      .in('question_id', questions?.map(q => q.id) || [])
+      .select('id, question_id, answer_text, is_correct, feedback, answer_order, match_text, match_key')
+      .in('question_id', questions.map(contentId))
       .order('answer_order', { ascending: true });
 
     if (mcAnswersError) {
@@ -335,8 +368,8 @@ router.get('/assignments/:assignmentId/student/:studentId', async (req, res) =>
     // Get short answer options for each question
     const { data: shortAnswerOptions, error: shortAnswerError } = await supabase
       .from('quiz_short_answer_options')
-      .select('id, question_id, answer_text, is_case_sensitive, is_exact_match, answer_order')
-      .in('question_id', questions?.map(q => q.id) || [])
+      .select('id, question_id, answer_text, is_case_sensitive, is_exact_match, answer_order, blank_name, match_type, ignore_whitespace, ignore_punctuation, fuzzy_max_distance')
+      .in('question_id', questions.map(contentId))
       .order('answer_order', { ascending: true });
 
     if (shortAnswerError) {
@@ -360,8 +393,8 @@ router.get('/assignments/:assignmentId/student/:studentId', async (req, res) =>
       shortAnswerMap.get(option.question_id).push(option);
     });
 
-    // Get student's submission
-    const { data: submission, error: submissionError } = await supabase
+    // Get student's submissions and pick the one the scoring policy counts
+    const { data: studentSubmissions, error: submissionError } = await supabase
       .from('assignment_submissions')
       .select(`
         id,
@@ -379,19 +412,42 @@ router.get('/assignments/:assignmentId/student/:studentId', async (req, res) =>
       `)
       .eq('assignment_id', assignmentId)
       .eq('student_id', studentId)
-      .order('submitted_at', { ascending: false })
-      .limit(1)
-      .single();
+      .order('submitted_at', { ascending: false });
 
-    if (submissionError && submissionError.code !== 'PGRST116') {
+    if (submissionError) {
       return res.status(500).json({ error: submissionError.message });
     }
 
+    const counted = applyScoringPolicy(studentSubmissions || [], assignment.scoring_policy);
+    const submission = counted.submission
+      ? { ...counted.submission, score: counted.score }
+      : null;
+
+    // Answers are keyed by question ID, so a shuffled attempt maps straight
+    // back to the canonical question order
+    const quizData = parseQuizData(submission?.quiz_data);
+    const studentAnswers = quizData.answers || {};
+
+    // Add the questions this attempt drew from the quiz's sections and put
+    // them all at the versions it was shown. Drawn and earlier versions of
+    // questions bring their own answers and options.
+    const { questions: attemptQuestions } = submission
+      ? await appendSectionQuestions(assignmentId, questions, { attempt: submission })
+      : { questions };
+    const { questions: reviewQuestions } = await applyQuestionVersions(attemptQuestions, submission);
+    reviewQuestions.filter(question => question.section_id || question.version !== questionVersions.get(question.id)).forEach(question => {
+      mcAnswersMap.set(question.id, [...(question.quiz_question_answers || [])]
+        .sort((a, b) => a.answer_order - b.answer_order));
+      shortAnswerMap.set(question.id, [...(question.quiz_short_answer_options || [])]
+        .sort((a, b) => a.answer_order - b.answer_order));
+    });
+
     // Format questions with their answers and student responses
-    const formattedQuestions = questions?.map(question => {
+    const formattedQuestions = reviewQuestions.map(question => {
       const questionData = {
         id: question.id,
         questionNumber: question.question_number,
+        presentedNumber: getPresentedNumber(quizData.layout, question.id) ?? question.question_number,
         title: question.title,
         questionText: question.question_text,
         questionType: question.question_type,
@@ -400,20 +456,42 @@ router.get('/assignments/:assignmentId/student/:studentId', async (req, res) =>
       };
 
       // Add multiple choice answers if applicable
-      if (['multiple_choice', 'true_false'].includes(question.question_type)) {
-        questionData.answers = mcAnswersMap.get(question.id) || [];
+      if (['multiple_choice', 'multiple_answers', 'true_false', 'matching', 'ordering'].includes(question.question_type)) {
+        questionData.answers = mcAnswersMap.get(contentId(question)) || [];
       }
 
       // Add short answer options if applicable
       if (question.question_type === 'short_answer') {
-        questionData.shortAnswerOptions = shortAnswerMap.get(question.id) || [];
+        questionData.shortAnswerOptions = shortAnswerMap.get(contentId(question)) || [];
         questionData.matchType = question.short_answer_match_type;
         questionData.caseSensitive = question.short_answer_case_sensitive;
       }
 
+      // Calculated questions: the values this student was given, the text as
+      // they saw it and the answer those values lead to
+      if (question.question_type === 'calculated') {
+        const variables = quizData.variables?.[question.id] || null;
+        questionData.variables = variables;
+        questionData.formula = question.grading_config?.formula || null;
+        if (variables) {
+          questionData.presentedText = renderCalculatedText(question.question_text, variables);
+          questionData.correctAnswer = describeCalculatedAnswer(question.grading_config, variables);
+        }
+      }
+
+      // Fill in the blanks keep each blank's acceptable answers under its name
+      if (question.question_type === 'fill_in_blanks') {
+        questionData.shortAnswerOptions = shortAnswerMap.get(contentId(question)) || [];
+      }
+
       // Add student's answer from quiz_data
-      if (submission?.quiz_data && submission.quiz_data[question.id]) {
-        questionData.studentAnswer = submission.quiz_data[question.id];
+      if (studentAnswers[question.id]) {
+        questionData.studentAnswer = studentAnswers[question.id];
+      }
+
+      // Add the auto-grading result (points, partial credit reason)
+      if (quizData.detailedResults?.[question.id]) {
+        questionData.gradingResult = quizData.detailedResults[question.id];
       }
 
       return questionData;
@@ -456,7 +534,8 @@ router.get('/assignments/:assignmentId/student/:studentId', async (req, res) =>
         description: assignment.description,
         maxPoints: assignment.max_points,
         dueDate: assignment.due_date,
-        assignmentType: assignment.assignment_type
+        assignmentType: assignment.assignment_type,
+        scoringPolicy: assignment.scoring_policy
       },
       course: {
         id: assignment.courses.id,
@@ -514,7 +593,8 @@ router.get('/:assessmentId/student/:studentId',
 
 /**
  * @route   POST /api/teacher-review/:assessmentId/grade
- * @desc    Grade or update grade for a student's submission
+ * @desc    Grade or update grade for a student's submission: the attempt that
+ *          counts, or a specific attempt given by submissionId
  */
 router.post('/:assessmentId/grade',
   assessmentIdValidation,
@@ -522,6 +602,16 @@ router.post('/:assessmentId/grade',
   gradeSubmission
 );
 
+/**
+ * @route   GET /api/teacher-review/:assessmentId/grade-history
+ * @desc    Get the audit trail of grade changes (?studentId= for one student)
+ */
+router.get('/:assessmentId/grade-history',
+  assessmentIdValidation,
+  gradeHistoryValidation,
+  getGradeHistory
+);
+
 /**
  * @route   GET /api/teacher-review/:assessmentId/statistics
  * @desc    Get comprehensive statistics for an assessment
@@ -531,6 +621,15 @@ router.get('/:assessmentId/statistics',
   getAssessmentStatistics
 );
 
+/**
+ * @route   GET /api/teacher-review/:assessmentId/access-denials
+ * @desc    List requests refused by the assessment's IP filter
+ */
+router.get('/:assessmentId/access-denials',
+  assessmentIdValidation,
+  getAccessDenials
+);
+
 /**
  * @route   GET /api/teacher-review/:assessmentId/export
  * @desc    Export assessment results
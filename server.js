@@ -27,7 +27,7 @@ app.use(cors({
   origin: true, // Allow all origins
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Quiz-Access-Token', 'Idempotency-Key']
 }));
 
 console.log('📝 Adding parsing middleware...');
@@ -68,6 +68,7 @@ const routes = [
   { path: '/api/assignments', file: './routes/assignment.routes.js', name: 'Assignment' },
   { path: '/api/quiz', file: './routes/quiz.routes.js', name: 'Quiz' },
   { path: '/api/teacher-review', file: './routes/teacherReview.routes.js', name: 'Teacher Review' },
+  { path: '/api/question-banks', file: './routes/questionBank.routes.js', name: 'Question Bank' },
 ];
 
 for (const route of routes) {
@@ -82,6 +83,21 @@ for (const route of routes) {
   }
 }
 
+// Auto-submit timed quiz attempts once their time limit runs out
+const ATTEMPT_SWEEP_INTERVAL_MS = 60 * 1000;
+
+try {
+  const { finalizeExpiredAttempts } = await import('./utils/quizAttempt.js');
+  setInterval(() => {
+    finalizeExpiredAttempts().catch((error) => {
+      console.error('❌ Expired attempt sweep failed:', error);
+    });
+  }, ATTEMPT_SWEEP_INTERVAL_MS).unref();
+  console.log('⏱️  Expired quiz attempt sweep scheduled');
+} catch (error) {
+  console.error('❌ Failed to schedule expired attempt sweep:', error.message);
+}
+
 // Health check
 app.get('/api/health', (req, res) => {
   res.json({
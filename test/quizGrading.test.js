@@ -0,0 +1,425 @@
+// test/quizGrading.test.js
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  QUESTION_GRADERS,
+  gradeQuestion,
+  computeSubmissionScore,
+  applyManualGrade,
+  gradeQuizAnswers,
+  isValidAnswer,
+  isValidAnswerSet
+} from '../utils/quizGrading.js';
+
+const question = (fields) => ({
+  points: 2,
+  grading_config: null,
+  quiz_question_answers: [],
+  quiz_short_answer_options: [],
+  ...fields
+});
+
+const multipleChoice = question({
+  id: 'mc',
+  question_type: 'multiple_choice',
+  quiz_question_answers: [
+    { id: 'mc-a', is_correct: false, answer_order: 1 },
+    { id: 'mc-b', is_correct: true, answer_order: 2 }
+  ]
+});
+
+const multipleAnswers = (scoring) => question({
+  id: 'ma',
+  question_type: 'multiple_answers',
+  points: 4,
+  grading_config: { scoring },
+  quiz_question_answers: [
+    { id: 'ma-a', is_correct: true, answer_order: 1 },
+    { id: 'ma-b', is_correct: true, answer_order: 2 },
+    { id: 'ma-c', is_correct: false, answer_order: 3 },
+    { id: 'ma-d', is_correct: false, answer_order: 4 }
+  ]
+});
+
+const matching = (partialCredit) => question({
+  id: 'match',
+  question_type: 'matching',
+  points: 3,
+  grading_config: { partialCredit },
+  quiz_question_answers: [
+    { id: 'm-1', answer_text: 'speed', match_text: 'm/s', match_key: 'k1', answer_order: 1 },
+    { id: 'm-2', answer_text: 'force', match_text: 'N', match_key: 'k2', answer_order: 2 },
+    { id: 'm-3', answer_text: 'energy', match_text: 'J', match_key: 'k3', answer_order: 3 }
+  ]
+});
+
+const ordering = (partialCredit) => question({
+  id: 'order',
+  question_type: 'ordering',
+  points: 4,
+  grading_config: { partialCredit },
+  quiz_question_answers: [
+    { id: 'o-1', answer_order: 1 },
+    { id: 'o-2', answer_order: 2 },
+    { id: 'o-3', answer_order: 3 },
+    { id: 'o-4', answer_order: 4 }
+  ]
+});
+
+const shortAnswer = question({
+  id: 'sa',
+  question_type: 'short_answer',
+  quiz_short_answer_options: [
+    { answer_text: 'photosynthesis', match_type: 'exact', is_case_sensitive: false }
+  ]
+});
+
+const fillInBlanks = question({
+  id: 'blanks',
+  question_type: 'fill_in_blanks',
+  points: 2,
+  question_text: 'Water is made of {{first}} and {{second}}.',
+  quiz_short_answer_options: [
+    { blank_name: 'first', answer_text: 'hydrogen', match_type: 'exact' },
+    { blank_name: 'second', answer_text: 'oxygen', match_type: 'exact' }
+  ]
+});
+
+const numeric = question({
+  id: 'num',
+  question_type: 'numeric',
+  grading_config: {
+    mode: 'tolerance',
+    value: 9.8,
+    tolerance: 0.1,
+    toleranceType: 'absolute',
+    min: null,
+    max: null,
+    significantFigures: null
+  }
+});
+
+const calculated = question({
+  id: 'calc',
+  question_type: 'calculated',
+  grading_config: {
+    formula: 'a * b',
+    variables: [{ name: 'a', min: 1, max: 10, decimals: 0 }, { name: 'b', min: 1, max: 10, decimals: 0 }],
+    mode: 'exact',
+    tolerance: null,
+    toleranceType: 'absolute',
+    significantFigures: null
+  }
+});
+
+const numericUnit = question({
+  id: 'unit',
+  question_type: 'numeric_unit',
+  points: 4,
+  grading_config: {
+    mode: 'exact',
+    value: 1.5,
+    tolerance: null,
+    toleranceType: 'absolute',
+    min: null,
+    max: null,
+    significantFigures: null,
+    unit: 'MJ',
+    unitPartialCredit: 0.5
+  }
+});
+
+const expression = (requiredForm = 'any') => question({
+  id: 'expr',
+  question_type: 'expression',
+  grading_config: { expression: '(x + 1)^2', requiredForm }
+});
+
+const essay = question({ id: 'essay', question_type: 'essay', points: 5 });
+
+describe('QUESTION_GRADERS', () => {
+  it('grades multiple choice and true/false by the chosen option', () => {
+    assert.equal(QUESTION_GRADERS.multiple_choice(multipleChoice, { answerId: 'mc-b' }).correct, true);
+    assert.equal(QUESTION_GRADERS.multiple_choice(multipleChoice, { answerId: 'mc-a' }).correct, false);
+    assert.equal(QUESTION_GRADERS.true_false(multipleChoice, { answerId: 'unknown' }).correct, false);
+  });
+
+  it('scores multiple answers by the question scheme', () => {
+    const allOrNothing = QUESTION_GRADERS.multiple_answers(multipleAnswers('all_or_nothing'), { answerIds: ['ma-a'] });
+    assert.equal(allOrNothing.correct, false);
+    assert.equal(allOrNothing.credit, 0);
+
+    const partial = QUESTION_GRADERS.multiple_answers(multipleAnswers('partial'), { answerIds: ['ma-a'] });
+    assert.equal(partial.credit, 0.5);
+    assert.equal(partial.reason, 'PARTIAL');
+
+    const partialWithWrong = QUESTION_GRADERS.multiple_answers(multipleAnswers('partial'), { answerIds: ['ma-a', 'ma-c'] });
+    assert.equal(partialWithWrong.credit, 0);
+
+    const all = QUESTION_GRADERS.multiple_answers(multipleAnswers('penalty'), { answerIds: ['ma-a', 'ma-b'] });
+    assert.equal(all.correct, true);
+  });
+
+  it('grades matching pairs with optional partial credit', () => {
+    const matches = { 'm-1': 'k1', 'm-2': 'k2', 'm-3': 'k2' };
+    assert.equal(QUESTION_GRADERS.matching(matching(false), { matches }).credit, 0);
+
+    const partial = QUESTION_GRADERS.matching(matching(true), { matches });
+    assert.equal(partial.correct, false);
+    assert.equal(partial.credit, 2 / 3);
+    assert.equal(partial.reason, 'PARTIAL');
+
+    const correct = QUESTION_GRADERS.matching(matching(false), { matches: { ...matches, 'm-3': 'k3' } });
+    assert.equal(correct.correct, true);
+  });
+
+  it('grades ordering position by position', () => {
+    assert.equal(QUESTION_GRADERS.ordering(ordering(false), { order: ['o-1', 'o-2', 'o-3', 'o-4'] }).correct, true);
+
+    const swapped = QUESTION_GRADERS.ordering(ordering(true), { order: ['o-1', 'o-2', 'o-4', 'o-3'] });
+    assert.equal(swapped.correct, false);
+    assert.equal(swapped.credit, 0.5);
+  });
+
+  it('matches short answers against the acceptable answers', () => {
+    assert.equal(QUESTION_GRADERS.short_answer(shortAnswer, { textAnswer: '  Photosynthesis ' }).correct, true);
+    assert.equal(QUESTION_GRADERS.short_answer(shortAnswer, { textAnswer: 'respiration' }).correct, false);
+  });
+
+  it('never matches an acceptable answer that normalises to nothing', () => {
+    const punctuationOnly = {
+      ...shortAnswer,
+      quiz_short_answer_options: [{ answer_text: '?!', match_type: 'contains', ignore_punctuation: true }]
+    };
+    assert.equal(QUESTION_GRADERS.short_answer(punctuationOnly, { textAnswer: 'anything' }).correct, false);
+  });
+
+  it('sends short answers without acceptable answers to manual grading', () => {
+    const keyless = { ...shortAnswer, quiz_short_answer_options: [] };
+    assert.equal(QUESTION_GRADERS.short_answer(keyless, { textAnswer: 'anything' }).requiresManualGrading, true);
+  });
+
+  it('splits fill in the blanks credit across the blanks', () => {
+    const half = QUESTION_GRADERS.fill_in_blanks(fillInBlanks, { blanks: { first: 'hydrogen', second: 'carbon' } });
+    assert.equal(half.correct, false);
+    assert.equal(half.credit, 0.5);
+    assert.deepEqual(half.blanks, { first: true, second: false });
+
+    const full = QUESTION_GRADERS.fill_in_blanks(fillInBlanks, { blanks: { first: 'Hydrogen', second: 'oxygen' } });
+    assert.equal(full.correct, true);
+  });
+
+  it('grades numeric answers within the tolerance', () => {
+    assert.equal(QUESTION_GRADERS.numeric(numeric, { textAnswer: '9.85' }).correct, true);
+    assert.equal(QUESTION_GRADERS.numeric(numeric, { numericAnswer: 9.7 }).correct, true);
+    assert.equal(QUESTION_GRADERS.numeric(numeric, { textAnswer: '10' }).correct, false);
+  });
+
+  it('grades calculated answers with the attempt variables', () => {
+    const variables = { calc: { a: 3, b: 4 } };
+    assert.equal(QUESTION_GRADERS.calculated(calculated, { textAnswer: '12' }, { variables }).correct, true);
+    assert.equal(QUESTION_GRADERS.calculated(calculated, { textAnswer: '12' }, { variables: { calc: { a: 2, b: 4 } } }).correct, false);
+  });
+
+  it('converts compatible units and gives partial credit for unit mistakes', () => {
+    assert.deepEqual(QUESTION_GRADERS.numeric_unit(numericUnit, { textAnswer: '1.5 MJ' }), { correct: true, credit: 1, reason: 'CORRECT' });
+    assert.deepEqual(QUESTION_GRADERS.numeric_unit(numericUnit, { textAnswer: '1500 kJ' }), { correct: true, credit: 1, reason: 'CONVERTED' });
+    assert.deepEqual(QUESTION_GRADERS.numeric_unit(numericUnit, { textAnswer: '1.5' }), { correct: false, credit: 0.5, reason: 'MISSING_UNIT' });
+    assert.deepEqual(QUESTION_GRADERS.numeric_unit(numericUnit, { textAnswer: '1.5 kJ' }), { correct: false, credit: 0.5, reason: 'WRONG_UNIT' });
+    assert.deepEqual(QUESTION_GRADERS.numeric_unit(numericUnit, { textAnswer: '2 MJ' }), { correct: false, credit: 0, reason: 'INCORRECT_VALUE' });
+    assert.deepEqual(QUESTION_GRADERS.numeric_unit(numericUnit, { numericAnswer: '1500000 J' }), { correct: true, credit: 1, reason: 'CONVERTED' });
+  });
+
+  it('grades expressions by equivalence and required form', () => {
+    assert.deepEqual(QUESTION_GRADERS.expression(expression(), { textAnswer: 'x^2 + 2x + 1' }), { correct: true, reason: 'CORRECT' });
+    assert.deepEqual(QUESTION_GRADERS.expression(expression(), { textAnswer: 'x^2 + 1' }), { correct: false, reason: 'NOT_EQUIVALENT' });
+    assert.deepEqual(QUESTION_GRADERS.expression(expression('expanded'), { textAnswer: '(x + 1)^2' }), { correct: false, reason: 'WRONG_FORM' });
+  });
+
+  it('treats overly long or deeply nested expressions as unparseable', () => {
+    const unparseable = { correct: false, reason: 'UNPARSEABLE' };
+    assert.deepEqual(QUESTION_GRADERS.expression(expression(), { textAnswer: `${'('.repeat(5000)}x${')'.repeat(5000)}` }), unparseable);
+    assert.deepEqual(QUESTION_GRADERS.expression(expression(), { textAnswer: `${'('.repeat(60)}x + 1${')'.repeat(60)}^2` }), unparseable);
+    assert.deepEqual(QUESTION_GRADERS.expression(expression(), { textAnswer: `${'-'.repeat(10000)}x` }), unparseable);
+    assert.deepEqual(QUESTION_GRADERS.expression(expression(), { textAnswer: `${'('.repeat(50)}x + 1${')'.repeat(50)}^2` }), { correct: true, reason: 'CORRECT' });
+  });
+});
+
+describe('gradeQuestion', () => {
+  it('scores a missing answer as wrong', () => {
+    assert.deepEqual(gradeQuestion(multipleChoice, undefined), { correct: false, points: 0, requiresManualGrading: false });
+  });
+
+  it('awards full points for a correct answer', () => {
+    assert.deepEqual(gradeQuestion(multipleChoice, { answerId: 'mc-b' }), { correct: true, points: 2, requiresManualGrading: false });
+  });
+
+  it('awards the credit share of the points and keeps the reason', () => {
+    assert.deepEqual(gradeQuestion(numericUnit, { textAnswer: '1.5' }), {
+      correct: false,
+      points: 2,
+      requiresManualGrading: false,
+      reason: 'MISSING_UNIT'
+    });
+  });
+
+  it('rounds partial points to two decimals', () => {
+    const result = gradeQuestion(matching(true), { matches: { 'm-1': 'k1', 'm-2': 'k1', 'm-3': 'k1' } });
+    assert.equal(result.points, 1);
+
+    const third = gradeQuestion({ ...matching(true), points: 1 }, { matches: { 'm-1': 'k1' } });
+    assert.equal(third.points, 0.33);
+  });
+
+  it('keeps per-blank results for fill in the blanks', () => {
+    const result = gradeQuestion(fillInBlanks, { blanks: { first: 'hydrogen' } });
+    assert.equal(result.points, 1);
+    assert.deepEqual(result.blanks, { first: true, second: false });
+  });
+
+  it('leaves essays and unknown types to the teacher', () => {
+    assert.deepEqual(gradeQuestion(essay, { textAnswer: 'An essay' }), { requiresManualGrading: true, points: 0 });
+    assert.deepEqual(gradeQuestion({ ...essay, question_type: 'file_upload' }, { textAnswer: 'x' }), { requiresManualGrading: true, points: 0 });
+  });
+
+  it('reads text answers that are not strings without throwing', () => {
+    assert.equal(gradeQuestion(shortAnswer, { textAnswer: 5 }).correct, false);
+    assert.equal(gradeQuestion(expression(), { textAnswer: 5 }).correct, false);
+  });
+
+  it('passes the attempt variables to calculated questions', () => {
+    const result = gradeQuestion(calculated, { textAnswer: '20' }, { variables: { calc: { a: 4, b: 5 } } });
+    assert.equal(result.correct, true);
+    assert.equal(result.points, 2);
+  });
+});
+
+describe('isValidAnswer', () => {
+  it('accepts answers shaped as the graders read them', () => {
+    assert.equal(isValidAnswer({ answerId: 'mc-b' }), true);
+    assert.equal(isValidAnswer({ answerIds: ['ma-a'], textAnswer: null }), true);
+    assert.equal(isValidAnswer({ numericAnswer: 9.8 }), true);
+    assert.equal(isValidAnswer({ matches: { 'm-1': 'k1' }, order: ['o-1'] }), true);
+    assert.equal(isValidAnswer({ blanks: { first: 'hydrogen' } }), true);
+  });
+
+  it('refuses fields of the wrong type', () => {
+    assert.equal(isValidAnswer({ textAnswer: 5 }), false);
+    assert.equal(isValidAnswer({ answerIds: 'ma-a' }), false);
+    assert.equal(isValidAnswer({ order: [1, 2] }), false);
+    assert.equal(isValidAnswer({ matches: ['k1'] }), false);
+    assert.equal(isValidAnswer({ blanks: { first: 1 } }), false);
+    assert.equal(isValidAnswer('answer'), false);
+  });
+
+  it('checks every answer of a set', () => {
+    assert.equal(isValidAnswerSet({ mc: { answerId: 'mc-b' }, sa: { textAnswer: 'x' } }), true);
+    assert.equal(isValidAnswerSet({ mc: { answerId: 'mc-b' }, sa: { textAnswer: {} } }), false);
+    assert.equal(isValidAnswerSet([]), false);
+  });
+});
+
+describe('computeSubmissionScore', () => {
+  const questions = [multipleChoice, numericUnit, essay];
+
+  it('totals points for the questions given', () => {
+    const totals = computeSubmissionScore(questions, {
+      mc: { correct: true, points: 2, requiresManualGrading: false },
+      unit: { correct: false, points: 2, requiresManualGrading: false },
+      essay: { requiresManualGrading: true, points: 0 }
+    });
+
+    assert.deepEqual(totals, { score: 4, autoGradedScore: 4, totalPossiblePoints: 11, requiresManualGrading: true });
+  });
+
+  it('counts hand-graded points in the score but not the auto-graded score', () => {
+    const totals = computeSubmissionScore(questions, {
+      mc: { correct: true, points: 2, requiresManualGrading: false },
+      essay: { points: 3.5, requiresManualGrading: false, isGraded: true }
+    });
+
+    assert.equal(totals.score, 5.5);
+    assert.equal(totals.autoGradedScore, 2);
+    assert.equal(totals.requiresManualGrading, false);
+  });
+
+  it('ignores results for questions the submission was not given', () => {
+    const totals = computeSubmissionScore([multipleChoice], {
+      mc: { points: 2 },
+      other: { points: 10, requiresManualGrading: true }
+    });
+
+    assert.deepEqual(totals, { score: 2, autoGradedScore: 2, totalPossiblePoints: 2, requiresManualGrading: false });
+  });
+
+  it('handles no questions', () => {
+    assert.deepEqual(computeSubmissionScore(), { score: 0, autoGradedScore: 0, totalPossiblePoints: 0, requiresManualGrading: false });
+  });
+});
+
+describe('applyManualGrade', () => {
+  it('records the teacher grade without touching other questions', () => {
+    const detailedResults = {
+      mc: { correct: true, points: 2, requiresManualGrading: false },
+      essay: { requiresManualGrading: true, points: 0 }
+    };
+
+    const graded = applyManualGrade(detailedResults, 'essay', { points: 4, gradedBy: 'teacher-1', gradedAt: '2026-01-01T00:00:00.000Z' });
+
+    assert.deepEqual(graded.essay, {
+      points: 4,
+      requiresManualGrading: false,
+      isGraded: true,
+      gradedAt: '2026-01-01T00:00:00.000Z',
+      gradedBy: 'teacher-1'
+    });
+    assert.equal(graded.mc, detailedResults.mc);
+    assert.equal(detailedResults.essay.points, 0);
+  });
+
+  it('keeps the automatic result details it overrides', () => {
+    const graded = applyManualGrade({ unit: { correct: false, points: 2, reason: 'MISSING_UNIT' } }, 'unit', { points: 4, gradedBy: 't' });
+
+    assert.equal(graded.unit.reason, 'MISSING_UNIT');
+    assert.equal(graded.unit.points, 4);
+    assert.equal(typeof graded.unit.gradedAt, 'string');
+  });
+
+  it('adds a result for a question without one', () => {
+    assert.equal(applyManualGrade(undefined, 'essay', { points: 1, gradedBy: 't' }).essay.points, 1);
+  });
+});
+
+describe('gradeQuizAnswers', () => {
+  it('grades every question and totals the automatically graded points', () => {
+    const grading = gradeQuizAnswers(
+      [multipleChoice, numericUnit, fillInBlanks, essay, calculated],
+      {
+        mc: { answerId: 'mc-b' },
+        unit: { textAnswer: '1500 kJ' },
+        blanks: { blanks: { first: 'hydrogen', second: 'nitrogen' } },
+        essay: { textAnswer: 'Because...' },
+        calc: { textAnswer: '6' }
+      },
+      { variables: { calc: { a: 2, b: 3 } } }
+    );
+
+    assert.equal(grading.detailedResults.mc.points, 2);
+    assert.equal(grading.detailedResults.unit.reason, 'CONVERTED');
+    assert.equal(grading.detailedResults.blanks.points, 1);
+    assert.equal(grading.detailedResults.essay.requiresManualGrading, true);
+    assert.equal(grading.detailedResults.calc.correct, true);
+    assert.equal(grading.autoGradedScore, 9);
+    assert.equal(grading.totalPossiblePoints, 15);
+    assert.equal(grading.requiresManualGrading, true);
+  });
+
+  it('scores unanswered questions as zero', () => {
+    const grading = gradeQuizAnswers([multipleChoice, shortAnswer]);
+
+    assert.deepEqual(grading.detailedResults.sa, { correct: false, points: 0, requiresManualGrading: false });
+    assert.equal(grading.autoGradedScore, 0);
+    assert.equal(grading.totalPossiblePoints, 4);
+    assert.equal(grading.requiresManualGrading, false);
+  });
+});
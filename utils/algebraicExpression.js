@@ -0,0 +1,430 @@
+// utils/algebraicExpression.js
+
+// Forms a teacher can require on top of equivalence. The teacher's own
+// expression is taken to be written in that form.
+export const EXPRESSION_FORMS = ['any', 'expanded', 'factorised', 'simplified'];
+
+const FUNCTIONS = {
+  sqrt: Math.sqrt,
+  sin: Math.sin,
+  cos: Math.cos,
+  tan: Math.tan,
+  ln: Math.log,
+  log: Math.log10,
+  exp: Math.exp,
+  abs: Math.abs
+};
+
+const CONSTANTS = {
+  pi: Math.PI,
+  π: Math.PI,
+  e: Math.E
+};
+
+// Expressions are parsed recursively from untrusted input, so their length and
+// how deeply their brackets nest are bounded
+export const MAX_EXPRESSION_LENGTH = 500;
+export const MAX_EXPRESSION_DEPTH = 50;
+
+// Longest names first so "sqrt" isn't read as s·q·r·t
+const NAMES = [...Object.keys(FUNCTIONS), ...Object.keys(CONSTANTS)].sort((a, b) => b.length - a.length);
+
+const SUPERSCRIPTS = {
+  '⁰': '0', '¹': '1', '²': '2', '³': '3', '⁴': '4',
+  '⁵': '5', '⁶': '6', '⁷': '7', '⁸': '8', '⁹': '9'
+};
+
+const tokenize = (text, variableNames = []) => {
+  // Declared variables may be longer than one letter ("v0", "mass")
+  const variables = [...variableNames].sort((a, b) => b.length - a.length);
+
+  const source = text
+    .replace(/[−–]/g, '-')
+    .replace(/[×·⋅]/g, '*')
+    .replace(/÷/g, '/')
+    .replace(/\*\*/g, '^')
+    .replace(/[⁰¹²³⁴⁵⁶⁷⁸⁹]+/g, match => `^${[...match].map(char => SUPERSCRIPTS[char]).join('')}`);
+  const tokens = [];
+  let i = 0;
+
+  while (i < source.length) {
+    const char = source[i];
+
+    if (/\s/.test(char)) {
+      i++;
+    } else if (/[\d.]/.test(char)) {
+      const match = source.slice(i).match(/^(\d+\.?\d*|\.\d+)/);
+      if (!match) return null;
+      tokens.push({ type: 'number', value: Number(match[0]) });
+      i += match[0].length;
+    } else if (/[A-Za-zπ]/.test(char)) {
+      // Declared variables and known names are read whole; any other letter
+      // is a one-letter variable, so "xy" is x·y
+      const variable = variables.find(candidate => source.startsWith(candidate, i));
+      const name = variable || NAMES.find(candidate => source.startsWith(candidate, i)) || char;
+      tokens.push({ type: !variable && FUNCTIONS[name] ? 'function' : 'name', value: name, variable: !!variable });
+      i += name.length;
+    } else if ('+-*/^()'.includes(char)) {
+      tokens.push({ type: char });
+      i++;
+    } else {
+      return null;
+    }
+  }
+
+  return tokens;
+};
+
+// Deepest bracket nesting of a token list
+const getNestingDepth = (tokens) => {
+  let depth = 0;
+  let deepest = 0;
+  for (const token of tokens) {
+    if (token.type === '(') deepest = Math.max(deepest, ++depth);
+    if (token.type === ')') depth--;
+  }
+  return deepest;
+};
+
+// Recursive descent parser. Precedence from loosest: + -, * / and implied
+// multiplication, unary minus, ^ (right associative).
+const parseTokens = (tokens) => {
+  let position = 0;
+  const peek = () => tokens[position];
+  const next = () => tokens[position++];
+
+  const startsOperand = (token) => token && ['number', 'name', 'function', '('].includes(token.type);
+
+  let parseSum;
+
+  const parsePrimary = () => {
+    const token = next();
+    if (!token) return null;
+
+    if (token.type === 'number') return { type: 'number', value: token.value };
+    if (token.type === 'name') {
+      return !token.variable && CONSTANTS[token.value] !== undefined
+        ? { type: 'constant', name: token.value }
+        : { type: 'variable', name: token.value };
+    }
+    if (token.type === 'function') {
+      // sin(x)^2 squares the sine; sin x^2 takes the sine of x²
+      const argument = peek()?.type === '(' ? parsePrimary() : parsePower();
+      return argument ? { type: 'function', name: token.value, argument } : null;
+    }
+    if (token.type === '(') {
+      const inner = parseSum();
+      if (!inner || next()?.type !== ')') return null;
+      return { type: 'group', inner };
+    }
+
+    return null;
+  };
+
+  function parsePower() {
+    const base = parsePrimary();
+    if (!base) return null;
+
+    if (peek()?.type === '^') {
+      next();
+      const exponent = parseUnary();
+      return exponent ? { type: '^', left: base, right: exponent } : null;
+    }
+
+    return base;
+  }
+
+  function parseUnary() {
+    if (peek()?.type === '-') {
+      next();
+      const operand = parseUnary();
+      return operand ? { type: 'negate', operand } : null;
+    }
+    if (peek()?.type === '+') {
+      next();
+      return parseUnary();
+    }
+
+    return parsePower();
+  }
+
+  const parseProduct = () => {
+    let left = parseUnary();
+
+    while (left) {
+      const token = peek();
+      let operator;
+
+      if (token?.type === '*' || token?.type === '/') {
+        next();
+        operator = token.type;
+      } else if (startsOperand(token)) {
+        operator = '*';
+      } else {
+        break;
+      }
+
+      const right = parseUnary();
+      left = right ? { type: operator, left, right } : null;
+    }
+
+    return left;
+  };
+
+  parseSum = () => {
+    let left = parseProduct();
+
+    while (left && (peek()?.type === '+' || peek()?.type === '-')) {
+      const operator = next().type;
+      const right = parseProduct();
+      left = right ? { type: operator, left, right } : null;
+    }
+
+    return left;
+  };
+
+  const tree = parseSum();
+  return tree && position === tokens.length ? tree : null;
+};
+
+// Parse an expression such as "2(x+3)" or "x² - 4" into a syntax tree, or
+// null when it can't be read. Names in `variables` are read as one variable.
+export const parseExpression = (text, { variables = [] } = {}) => {
+  if (typeof text !== 'string' || !text.trim() || text.length > MAX_EXPRESSION_LENGTH) return null;
+
+  const tokens = tokenize(text.trim(), variables);
+  return tokens && getNestingDepth(tokens) <= MAX_EXPRESSION_DEPTH ? parseTokens(tokens) : null;
+};
+
+// Value of a parsed expression for the given variable values
+export const evaluateExpression = (node, values) => {
+  switch (node.type) {
+    case 'number': return node.value;
+    case 'constant': return CONSTANTS[node.name];
+    case 'variable': return values[node.name];
+    case 'group': return evaluateExpression(node.inner, values);
+    case 'negate': return -evaluateExpression(node.operand, values);
+    case 'function': return FUNCTIONS[node.name](evaluateExpression(node.argument, values));
+    case '+': return evaluateExpression(node.left, values) + evaluateExpression(node.right, values);
+    case '-': return evaluateExpression(node.left, values) - evaluateExpression(node.right, values);
+    case '*': return evaluateExpression(node.left, values) * evaluateExpression(node.right, values);
+    case '/': return evaluateExpression(node.left, values) / evaluateExpression(node.right, values);
+    case '^': return Math.pow(evaluateExpression(node.left, values), evaluateExpression(node.right, values));
+    default: return NaN;
+  }
+};
+
+const collectVariables = (node, found = new Set()) => {
+  if (node.type === 'variable') found.add(node.name);
+  for (const child of [node.inner, node.operand, node.argument, node.left, node.right]) {
+    if (child) collectVariables(child, found);
+  }
+  return found;
+};
+
+const countNodes = (node) =>
+  1 + [node.inner, node.operand, node.argument, node.left, node.right]
+    .reduce((total, child) => total + (child ? countNodes(child) : 0), 0);
+
+const SAMPLE_COUNT = 16;
+const MIN_VALID_SAMPLES = 6;
+const RELATIVE_TOLERANCE = 1e-8;
+
+// Deterministic, irregular sample values in roughly [-3, 3] that avoid the
+// small integers where different expressions often happen to agree
+const sampleValue = (sample, variableIndex) => {
+  const fraction = ((sample + 1) * 0.6180339887 + (variableIndex + 1) * 0.4142135623) % 1;
+  return (fraction * 6 - 3) + 0.01 * (variableIndex + 1);
+};
+
+// Variables an expression uses
+export const getExpressionVariables = (node) => [...collectVariables(node)];
+
+// Two expressions are equivalent when they agree at every sample point where
+// both are defined, and enough points are defined to be meaningful
+export const areExpressionsEquivalent = (a, b) => {
+  const variables = [...new Set([...collectVariables(a), ...collectVariables(b)])].sort();
+  let validSamples = 0;
+
+  for (let sample = 0; sample < SAMPLE_COUNT; sample++) {
+    const values = Object.fromEntries(variables.map((name, index) => [name, sampleValue(sample, index)]));
+    const left = evaluateExpression(a, values);
+    const right = evaluateExpression(b, values);
+    const leftDefined = Number.isFinite(left);
+    const rightDefined = Number.isFinite(right);
+
+    if (leftDefined !== rightDefined) return false;
+    if (!leftDefined) continue;
+
+    if (Math.abs(left - right) > RELATIVE_TOLERANCE * Math.max(1, Math.abs(left), Math.abs(right))) {
+      return false;
+    }
+    validSamples++;
+  }
+
+  return validSamples >= MIN_VALID_SAMPLES;
+};
+
+const unwrap = (node) => (node.type === 'group' ? unwrap(node.inner) : node);
+
+const isSum = (node) => ['+', '-'].includes(unwrap(node).type);
+
+// Expanded: nothing multiplies, divides or raises a bracketed sum
+const isExpanded = (node) => {
+  if (['*', '^'].includes(node.type) && (isSum(node.left) || (node.type === '*' && isSum(node.right)))) {
+    return false;
+  }
+  if (node.type === '/' && isSum(node.left)) return false;
+
+  return [node.inner, node.operand, node.argument, node.left, node.right]
+    .every(child => !child || isExpanded(child));
+};
+
+// Factors of a product that depend on a variable, counting integer powers
+// of a factor once per power
+const countFactors = (node) => {
+  const inner = unwrap(node);
+
+  if (inner.type === 'negate') return countFactors(inner.operand);
+  if (inner.type === '*') return countFactors(inner.left) + countFactors(inner.right);
+  if (inner.type === '^' && unwrap(inner.right).type === 'number' && Number.isInteger(unwrap(inner.right).value)) {
+    return countFactors(inner.left) * unwrap(inner.right).value;
+  }
+
+  return collectVariables(inner).size > 0 ? 1 : 0;
+};
+
+const flattenTerms = (node, terms = []) => {
+  const inner = unwrap(node);
+  if (inner.type === '+' || inner.type === '-') {
+    flattenTerms(inner.left, terms);
+    flattenTerms(inner.right, terms);
+  } else {
+    terms.push(inner.type === 'negate' ? unwrap(inner.operand) : inner);
+  }
+  return terms;
+};
+
+const flattenFactors = (node, factors = []) => {
+  const inner = unwrap(node);
+  if (inner.type === '*') {
+    flattenFactors(inner.left, factors);
+    flattenFactors(inner.right, factors);
+  } else if (inner.type === 'negate') {
+    flattenFactors(inner.operand, factors);
+  } else {
+    factors.push(inner);
+  }
+  return factors;
+};
+
+const factorKey = (factor) => {
+  if (factor.type === 'variable') return `${factor.name}^1`;
+  if (factor.type === '^' && factor.left.type === 'variable' && factor.right.type === 'number') {
+    return `${factor.left.name}^${factor.right.value}`;
+  }
+  return JSON.stringify(factor);
+};
+
+// Simplified: no like terms left to collect and no numbers left to multiply,
+// at any level of the expression
+const isSimplified = (node) => {
+  const signatures = new Set();
+
+  for (const term of flattenTerms(node)) {
+    const factors = flattenFactors(term);
+    const numbers = factors.filter(factor => factor.type === 'number');
+    if (numbers.length > 1) return false;
+
+    const signature = factors
+      .filter(factor => factor.type !== 'number')
+      .map(factorKey)
+      .sort()
+      .join('*');
+    if (signatures.has(signature)) return false;
+    signatures.add(signature);
+  }
+
+  return [node.inner, node.operand, node.argument, node.left, node.right]
+    .every(child => !child || isSimplified(child));
+};
+
+// Does the answer meet the form required on top of equivalence? `expected`
+// is the teacher's expression, written in that form.
+export const isInRequiredForm = (answer, expected, requiredForm) => {
+  switch (requiredForm) {
+    case 'expanded':
+      return isExpanded(answer);
+    case 'factorised':
+      // Not a sum, and split into at least as many factors as the key
+      return !isSum(answer) && countFactors(answer) >= countFactors(expected);
+    case 'simplified':
+      return isSimplified(answer) && countNodes(answer) <= countNodes(expected);
+    default:
+      return true;
+  }
+};
+
+// Normalise the expression settings a teacher sends with a question into the
+// grading_config stored on it
+export const buildExpressionConfig = (settings = {}) => ({
+  expression: typeof settings.expression === 'string' ? settings.expression.trim() : null,
+  requiredForm: EXPRESSION_FORMS.includes(settings.requiredForm) ? settings.requiredForm : 'any'
+});
+
+// Why an expression config can't be graded, or null when it is usable
+export const getExpressionConfigError = (config) => {
+  if (!config?.expression) return 'Expression questions need a correct expression';
+  if (!parseExpression(config.expression)) return `Could not read the expression "${config.expression}"`;
+  return null;
+};
+
+export const EXPRESSION_ANSWER_REASONS = {
+  CORRECT: 'CORRECT',
+  NOT_EQUIVALENT: 'NOT_EQUIVALENT',
+  WRONG_FORM: 'WRONG_FORM',
+  UNPARSEABLE: 'UNPARSEABLE'
+};
+
+// Grade a student's expression against a question's expression grading_config.
+// Returns { correct, reason }.
+export const gradeExpressionAnswer = (config, input) => {
+  const expected = config ? parseExpression(config.expression) : null;
+  const answer = parseExpression(input);
+
+  if (!expected || !answer) {
+    return { correct: false, reason: EXPRESSION_ANSWER_REASONS.UNPARSEABLE };
+  }
+  if (!areExpressionsEquivalent(answer, expected)) {
+    return { correct: false, reason: EXPRESSION_ANSWER_REASONS.NOT_EQUIVALENT };
+  }
+  if (!isInRequiredForm(answer, expected, config.requiredForm)) {
+    return { correct: false, reason: EXPRESSION_ANSWER_REASONS.WRONG_FORM };
+  }
+
+  return { correct: true, reason: EXPRESSION_ANSWER_REASONS.CORRECT };
+};
+
+// Human-readable correct answer for review screens
+export const describeExpressionAnswer = (config) => {
+  if (!config?.expression) return 'No correct answer';
+  return config.requiredForm && config.requiredForm !== 'any'
+    ? `${config.expression} (${config.requiredForm})`
+    : config.expression;
+};
+
+export default {
+  EXPRESSION_FORMS,
+  MAX_EXPRESSION_LENGTH,
+  MAX_EXPRESSION_DEPTH,
+  EXPRESSION_ANSWER_REASONS,
+  parseExpression,
+  evaluateExpression,
+  getExpressionVariables,
+  areExpressionsEquivalent,
+  isInRequiredForm,
+  buildExpressionConfig,
+  getExpressionConfigError,
+  gradeExpressionAnswer,
+  describeExpressionAnswer
+};
@@ -0,0 +1,152 @@
+// utils/calculatedQuestion.js
+import { parseExpression, evaluateExpression, getExpressionVariables } from './algebraicExpression.js';
+import { buildNumericConfig, getNumericConfigError, gradeNumericAnswer, describeNumericAnswer } from './numericAnswer.js';
+import { parseQuizData } from './quizData.js';
+import { createSeededRandom } from './quizShuffle.js';
+
+// Variables appear in the question text as {name}
+const PLACEHOLDER_PATTERN = /\{([A-Za-z][A-Za-z0-9_]*)\}/g;
+const VARIABLE_NAME_PATTERN = /^[A-Za-z][A-Za-z0-9_]*$/;
+
+const isCalculated = (question) => question.question_type === 'calculated';
+
+// Decimal places a variable is drawn with: as set, else whole numbers when
+// both bounds are whole and two places otherwise
+const getDecimals = (variable) => {
+  if (Number.isInteger(variable.decimals)) return variable.decimals;
+  return Number.isInteger(variable.min) && Number.isInteger(variable.max) ? 0 : 2;
+};
+
+// Normalise the settings a teacher sends with a calculated question into the
+// grading_config stored on it: { formula, variables: [{ name, min, max,
+// decimals }] } plus the numeric tolerance rules. The correct value itself is
+// computed per attempt.
+export const buildCalculatedConfig = (settings = {}) => {
+  const numeric = buildNumericConfig({
+    mode: settings.tolerance ? 'tolerance' : 'exact',
+    tolerance: settings.tolerance,
+    toleranceType: settings.toleranceType,
+    significantFigures: settings.significantFigures
+  });
+
+  return {
+    formula: typeof settings.formula === 'string' ? settings.formula.trim() : null,
+    variables: (settings.variables || []).map(variable => ({
+      name: String(variable.name || '').trim(),
+      min: Number(variable.min),
+      max: Number(variable.max),
+      decimals: variable.decimals !== undefined && variable.decimals !== null ? parseInt(variable.decimals, 10) : null
+    })),
+    mode: numeric.mode,
+    tolerance: numeric.tolerance,
+    toleranceType: numeric.toleranceType,
+    significantFigures: numeric.significantFigures
+  };
+};
+
+const parseFormula = (config) =>
+  parseExpression(config.formula, { variables: config.variables.map(variable => variable.name) });
+
+// Why a calculated config can't be graded, or null when it is usable
+export const getCalculatedConfigError = (config) => {
+  if (!config?.formula) return 'Calculated questions need a formula';
+  if (config.variables.length === 0) return 'Calculated questions need at least one variable';
+
+  for (const variable of config.variables) {
+    if (!VARIABLE_NAME_PATTERN.test(variable.name)) return `Invalid variable name "${variable.name}"`;
+    if (!Number.isFinite(variable.min) || !Number.isFinite(variable.max)) {
+      return `Variable "${variable.name}" needs a numeric minimum and maximum`;
+    }
+    if (variable.min > variable.max) return `Variable "${variable.name}" minimum must not exceed its maximum`;
+    if (variable.decimals !== null && (!Number.isInteger(variable.decimals) || variable.decimals < 0 || variable.decimals > 10)) {
+      return `Variable "${variable.name}" decimals must be a whole number from 0 to 10`;
+    }
+  }
+
+  const formula = parseFormula(config);
+  if (!formula) return `Could not read the formula "${config.formula}"`;
+
+  const undefinedVariable = getExpressionVariables(formula)
+    .find(name => !config.variables.some(variable => variable.name === name));
+  if (undefinedVariable) return `Formula uses undefined variable "${undefinedVariable}"`;
+
+  return getNumericConfigError({ ...config, value: 0 });
+};
+
+// Draw one value for each variable, repeatably for the same seed
+export const generateVariables = (config, seed) => {
+  const random = createSeededRandom(seed);
+
+  return Object.fromEntries((config?.variables || []).map(variable => {
+    const decimals = getDecimals(variable);
+    const value = variable.min + random() * (variable.max - variable.min);
+    return [variable.name, Number(value.toFixed(decimals))];
+  }));
+};
+
+// The correct answer for one set of variable values, or null
+export const computeCalculatedAnswer = (config, values) => {
+  const formula = config?.formula ? parseFormula(config) : null;
+  if (!formula || !values) return null;
+
+  const value = evaluateExpression(formula, values);
+  return Number.isFinite(value) ? value : null;
+};
+
+// Variable values for each calculated question of an attempt: the ones stored
+// on the attempt if there are any, otherwise drawn from the attempt seed
+// (see getShuffleSeed). Keyed by question ID.
+export const resolveAttemptVariables = (questions, { attempt = null, seed }) => {
+  const storedVariables = attempt ? parseQuizData(attempt.quiz_data).variables || {} : {};
+
+  return Object.fromEntries(questions
+    .filter(isCalculated)
+    .map(question => [
+      question.id,
+      storedVariables[question.id] || generateVariables(question.grading_config, `${seed}:${question.id}:variables`)
+    ]));
+};
+
+// Question text with each {name} replaced by the attempt's value
+export const renderCalculatedText = (text, values) =>
+  values
+    ? String(text).replace(PLACEHOLDER_PATTERN, (placeholder, name) => (values[name] !== undefined ? String(values[name]) : placeholder))
+    : text;
+
+// Questions with their text filled in for an attempt
+export const applyAttemptVariables = (questions, variables) => {
+  if (!variables) return questions;
+
+  return questions.map(question => (isCalculated(question) && variables[question.id]
+    ? { ...question, question_text: renderCalculatedText(question.question_text, variables[question.id]) }
+    : question));
+};
+
+// Grade a student's answer using the numeric tolerance rules against the
+// value the formula gives for this attempt's variables
+export const gradeCalculatedAnswer = (config, values, input) => {
+  const value = computeCalculatedAnswer(config, values);
+  if (value === null) return false;
+
+  return gradeNumericAnswer({ ...config, value }, input);
+};
+
+// Human-readable correct answer for this attempt's variables
+export const describeCalculatedAnswer = (config, values) => {
+  const value = computeCalculatedAnswer(config, values);
+  if (value === null) return 'No correct answer';
+
+  return describeNumericAnswer({ ...config, value: Number(value.toPrecision(12)) });
+};
+
+export default {
+  buildCalculatedConfig,
+  getCalculatedConfigError,
+  generateVariables,
+  computeCalculatedAnswer,
+  resolveAttemptVariables,
+  renderCalculatedText,
+  applyAttemptVariables,
+  gradeCalculatedAnswer,
+  describeCalculatedAnswer
+};
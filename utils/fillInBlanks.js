@@ -0,0 +1,93 @@
+// utils/fillInBlanks.js
+import { matchesAnyShortAnswerOption, buildShortAnswerOption, getShortAnswerOptionsError } from './shortAnswer.js';
+
+// Blanks are named in the question text: "Newton's {{ordinal}} law states F = {{formula}}"
+const BLANK_PATTERN = /\{\{\s*([A-Za-z0-9_-]+)\s*\}\}/g;
+
+export const FILL_IN_BLANKS_REASONS = {
+  CORRECT: 'CORRECT',
+  PARTIAL: 'PARTIAL',
+  INCORRECT: 'INCORRECT'
+};
+
+// Blank names in the order they appear, each once
+export const getBlankNames = (questionText = '') =>
+  [...new Set([...String(questionText).matchAll(BLANK_PATTERN)].map(match => match[1]))];
+
+// Rows to store in quiz_short_answer_options for a question as a teacher sends
+// it: blanks: [{ name, acceptableAnswers: [...], matchType, caseSensitive }].
+// Answers take the same forms as short answer acceptableAnswers.
+export const buildBlankOptions = (questionId, blanks = []) => blanks.flatMap(blank =>
+  (blank.acceptableAnswers || [])
+    .map(answer => buildShortAnswerOption(answer, blank))
+    .filter(option => option.answer_text)
+    .map((option, index) => ({
+      question_id: questionId,
+      blank_name: blank.name,
+      ...option,
+      answer_order: index + 1
+    }))
+);
+
+// grading_config for the question: the blanks in question order
+export const buildBlanksConfig = (question) => ({
+  blanks: getBlankNames(question.questionText)
+});
+
+// Why a fill-in-multiple-blanks question can't be graded, or null when it can
+export const getBlanksError = (question) => {
+  const names = getBlankNames(question.questionText);
+  if (names.length === 0) return 'Fill in the blanks questions need at least one {{blank}} in the question text';
+
+  const blanks = question.blanks || [];
+  const unknown = blanks.find(blank => !names.includes(blank.name));
+  if (unknown) return `Blank "${unknown.name}" doesn't appear in the question text`;
+
+  const missing = names.find(name => !blanks.some(blank =>
+    blank.name === name && (blank.acceptableAnswers || []).some(answer => buildShortAnswerOption(answer, blank).answer_text)
+  ));
+  if (missing) return `Blank "${missing}" needs at least one acceptable answer`;
+
+  for (const blank of blanks) {
+    const error = getShortAnswerOptionsError(blank.acceptableAnswers, blank);
+    if (error) return `Blank "${blank.name}": ${error}`;
+  }
+
+  return null;
+};
+
+// Grade { blanks: { [name]: text } } against the question's options. Points
+// are split evenly across the blanks. Returns { correct, credit, reason,
+// blanks: { [name]: boolean } }.
+export const gradeBlanksAnswer = (question, userAnswer = {}) => {
+  const names = question.grading_config?.blanks || getBlankNames(question.question_text);
+  const options = question.quiz_short_answer_options || [];
+  const answers = userAnswer?.blanks || {};
+
+  const blanks = Object.fromEntries(names.map(name => [
+    name,
+    !!answers[name] && matchesAnyShortAnswerOption(answers[name], options.filter(option => option.blank_name === name))
+  ]));
+
+  const correctCount = Object.values(blanks).filter(Boolean).length;
+  const correct = names.length > 0 && correctCount === names.length;
+  const credit = names.length > 0 ? correctCount / names.length : 0;
+
+  let reason = FILL_IN_BLANKS_REASONS.INCORRECT;
+  if (correct) {
+    reason = FILL_IN_BLANKS_REASONS.CORRECT;
+  } else if (correctCount > 0) {
+    reason = FILL_IN_BLANKS_REASONS.PARTIAL;
+  }
+
+  return { correct, credit, reason, blanks };
+};
+
+export default {
+  FILL_IN_BLANKS_REASONS,
+  getBlankNames,
+  buildBlankOptions,
+  buildBlanksConfig,
+  getBlanksError,
+  gradeBlanksAnswer
+};
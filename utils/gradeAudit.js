@@ -0,0 +1,31 @@
+// utils/gradeAudit.js
+import supabase from '../config/postgres.js';
+
+// Record a change to a submission's grade in grade_audit_log. action says what
+// made it ('regrade', ...); details holds whatever else is worth keeping.
+export const recordGradeChange = async (submission, {
+  action,
+  previousScore = null,
+  newScore = null,
+  changedBy = null,
+  details = {}
+}) => {
+  const { error } = await supabase
+    .from('grade_audit_log')
+    .insert({
+      submission_id: submission.id,
+      assignment_id: submission.assignment_id,
+      student_id: submission.student_id,
+      changed_by: changedBy,
+      action,
+      previous_score: previousScore,
+      new_score: newScore,
+      details
+    });
+
+  return { error };
+};
+
+export default {
+  recordGradeChange
+};
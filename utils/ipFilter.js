@@ -0,0 +1,100 @@
+// utils/ipFilter.js
+import net from 'net';
+import supabase from '../config/postgres.js';
+
+// IPv4 clients reach a dual-stack server as IPv4-mapped IPv6 (::ffff:10.0.0.5)
+export const normalizeIp = (ip) => {
+  if (!ip) return null;
+  const address = ip.trim().replace(/^\[|\]$/g, '');
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  return mapped ? mapped[1] : address;
+};
+
+// ip_filter holds IP addresses and CIDR ranges separated by commas, spaces or new lines
+export const parseIpFilter = (ipFilter) => {
+  const blockList = new net.BlockList();
+  const ranges = [];
+  const invalid = [];
+
+  const entries = (ipFilter || '').split(/[\s,;]+/).filter(Boolean);
+
+  for (const entry of entries) {
+    const [rawAddress, prefixText, ...rest] = entry.split('/');
+    const address = normalizeIp(rawAddress);
+    const family = net.isIP(address);
+    const maxPrefix = family === 6 ? 128 : 32;
+    const prefix = prefixText === undefined ? maxPrefix : Number(prefixText);
+
+    if (!family || rest.length > 0 || !Number.isInteger(prefix) || prefix < 0 || prefix > maxPrefix) {
+      invalid.push(entry);
+      continue;
+    }
+
+    blockList.addSubnet(address, prefix, family === 6 ? 'ipv6' : 'ipv4');
+    ranges.push(`${address}/${prefix}`);
+  }
+
+  return { blockList, ranges, invalid };
+};
+
+export const isValidIpFilter = (ipFilter) => {
+  const { ranges, invalid } = parseIpFilter(ipFilter);
+  return ranges.length > 0 && invalid.length === 0;
+};
+
+// With filtering switched on but no usable ranges, nobody gets in
+export const isIpAllowed = (assignment, ip) => {
+  if (!assignment.ip_filtering) {
+    return true;
+  }
+
+  const address = normalizeIp(ip);
+  const family = net.isIP(address || '');
+  if (!family) {
+    return false;
+  }
+
+  const { blockList } = parseIpFilter(assignment.ip_filter);
+  return blockList.check(address, family === 6 ? 'ipv6' : 'ipv4');
+};
+
+// req.ip honours the app's 'trust proxy' setting (see server.js). The filter
+// assumes the app is only reachable through a proxy that sets
+// X-Forwarded-For; a client reaching it directly could spoof that header.
+export const getClientIp = (req) => normalizeIp(req.ip);
+
+// Check the client IP against the assignment's filter, recording any denial
+// so teachers can review it. `action` names the request that was refused.
+export const enforceIpFilter = async (req, assignment, action) => {
+  const ip = getClientIp(req);
+
+  if (isIpAllowed(assignment, ip)) {
+    return true;
+  }
+
+  const { error } = await supabase
+    .from('quiz_access_denials')
+    .insert({
+      assignment_id: assignment.id,
+      student_id: req.user.id,
+      ip_address: ip,
+      action,
+      user_agent: req.get('User-Agent') || null
+    });
+
+  if (error) {
+    console.error('Error logging quiz access denial:', error);
+  }
+
+  console.warn(`🚫 Quiz access denied by IP filter - Assignment: ${assignment.id}, User: ${req.user.id}, IP: ${ip}, Action: ${action}`);
+  return false;
+};
+
+export default {
+  normalizeIp,
+  parseIpFilter,
+  isValidIpFilter,
+  isIpAllowed,
+  getClientIp,
+  enforceIpFilter
+};
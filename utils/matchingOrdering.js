@@ -0,0 +1,138 @@
+// utils/matchingOrdering.js
+import { seededShuffle } from './quizShuffle.js';
+
+// Question types whose answer rows are arranged rather than picked:
+// - matching: each row pairs a term (answer_text) with its match (match_text);
+//   students see the matches by their opaque match_key only
+// - ordering: rows are steps and answer_order is the correct sequence
+export const ARRANGEMENT_TYPES = ['matching', 'ordering'];
+
+export const ARRANGEMENT_REASONS = {
+  CORRECT: 'CORRECT',
+  PARTIAL: 'PARTIAL',
+  INCORRECT: 'INCORRECT'
+};
+
+// Normalise the settings a teacher sends with the question into the
+// grading_config stored on it. With partialCredit each correct pair or
+// position earns its share of the points.
+export const buildArrangementConfig = (question = {}) => ({
+  partialCredit: !!question.partialCredit
+});
+
+// Why a matching or ordering question can't be graded, or null when it can.
+// Takes the question as a teacher sends it: answers[].text (and .match).
+export const getArrangementError = (question) => {
+  const answers = question.answers || [];
+
+  if (question.questionType === 'matching') {
+    if (answers.length < 2) return 'Matching questions need at least two pairs';
+    if (answers.some(answer => !answer.text?.trim() || !answer.match?.trim())) {
+      return 'Every matching pair needs both a term and a match';
+    }
+    return null;
+  }
+
+  if (answers.length < 2) return 'Ordering questions need at least two items';
+  if (answers.some(answer => !answer.text?.trim())) return 'Ordering items can\'t be empty';
+  return null;
+};
+
+const byAnswerOrder = (rows) => [...rows].sort((a, b) => a.answer_order - b.answer_order);
+
+const scoreArrangement = (config, correctCount, total) => {
+  const correct = total > 0 && correctCount === total;
+  let credit = 0;
+  if (correct) {
+    credit = 1;
+  } else if (config?.partialCredit && total > 0) {
+    credit = correctCount / total;
+  }
+
+  let reason = ARRANGEMENT_REASONS.INCORRECT;
+  if (correct) {
+    reason = ARRANGEMENT_REASONS.CORRECT;
+  } else if (credit > 0) {
+    reason = ARRANGEMENT_REASONS.PARTIAL;
+  }
+
+  return { correct, credit, reason, correctCount, total };
+};
+
+// Grade { matches: { [answerId]: matchKey } }. Matches are compared by text,
+// so two terms that share a match (e.g. speed and velocity, m/s) both count.
+export const gradeMatchingAnswer = (config, rows = [], userAnswer = {}) => {
+  const matchTextByKey = new Map(rows.map(row => [row.match_key, row.match_text]));
+  const matches = userAnswer?.matches || {};
+
+  const correctCount = rows.filter(row =>
+    matches[row.id] !== undefined && matchTextByKey.get(matches[row.id]) === row.match_text
+  ).length;
+
+  return scoreArrangement(config, correctCount, rows.length);
+};
+
+// Grade { order: [answerId, ...] } position by position
+export const gradeOrderingAnswer = (config, rows = [], userAnswer = {}) => {
+  const order = Array.isArray(userAnswer?.order) ? userAnswer.order : [];
+  const correctCount = byAnswerOrder(rows).filter((row, index) => order[index] === row.id).length;
+
+  return scoreArrangement(config, correctCount, rows.length);
+};
+
+// Shuffle that never hands back the answer itself when there is a choice
+const shuffleAwayFromAnswer = (ids, seed) => {
+  const shuffled = seededShuffle(ids, seed);
+  const unchanged = shuffled.every((id, index) => id === ids[index]);
+  return unchanged && ids.length > 1 ? [...shuffled.slice(1), shuffled[0]] : shuffled;
+};
+
+// What a student sees of a matching question: the terms, and the distinct
+// matches in a shuffled order under their match_key
+export const presentMatchingQuestion = (question) => {
+  const rows = byAnswerOrder(question.quiz_question_answers || []);
+
+  const optionsByText = new Map();
+  rows.forEach(row => {
+    if (!optionsByText.has(row.match_text)) {
+      optionsByText.set(row.match_text, { id: row.match_key, text: row.match_text });
+    }
+  });
+
+  const options = [...optionsByText.values()];
+  const order = shuffleAwayFromAnswer(options.map(option => option.id), `${question.id}:matches`);
+
+  return {
+    answers: rows.map(row => ({ id: row.id, answerText: row.answer_text })),
+    matchOptions: order.map(id => options.find(option => option.id === id))
+  };
+};
+
+// What a student sees of an ordering question: the steps, shuffled
+export const presentOrderingQuestion = (question) => {
+  const rows = byAnswerOrder(question.quiz_question_answers || []);
+  const order = shuffleAwayFromAnswer(rows.map(row => row.id), `${question.id}:items`);
+
+  return {
+    answers: order.map(id => {
+      const row = rows.find(candidate => candidate.id === id);
+      return { id: row.id, answerText: row.answer_text };
+    })
+  };
+};
+
+// Student view of a matching or ordering question's answer data
+export const presentArrangement = (question) =>
+  question.question_type === 'matching' ? presentMatchingQuestion(question) : presentOrderingQuestion(question);
+
+export default {
+  ARRANGEMENT_TYPES,
+  ARRANGEMENT_REASONS,
+  buildArrangementConfig,
+  getArrangementError,
+  gradeMatchingAnswer,
+  gradeOrderingAnswer,
+  presentMatchingQuestion,
+  presentOrderingQuestion,
+  presentArrangement
+};
@@ -0,0 +1,81 @@
+// utils/multipleAnswers.js
+
+// How a select-all-that-apply question is scored:
+// - all_or_nothing: full points only for exactly the correct options
+// - partial: a share of the points per correct option selected, but nothing
+//   once any incorrect option is selected, so ticking everything doesn't pay
+// - penalty: a share per correct option selected, minus a share per incorrect
+//   option selected, never below zero
+export const MULTIPLE_ANSWER_SCORING = ['all_or_nothing', 'partial', 'penalty'];
+
+export const MULTIPLE_ANSWER_REASONS = {
+  CORRECT: 'CORRECT',
+  PARTIAL: 'PARTIAL',
+  INCORRECT: 'INCORRECT'
+};
+
+// Normalise the settings a teacher sends with the question into the
+// grading_config stored on it
+export const buildMultipleAnswersConfig = (settings = {}) => ({
+  scoring: MULTIPLE_ANSWER_SCORING.includes(settings.scoring) ? settings.scoring : 'all_or_nothing'
+});
+
+// Why a multiple answers question can't be graded, or null when it can.
+// Takes the question as a teacher sends it, with answers[].correct.
+export const getMultipleAnswersError = (question) => {
+  const answers = question.answers || [];
+  if (answers.length < 2) return 'Multiple answers questions need at least two options';
+  if (!answers.some(answer => answer.correct)) return 'Multiple answers questions need at least one correct option';
+  return null;
+};
+
+// Answer IDs a student selected, from { answerIds: [...] }
+export const getSelectedAnswerIds = (userAnswer) =>
+  Array.isArray(userAnswer?.answerIds) ? [...new Set(userAnswer.answerIds)] : [];
+
+// Grade selected answer IDs against the question's answer rows (with
+// is_correct). Returns { correct, credit, reason, selectedCorrect,
+// selectedIncorrect } where credit is the share of the points earned.
+export const gradeMultipleAnswers = (config, answers = [], selectedIds = []) => {
+  const correctIds = new Set(answers.filter(answer => answer.is_correct).map(answer => answer.id));
+  const knownIds = new Set(answers.map(answer => answer.id));
+  const selected = selectedIds.filter(id => knownIds.has(id));
+
+  const selectedCorrect = selected.filter(id => correctIds.has(id)).length;
+  const selectedIncorrect = selected.length - selectedCorrect;
+  const correct = correctIds.size > 0 && selectedCorrect === correctIds.size && selectedIncorrect === 0;
+
+  let credit = 0;
+  if (correct) {
+    credit = 1;
+  } else if (correctIds.size > 0) {
+    switch (config?.scoring) {
+      case 'partial':
+        credit = selectedIncorrect === 0 ? selectedCorrect / correctIds.size : 0;
+        break;
+      case 'penalty':
+        credit = Math.max(0, (selectedCorrect - selectedIncorrect) / correctIds.size);
+        break;
+      default:
+        credit = 0;
+    }
+  }
+
+  let reason = MULTIPLE_ANSWER_REASONS.INCORRECT;
+  if (correct) {
+    reason = MULTIPLE_ANSWER_REASONS.CORRECT;
+  } else if (credit > 0) {
+    reason = MULTIPLE_ANSWER_REASONS.PARTIAL;
+  }
+
+  return { correct, credit, reason, selectedCorrect, selectedIncorrect };
+};
+
+export default {
+  MULTIPLE_ANSWER_SCORING,
+  MULTIPLE_ANSWER_REASONS,
+  buildMultipleAnswersConfig,
+  getMultipleAnswersError,
+  getSelectedAnswerIds,
+  gradeMultipleAnswers
+};
@@ -0,0 +1,188 @@
+// utils/numericAnswer.js
+
+export const NUMERIC_MODES = ['exact', 'tolerance', 'range'];
+export const TOLERANCE_TYPES = ['absolute', 'percent'];
+
+// Relative slack so an "exact" answer survives floating point rounding
+const EXACT_EPSILON = 1e-9;
+
+const SUPERSCRIPTS = {
+  '⁰': '0', '¹': '1', '²': '2', '³': '3', '⁴': '4',
+  '⁵': '5', '⁶': '6', '⁷': '7', '⁸': '8', '⁹': '9',
+  '⁻': '-', '⁺': '+'
+};
+
+const MANTISSA_PATTERN = /^[+-]?(\d+\.?\d*|\.\d+)$/;
+
+// Count significant figures in a plain decimal string. Trailing zeros of a
+// whole number without a decimal point are ambiguous ("1200" has 2 to 4), so
+// a range is returned.
+const countSignificantFigures = (mantissa) => {
+  const unsigned = mantissa.replace(/^[+-]/, '');
+  const hasPoint = unsigned.includes('.');
+  const digits = unsigned.replace('.', '').replace(/^0+/, '');
+
+  if (!digits) {
+    // Zero: the digits after the point are significant ("0.00" has 2)
+    const decimals = hasPoint ? unsigned.split('.')[1].length : 0;
+    return { min: Math.max(1, decimals), max: Math.max(1, decimals) };
+  }
+
+  if (hasPoint) {
+    return { min: digits.length, max: digits.length };
+  }
+
+  return { min: digits.replace(/0+$/, '').length, max: digits.length };
+};
+
+// Parse a student's numeric answer. Accepts decimal commas ("2,5"), spaces
+// as thousands separators, the Unicode minus sign and scientific notation
+// written as 3.0e8, 3.0E+8, 3.0×10^8, 3.0x10^8, 3.0*10**8 or 3.0×10⁸.
+// Returns { value, significantFigures: { min, max } } or null, also for
+// numbers as ambiguous as "1,234".
+export const parseNumericAnswer = (input) => {
+  if (input === null || input === undefined) return null;
+  if (typeof input === 'number') {
+    return Number.isFinite(input) ? parseNumericAnswer(String(input)) : null;
+  }
+
+  let text = String(input)
+    .trim()
+    .replace(/[−‒–]/g, '-')
+    .replace(/[⁰¹²³⁴⁵⁶⁷⁸⁹⁻⁺]/g, char => SUPERSCRIPTS[char])
+    .replace(/(\d)[\s\u00a0\u202f](?=\d{3}\b)/g, '$1');
+
+  if (!text) return null;
+
+  let exponent = 0;
+  const powerMatch = text.match(/^(.+?)\s*[×xX*·]\s*10\s*(?:\^|\*\*)?\s*\(?\s*([+-]?\d+)\s*\)?$/);
+  const eMatch = text.match(/^(.+?)[eE]([+-]?\d+)$/);
+
+  if (powerMatch) {
+    text = powerMatch[1].trim();
+    exponent = parseInt(powerMatch[2], 10);
+  } else if (eMatch) {
+    text = eMatch[1].trim();
+    exponent = parseInt(eMatch[2], 10);
+  }
+
+  // A lone comma with no point is a decimal comma; commas before a point
+  // are thousands separators ("12,345.6"). "1,234" could be either, so it is
+  // refused rather than guessed: students write 1234, 1 234 or 1.234.
+  if (/^[+-]?\d{1,3},\d{3}$/.test(text)) return null;
+
+  if (!text.includes('.') && (text.match(/,/g) || []).length === 1) {
+    text = text.replace(',', '.');
+  } else if (/^[+-]?\d{1,3}(,\d{3})+\.\d*$/.test(text)) {
+    text = text.replace(/,/g, '');
+  }
+
+  if (!MANTISSA_PATTERN.test(text)) return null;
+
+  const value = Number(`${text}e${exponent}`);
+  if (!Number.isFinite(value)) return null;
+
+  return { value, significantFigures: countSignificantFigures(text) };
+};
+
+// Normalise the numeric settings a teacher sends with a question into the
+// grading_config stored on it
+export const buildNumericConfig = (settings = {}) => {
+  const mode = NUMERIC_MODES.includes(settings.mode)
+    ? settings.mode
+    : (settings.min !== undefined || settings.max !== undefined ? 'range' : (settings.tolerance ? 'tolerance' : 'exact'));
+
+  const toNumber = (value) => {
+    const parsed = parseNumericAnswer(value);
+    return parsed ? parsed.value : null;
+  };
+
+  return {
+    mode,
+    value: mode === 'range' ? null : toNumber(settings.value),
+    tolerance: mode === 'tolerance' ? Math.abs(toNumber(settings.tolerance) || 0) : null,
+    toleranceType: mode === 'tolerance' && TOLERANCE_TYPES.includes(settings.toleranceType) ? settings.toleranceType : 'absolute',
+    min: mode === 'range' ? toNumber(settings.min) : null,
+    max: mode === 'range' ? toNumber(settings.max) : null,
+    significantFigures: settings.significantFigures ? parseInt(settings.significantFigures, 10) : null
+  };
+};
+
+// Why a numeric config can't be graded, or null when it is usable
+export const getNumericConfigError = (config) => {
+  if (!config) return 'Numeric questions need a correct answer';
+
+  if (config.mode === 'range') {
+    if (config.min === null || config.max === null) return 'Numeric range needs both a minimum and a maximum';
+    if (config.min > config.max) return 'Numeric range minimum must not exceed the maximum';
+  } else if (config.value === null) {
+    return 'Numeric questions need a correct value';
+  }
+
+  if (config.significantFigures !== null && (!Number.isInteger(config.significantFigures) || config.significantFigures < 1)) {
+    return 'Significant figures must be a positive whole number';
+  }
+
+  return null;
+};
+
+// Check an already parsed answer ({ value, significantFigures }) against a
+// numeric grading_config
+export const gradeNumericValue = (config, parsed) => {
+  if (!parsed || getNumericConfigError(config)) return false;
+
+  const { value } = parsed;
+  let withinRange;
+
+  if (config.mode === 'range') {
+    withinRange = value >= config.min && value <= config.max;
+  } else if (config.mode === 'tolerance') {
+    const allowed = config.toleranceType === 'percent'
+      ? Math.abs(config.value) * config.tolerance / 100
+      : config.tolerance;
+    withinRange = Math.abs(value - config.value) <= allowed + EXACT_EPSILON * Math.max(1, Math.abs(config.value));
+  } else {
+    withinRange = Math.abs(value - config.value) <= EXACT_EPSILON * Math.max(1, Math.abs(config.value));
+  }
+
+  if (!withinRange) return false;
+
+  if (config.significantFigures) {
+    const { min, max } = parsed.significantFigures;
+    return config.significantFigures >= min && config.significantFigures <= max;
+  }
+
+  return true;
+};
+
+// Check a student's answer against a question's numeric grading_config
+export const gradeNumericAnswer = (config, input) => gradeNumericValue(config, parseNumericAnswer(input));
+
+// Human-readable correct answer for review screens
+export const describeNumericAnswer = (config) => {
+  if (!config) return 'No correct answer';
+
+  let description;
+  if (config.mode === 'range') {
+    description = `Between ${config.min} and ${config.max}`;
+  } else if (config.mode === 'tolerance') {
+    description = `${config.value} ± ${config.tolerance}${config.toleranceType === 'percent' ? '%' : ''}`;
+  } else {
+    description = `${config.value}`;
+  }
+
+  return config.significantFigures
+    ? `${description} (${config.significantFigures} significant figures)`
+    : description;
+};
+
+export default {
+  NUMERIC_MODES,
+  TOLERANCE_TYPES,
+  parseNumericAnswer,
+  buildNumericConfig,
+  getNumericConfigError,
+  gradeNumericValue,
+  gradeNumericAnswer,
+  describeNumericAnswer
+};
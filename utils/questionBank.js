@@ -0,0 +1,126 @@
+// utils/questionBank.js
+import supabase from '../config/postgres.js';
+
+export const BANK_DIFFICULTIES = ['easy', 'medium', 'hard'];
+
+// CAPS grades run from Grade R (0) to Grade 12
+export const MIN_GRADE_LEVEL = 0;
+export const MAX_GRADE_LEVEL = 12;
+
+// Tag columns of a bank question from { capsTopic, grade, difficulty, tags }
+export const buildBankQuestionTags = (question = {}) => ({
+  caps_topic: question.capsTopic ? String(question.capsTopic).trim() || null : null,
+  grade_level: question.grade !== undefined && question.grade !== null && question.grade !== ''
+    ? parseInt(question.grade, 10)
+    : null,
+  difficulty: question.difficulty || null,
+  tags: [...new Set((question.tags || []).map(tag => String(tag).trim().toLowerCase()).filter(Boolean))]
+});
+
+// Why a bank question's tags can't be stored, or null when they can
+export const getBankQuestionTagsError = (question = {}) => {
+  const tags = buildBankQuestionTags(question);
+
+  if (tags.grade_level !== null && (!Number.isInteger(tags.grade_level) || tags.grade_level < MIN_GRADE_LEVEL || tags.grade_level > MAX_GRADE_LEVEL)) {
+    return `Grade must be a whole number from ${MIN_GRADE_LEVEL} (Grade R) to ${MAX_GRADE_LEVEL}`;
+  }
+  if (tags.difficulty && !BANK_DIFFICULTIES.includes(tags.difficulty)) {
+    return `Difficulty must be one of: ${BANK_DIFFICULTIES.join(', ')}`;
+  }
+  if (question.tags !== undefined && !Array.isArray(question.tags)) return 'Tags must be a list';
+
+  return null;
+};
+
+// Is the user the course's instructor or one of its assigned teachers?
+export const isCourseTeacher = async (courseId, userId) => {
+  const { data: course } = await supabase
+    .from('courses')
+    .select('id, instructor_id')
+    .eq('id', courseId)
+    .single();
+
+  if (!course) return false;
+  if (course.instructor_id === userId) return true;
+
+  const { data: teachingAssignment } = await supabase
+    .from('teaching_assignments')
+    .select('id')
+    .eq('course_id', courseId)
+    .eq('teacher_id', userId)
+    .single();
+
+  return !!teachingAssignment;
+};
+
+// Can the user see, edit and use a bank's questions? Course banks are shared
+// by the course's teachers; personal banks belong to their owner alone.
+export const canUseBank = async (bank, user) => {
+  if (user.role === 'admin' || bank.owner_id === user.id) return true;
+  if (!bank.course_id) return false;
+
+  return isCourseTeacher(bank.course_id, user.id);
+};
+
+// Look up the bank questions a quiz's questions refer to ({ bankQuestionId })
+// and check the user may use them. Returns { bankQuestions: Map, errors } with
+// errors in the same shape as express-validator errors.
+export const findQuizBankQuestions = async (questions = [], user) => {
+  const bankQuestionIds = [...new Set(questions.map(question => question?.bankQuestionId).filter(Boolean))];
+  const bankQuestions = new Map();
+  if (bankQuestionIds.length === 0) return { bankQuestions, errors: [] };
+
+  const { data, error } = await supabase
+    .from('quiz_questions')
+    .select(`
+      *,
+      question_banks!inner(id, course_id, owner_id)
+    `)
+    .in('id', bankQuestionIds);
+
+  if (error) throw error;
+
+  const usableBanks = new Map();
+  for (const bankQuestion of data || []) {
+    const bank = bankQuestion.question_banks;
+    if (!usableBanks.has(bank.id)) usableBanks.set(bank.id, await canUseBank(bank, user));
+    if (usableBanks.get(bank.id)) bankQuestions.set(bankQuestion.id, bankQuestion);
+  }
+
+  const errors = questions
+    .map((question, index) => ({ index, bankQuestionId: question?.bankQuestionId }))
+    .filter(({ bankQuestionId }) => bankQuestionId && !bankQuestions.has(bankQuestionId))
+    .map(({ index }) => ({ param: `questions[${index}].bankQuestionId`, msg: 'Bank question not found', location: 'body' }));
+
+  return { bankQuestions, errors };
+};
+
+// Points a quiz question is worth: its own, else the bank question's
+export const getQuizQuestionPoints = (question, bankQuestions = new Map()) =>
+  question.points || bankQuestions.get(question.bankQuestionId)?.points || 1;
+
+// quiz_questions row that makes a quiz use a bank question. The content
+// columns are a snapshot; loaders read the current content from the bank.
+export const buildBankReferenceRow = (bankQuestion, question, questionNumber) => ({
+  question_number: questionNumber,
+  bank_question_id: bankQuestion.id,
+  title: bankQuestion.title,
+  question_text: bankQuestion.question_text,
+  question_type: bankQuestion.question_type,
+  points: question.points || bankQuestion.points || 1,
+  image_url: bankQuestion.image_url,
+  grading_config: bankQuestion.grading_config
+});
+
+export default {
+  BANK_DIFFICULTIES,
+  MIN_GRADE_LEVEL,
+  MAX_GRADE_LEVEL,
+  buildBankQuestionTags,
+  getBankQuestionTagsError,
+  isCourseTeacher,
+  canUseBank,
+  findQuizBankQuestions,
+  getQuizQuestionPoints,
+  buildBankReferenceRow
+};
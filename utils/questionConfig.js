@@ -0,0 +1,102 @@
+// utils/questionConfig.js
+import { buildNumericConfig, getNumericConfigError } from './numericAnswer.js';
+import { buildUnitConfig, getUnitConfigError } from './unitAnswer.js';
+import { buildExpressionConfig, getExpressionConfigError } from './algebraicExpression.js';
+import { buildMultipleAnswersConfig, getMultipleAnswersError } from './multipleAnswers.js';
+import { buildArrangementConfig, getArrangementError } from './matchingOrdering.js';
+import { buildBlanksConfig, getBlanksError } from './fillInBlanks.js';
+import { buildCalculatedConfig, getCalculatedConfigError } from './calculatedQuestion.js';
+import { getShortAnswerOptionsError } from './shortAnswer.js';
+
+export const QUESTION_TYPES = [
+  'multiple_choice',
+  'multiple_answers',
+  'true_false',
+  'matching',
+  'ordering',
+  'short_answer',
+  'fill_in_blanks',
+  'essay',
+  'file_upload',
+  'numeric',
+  'numeric_unit',
+  'expression',
+  'calculated'
+];
+
+// Build the grading_config stored with a question from the settings a
+// teacher sends for it. Types graded from their answer rows have none.
+export const buildGradingConfig = (question) => {
+  switch (question.questionType) {
+    case 'multiple_answers':
+      return buildMultipleAnswersConfig(question.multipleAnswers);
+    case 'matching':
+    case 'ordering':
+      return buildArrangementConfig(question);
+    case 'fill_in_blanks':
+      return buildBlanksConfig(question);
+    case 'numeric':
+      return buildNumericConfig(question.numericAnswer);
+    case 'numeric_unit':
+      return buildUnitConfig(question.numericAnswer);
+    case 'expression':
+      return buildExpressionConfig(question.expressionAnswer);
+    case 'calculated':
+      return buildCalculatedConfig(question.calculated);
+    default:
+      return null;
+  }
+};
+
+// Why a question's answer key can't be auto-graded, or null when it can
+export const getGradingConfigError = (question) => {
+  switch (question.questionType) {
+    case 'short_answer':
+      return getShortAnswerOptionsError(question.acceptableAnswers, question);
+    case 'multiple_answers':
+      return getMultipleAnswersError(question);
+    case 'matching':
+    case 'ordering':
+      return getArrangementError(question);
+    case 'fill_in_blanks':
+      return getBlanksError(question);
+    case 'numeric':
+      return getNumericConfigError(buildGradingConfig(question));
+    case 'numeric_unit':
+      return getUnitConfigError(buildGradingConfig(question));
+    case 'expression':
+      return getExpressionConfigError(buildGradingConfig(question));
+    case 'calculated':
+      return getCalculatedConfigError(buildGradingConfig(question));
+    default:
+      return null;
+  }
+};
+
+// Why a question that should be auto-graded has no usable answer key, or
+// null when it has one. Unlike getGradingConfigError this doesn't block
+// saving: such questions are graded as wrong (no correct option) or go to
+// manual grading (no acceptable answers).
+export const getMissingAnswerKeyWarning = (question) => {
+  switch (question.questionType) {
+    case 'multiple_choice':
+    case 'true_false':
+      return (question.answers || []).some(answer => answer.correct)
+        ? null
+        : 'No correct answer is marked, so every answer will be graded as wrong';
+    case 'short_answer': {
+      const hasAnswers = (question.acceptableAnswers || [])
+        .some(answer => (typeof answer === 'string' ? answer : answer?.text)?.trim());
+      return hasAnswers ? null : 'No acceptable answers, so answers will need manual grading';
+    }
+    default:
+      return null;
+  }
+};
+
+export default {
+  QUESTION_TYPES,
+  buildGradingConfig,
+  getGradingConfigError,
+  getMissingAnswerKeyWarning
+};
@@ -0,0 +1,118 @@
+// utils/questionVersions.js
+import supabase from '../config/postgres.js';
+import { parseQuizData } from './quizData.js';
+import { QUESTION_CONTENT_FIELDS } from './quizQuestions.js';
+
+// What a student sees of a question; changing any of it makes a new version.
+// Points, tags and position don't.
+const VERSIONED_FIELDS = [
+  'title',
+  'question_text',
+  'question_type',
+  'image_url',
+  'short_answer_match_type',
+  'short_answer_case_sensitive',
+  'grading_config'
+];
+
+const VERSIONED_ANSWER_FIELDS = ['answer_text', 'is_correct', 'feedback', 'answer_order', 'match_text'];
+
+const VERSIONED_OPTION_FIELDS = [
+  'blank_name',
+  'answer_text',
+  'match_type',
+  'is_exact_match',
+  'is_case_sensitive',
+  'ignore_whitespace',
+  'ignore_punctuation',
+  'fuzzy_max_distance',
+  'answer_order'
+];
+
+// JSON with object keys sorted, so equal JSONB values compare equal however
+// the database ordered them
+const toStableJson = (value) => {
+  if (Array.isArray(value)) return `[${value.map(toStableJson).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${toStableJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+};
+
+const pickFields = (row, fields) => Object.fromEntries(fields.map(field => [field, row[field] ?? null]));
+
+// A question's versioned content, comparable between a loaded question and
+// the rows it is about to be saved as
+const getVersionedContent = (question) => toStableJson({
+  ...pickFields(question, VERSIONED_FIELDS),
+  answers: [...(question.quiz_question_answers || [])]
+    .sort((a, b) => a.answer_order - b.answer_order)
+    .map(answer => pickFields(answer, VERSIONED_ANSWER_FIELDS)),
+  options: [...(question.quiz_short_answer_options || [])]
+    .map(option => pickFields(option, VERSIONED_OPTION_FIELDS))
+    .sort((a, b) => toStableJson(a).localeCompare(toStableJson(b)))
+});
+
+// Would saving the question as the given rows change what students see?
+export const hasQuestionContentChanged = (existingQuestion, updatedQuestion) =>
+  getVersionedContent(existingQuestion) !== getVersionedContent(updatedQuestion);
+
+// The version of each question an attempt is shown, keyed by question ID
+export const getQuestionVersions = (questions = []) =>
+  Object.fromEntries(questions.map(question => [question.id, question.version || 1]));
+
+// Keep a question's current version, loaded with its answers and short answer
+// options, before it is edited
+export const saveQuestionVersion = async (question, userId = null) => {
+  const { error } = await supabase
+    .from('quiz_question_versions')
+    .insert({
+      question_id: question.id,
+      version: question.version || 1,
+      content: pickFields(question, [...QUESTION_CONTENT_FIELDS, 'version']),
+      created_by: userId
+    });
+
+  // Already kept (unique question, version)
+  if (error?.code === '23505') return { error: null };
+  return { error };
+};
+
+// Questions as an attempt was shown them: archived questions only if it was
+// shown them, and edited ones at the version it was shown (or, with latest,
+// their current version). Without an attempt, just the questions the quiz has
+// now.
+export const applyQuestionVersions = async (questions = [], attempt = null, { latest = false } = {}) => {
+  const versions = attempt ? parseQuizData(attempt.quiz_data).versions || {} : {};
+  const shown = questions.filter(question => !question.archived_at || versions[question.id]);
+  if (latest) return { questions: shown, error: null };
+
+  // Content comes from the bank question for questions that use one
+  const contentId = (question) => question.bank_question_id || question.id;
+  const outdated = shown.filter(question => versions[question.id] && versions[question.id] !== (question.version || 1));
+  if (outdated.length === 0) return { questions: shown, error: null };
+
+  const { data, error } = await supabase
+    .from('quiz_question_versions')
+    .select('question_id, version, content')
+    .in('question_id', [...new Set(outdated.map(contentId))]);
+
+  if (error) return { questions: shown, error };
+
+  const snapshots = new Map((data || []).map(snapshot => [`${snapshot.question_id}:${snapshot.version}`, snapshot.content]));
+
+  return {
+    questions: shown.map(question => {
+      const snapshot = versions[question.id] && snapshots.get(`${contentId(question)}:${versions[question.id]}`);
+      return snapshot ? { ...question, ...snapshot } : question;
+    }),
+    error: null
+  };
+};
+
+export default {
+  hasQuestionContentChanged,
+  getQuestionVersions,
+  saveQuestionVersion,
+  applyQuestionVersions
+};
@@ -0,0 +1,78 @@
+// utils/quizAccess.js
+import bcrypt from 'bcrypt';
+import jwt from 'jsonwebtoken';
+
+export const QUIZ_ACCESS_TOKEN_HEADER = 'X-Quiz-Access-Token';
+const QUIZ_ACCESS_TOKEN_TYPE = 'quiz_access';
+const ACCESS_CODE_SALT_ROUNDS = 12;
+
+// Tokens outlive the time limit by a margin so a started attempt can still be submitted
+const MIN_TOKEN_LIFETIME_MINUTES = 60;
+const TOKEN_LIFETIME_MARGIN_MINUTES = 15;
+
+export const hashAccessCode = (accessCode) => bcrypt.hash(accessCode, ACCESS_CODE_SALT_ROUNDS);
+
+// Access codes are stored as a bcrypt hash in assignments.password
+export const verifyAccessCode = async (assignment, accessCode) => {
+  if (!assignment.password || !accessCode) {
+    return false;
+  }
+
+  try {
+    return await bcrypt.compare(accessCode, assignment.password);
+  } catch (error) {
+    console.error('Error comparing access code:', error);
+    return false;
+  }
+};
+
+const getTokenLifetimeMinutes = (assignment) => {
+  const timeLimit = assignment.has_time_limit ? assignment.time_limit_minutes || 0 : 0;
+  return Math.max(MIN_TOKEN_LIFETIME_MINUTES, timeLimit + TOKEN_LIFETIME_MARGIN_MINUTES);
+};
+
+// Short-lived token proving the student entered the access code for this assignment
+export const issueQuizAccessToken = (assignment, studentId) => {
+  const expiresInMinutes = getTokenLifetimeMinutes(assignment);
+
+  const token = jwt.sign(
+    { type: QUIZ_ACCESS_TOKEN_TYPE, assignmentId: assignment.id, studentId },
+    process.env.JWT_SECRET,
+    { expiresIn: `${expiresInMinutes}m` }
+  );
+
+  return {
+    token,
+    expiresAt: new Date(Date.now() + expiresInMinutes * 60 * 1000).toISOString()
+  };
+};
+
+// True when the assignment needs no access code or the request carries a
+// valid access token for this assignment and student
+export const hasQuizAccess = (req, assignment) => {
+  if (!assignment.require_access_code) {
+    return true;
+  }
+
+  const token = req.get(QUIZ_ACCESS_TOKEN_HEADER);
+  if (!token) {
+    return false;
+  }
+
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.type === QUIZ_ACCESS_TOKEN_TYPE &&
+      decoded.assignmentId === assignment.id &&
+      decoded.studentId === req.user.id;
+  } catch {
+    return false;
+  }
+};
+
+export default {
+  QUIZ_ACCESS_TOKEN_HEADER,
+  hashAccessCode,
+  verifyAccessCode,
+  issueQuizAccessToken,
+  hasQuizAccess
+};
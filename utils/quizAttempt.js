@@ -0,0 +1,326 @@
+// utils/quizAttempt.js
+import supabase from '../config/postgres.js';
+import { loadQuizQuestions } from './quizQuestions.js';
+import { getQuestionVersions } from './questionVersions.js';
+import { gradeQuizAnswers } from './quizGrading.js';
+import { resolveAttemptVariables } from './calculatedQuestion.js';
+import { parseQuizData } from './quizData.js';
+
+// Allowance for network latency when a submission arrives just after the deadline
+export const SUBMISSION_GRACE_SECONDS = 30;
+
+// How far a client clock may drift when answers captured offline are synced
+export const CLIENT_CLOCK_SKEW_SECONDS = 120;
+
+// Reasons a student may not start or submit a quiz, returned as error codes
+export const ELIGIBILITY_CODES = {
+  NOT_PUBLISHED: 'NOT_PUBLISHED',
+  NOT_ENROLLED: 'NOT_ENROLLED',
+  NOT_YET_OPEN: 'NOT_YET_OPEN',
+  CLOSED: 'CLOSED',
+  ATTEMPTS_EXHAUSTED: 'ATTEMPTS_EXHAUSTED'
+};
+
+// When the quiz stops accepting work: the earlier of available_until and
+// due_date, or null when neither is set
+export const getQuizClosingTime = (assignment) => {
+  const closingTimes = [assignment.available_until, assignment.due_date]
+    .filter(Boolean)
+    .map(value => new Date(value).getTime());
+
+  return closingTimes.length > 0 ? new Date(Math.min(...closingTimes)) : null;
+};
+
+// Availability window check shared by the quiz details view and submission
+export const getQuizAvailability = (assignment, now = new Date(), graceSeconds = 0) => {
+  const availableFrom = assignment.available_from ? new Date(assignment.available_from) : null;
+  const closesAt = getQuizClosingTime(assignment);
+
+  if (availableFrom && now < availableFrom) {
+    return { isAvailable: false, code: ELIGIBILITY_CODES.NOT_YET_OPEN, availableFrom, closesAt };
+  }
+
+  if (closesAt && now.getTime() > closesAt.getTime() + graceSeconds * 1000) {
+    return { isAvailable: false, code: ELIGIBILITY_CODES.CLOSED, availableFrom, closesAt };
+  }
+
+  return { isAvailable: true, code: null, availableFrom, closesAt };
+};
+
+// Server-side deadline of an attempt: the time limit, cut short by the quiz
+// closing. Null when the attempt can run indefinitely.
+export const getAttemptDeadline = (assignment, submission) => {
+  if (!submission?.time_started) {
+    return null;
+  }
+
+  const deadlines = [];
+
+  if (assignment.has_time_limit && assignment.time_limit_minutes) {
+    const startedAt = new Date(submission.time_started).getTime();
+    deadlines.push(startedAt + assignment.time_limit_minutes * 60 * 1000);
+  }
+
+  const closesAt = getQuizClosingTime(assignment);
+  if (closesAt) {
+    deadlines.push(closesAt.getTime());
+  }
+
+  return deadlines.length > 0 ? new Date(Math.min(...deadlines)) : null;
+};
+
+export const isAttemptExpired = (assignment, submission, now = new Date(), graceSeconds = 0) => {
+  const deadline = getAttemptDeadline(assignment, submission);
+  return !!deadline && now.getTime() > deadline.getTime() + graceSeconds * 1000;
+};
+
+export const getRemainingSeconds = (assignment, submission, now = new Date()) => {
+  const deadline = getAttemptDeadline(assignment, submission);
+  if (!deadline) return null;
+  return Math.max(0, Math.floor((deadline.getTime() - now.getTime()) / 1000));
+};
+
+// Number of attempts a student may make; -1 means unlimited
+export const getAllowedAttempts = (assignment) => assignment.allowed_attempts || 1;
+
+export const hasAttemptsRemaining = (assignment, attemptsUsed) => {
+  const allowedAttempts = getAllowedAttempts(assignment);
+  return allowedAttempts === -1 || attemptsUsed < allowedAttempts;
+};
+
+// Count a student's attempts (drafts included) and work out the next attempt number
+export const getAttemptHistory = async (assignmentId, studentId) => {
+  const { data, error } = await supabase
+    .from('assignment_submissions')
+    .select('id, status, attempt_number')
+    .eq('assignment_id', assignmentId)
+    .eq('student_id', studentId);
+
+  const attempts = data || [];
+  const lastAttemptNumber = attempts.reduce((max, sub) => Math.max(max, sub.attempt_number || 0), 0);
+
+  return {
+    attemptsUsed: attempts.length,
+    attemptsSubmitted: attempts.filter(sub => sub.status !== 'draft').length,
+    nextAttemptNumber: Math.max(lastAttemptNumber, attempts.length) + 1,
+    error
+  };
+};
+
+// Shared "can this student submit now" check. An in-progress attempt is
+// allowed the grace period after closing and doesn't count against the
+// attempt limit. Resolves to { eligible, code, message, attemptHistory }.
+export const checkSubmissionEligibility = async (assignment, studentId, {
+  draft = null,
+  now = new Date()
+} = {}) => {
+  const ineligible = (code, message) => ({ eligible: false, code, message });
+
+  if (!assignment.is_published) {
+    return ineligible(ELIGIBILITY_CODES.NOT_PUBLISHED, 'Quiz is not yet published by the instructor');
+  }
+
+  const { data: enrollment } = await supabase
+    .from('course_enrollments')
+    .select('id')
+    .eq('course_id', assignment.course_id)
+    .eq('student_id', studentId)
+    .eq('status', 'active')
+    .single();
+
+  if (!enrollment) {
+    return ineligible(ELIGIBILITY_CODES.NOT_ENROLLED, 'Not enrolled in this course');
+  }
+
+  const availability = getQuizAvailability(assignment, now, draft ? SUBMISSION_GRACE_SECONDS : 0);
+
+  if (availability.code === ELIGIBILITY_CODES.NOT_YET_OPEN) {
+    return ineligible(availability.code, `Quiz will be available from ${availability.availableFrom.toLocaleString()}`);
+  }
+
+  if (availability.code === ELIGIBILITY_CODES.CLOSED) {
+    return ineligible(availability.code, 'Quiz is no longer available');
+  }
+
+  if (draft) {
+    return { eligible: true, code: null, attemptHistory: null };
+  }
+
+  const attemptHistory = await getAttemptHistory(assignment.id, studentId);
+
+  if (attemptHistory.error) {
+    return { eligible: false, error: attemptHistory.error };
+  }
+
+  if (!hasAttemptsRemaining(assignment, attemptHistory.attemptsUsed)) {
+    return ineligible(
+      ELIGIBILITY_CODES.ATTEMPTS_EXHAUSTED,
+      `You have used all ${getAllowedAttempts(assignment)} attempt(s) for this quiz`
+    );
+  }
+
+  return { eligible: true, code: null, attemptHistory };
+};
+
+// Find the student's in-progress (draft) attempt for an assignment
+export const findDraftAttempt = async (assignmentId, studentId) => {
+  const { data, error } = await supabase
+    .from('assignment_submissions')
+    .select('*')
+    .eq('assignment_id', assignmentId)
+    .eq('student_id', studentId)
+    .eq('status', 'draft')
+    .order('time_started', { ascending: false })
+    .limit(1);
+
+  return { draft: data?.[0] || null, error };
+};
+
+// Find a finished submission made with the given idempotency key, so a
+// retried request can be answered with the original result
+export const findSubmissionByIdempotencyKey = async (assignmentId, studentId, idempotencyKey) => {
+  const { data, error } = await supabase
+    .from('assignment_submissions')
+    .select('*')
+    .eq('assignment_id', assignmentId)
+    .eq('student_id', studentId)
+    .eq('idempotency_key', idempotencyKey)
+    .neq('status', 'draft')
+    .limit(1);
+
+  return { submission: data?.[0] || null, error };
+};
+
+// Grade a draft attempt and close it. Without explicit answers the ones
+// already stored on the draft are used.
+export const finalizeAttempt = async (assignment, submission, {
+  answers,
+  autoSubmitted = false,
+  completedAt = new Date(),
+  idempotencyKey = null
+} = {}) => {
+  const quizData = parseQuizData(submission.quiz_data);
+  const finalAnswers = answers || quizData.answers || {};
+
+  const { questions, draws, error: questionsError } = await loadQuizQuestions(assignment.id, {
+    attempt: submission,
+    seed: submission.id
+  });
+  if (questionsError) {
+    return { error: questionsError };
+  }
+
+  // A malformed question or draft must surface as an error, not a throw
+  let variables;
+  let grading;
+  try {
+    // Drafts started before a calculated question was added get its values now
+    variables = resolveAttemptVariables(questions, { attempt: submission, seed: submission.id });
+    grading = gradeQuizAnswers(questions, finalAnswers, { variables });
+  } catch (gradingError) {
+    return { error: gradingError };
+  }
+
+  // Only a draft can be finalised, so concurrent submit/sweep calls can't both win
+  const { data: finalized, error } = await supabase
+    .from('assignment_submissions')
+    .update({
+      quiz_data: JSON.stringify({
+        ...quizData,
+        answers: finalAnswers,
+        versions: getQuestionVersions(questions),
+        ...(Object.keys(draws).length > 0 && { draws }),
+        ...(Object.keys(variables).length > 0 && { variables }),
+        detailedResults: grading.detailedResults,
+        autoGradedScore: grading.autoGradedScore,
+        totalPossiblePoints: grading.totalPossiblePoints
+      }),
+      score: grading.autoGradedScore,
+      status: grading.requiresManualGrading ? 'submitted' : 'graded',
+      submitted_at: completedAt.toISOString(),
+      time_completed: completedAt.toISOString(),
+      auto_submitted: autoSubmitted,
+      ...(idempotencyKey && { idempotency_key: idempotencyKey })
+    })
+    .eq('id', submission.id)
+    .eq('status', 'draft')
+    .select()
+    .single();
+
+  return { submission: finalized, grading, error };
+};
+
+// Auto-submit every draft attempt whose time limit has run out or whose quiz
+// has closed. Optionally scoped to one assignment and/or student.
+export const finalizeExpiredAttempts = async ({ assignmentId, studentId } = {}) => {
+  let query = supabase
+    .from('assignment_submissions')
+    .select(`
+      *,
+      assignments!inner(id, has_time_limit, time_limit_minutes, available_until, due_date)
+    `)
+    .eq('status', 'draft');
+
+  if (assignmentId) {
+    query = query.eq('assignment_id', assignmentId);
+  }
+  if (studentId) {
+    query = query.eq('student_id', studentId);
+  }
+
+  const { data: drafts, error } = await query;
+
+  if (error) {
+    console.error('Error fetching draft attempts:', error);
+    return { finalized: 0, error };
+  }
+
+  const now = new Date();
+  let finalized = 0;
+
+  for (const draft of drafts || []) {
+    const assignment = draft.assignments;
+
+    if (!isAttemptExpired(assignment, draft, now, SUBMISSION_GRACE_SECONDS)) {
+      continue;
+    }
+
+    // One bad draft shouldn't stop the rest of the sweep
+    let finalizeError;
+    try {
+      ({ error: finalizeError } = await finalizeAttempt(assignment, draft, {
+        autoSubmitted: true,
+        completedAt: getAttemptDeadline(assignment, draft)
+      }));
+    } catch (sweepError) {
+      finalizeError = sweepError;
+    }
+
+    if (finalizeError) {
+      console.error(`Error auto-submitting attempt ${draft.id}:`, finalizeError);
+    } else {
+      finalized++;
+    }
+  }
+
+  return { finalized };
+};
+
+export default {
+  SUBMISSION_GRACE_SECONDS,
+  CLIENT_CLOCK_SKEW_SECONDS,
+  ELIGIBILITY_CODES,
+  getQuizClosingTime,
+  getQuizAvailability,
+  getAttemptDeadline,
+  isAttemptExpired,
+  getRemainingSeconds,
+  getAllowedAttempts,
+  hasAttemptsRemaining,
+  getAttemptHistory,
+  checkSubmissionEligibility,
+  findDraftAttempt,
+  findSubmissionByIdempotencyKey,
+  finalizeAttempt,
+  finalizeExpiredAttempts
+};
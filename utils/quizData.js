@@ -0,0 +1,18 @@
+// utils/quizData.js
+
+// quiz_data is stored as a JSON string but older rows may hold an object
+export const parseQuizData = (quizData) => {
+  if (!quizData) return {};
+  if (typeof quizData !== 'string') return quizData;
+
+  try {
+    return JSON.parse(quizData);
+  } catch (error) {
+    console.error('Error parsing quiz_data:', error);
+    return {};
+  }
+};
+
+export default {
+  parseQuizData
+};
@@ -0,0 +1,207 @@
+// utils/quizGrading.js
+// Grading engine: pure functions over questions and answers, with no database
+// access, used wherever a submission is graded (submit, manual grades,
+// regrades and teacher previews).
+import { gradeNumericAnswer } from './numericAnswer.js';
+import { gradeUnitAnswer } from './unitAnswer.js';
+import { gradeExpressionAnswer } from './algebraicExpression.js';
+import { gradeMultipleAnswers, getSelectedAnswerIds } from './multipleAnswers.js';
+import { gradeMatchingAnswer, gradeOrderingAnswer } from './matchingOrdering.js';
+import { matchesAnyShortAnswerOption } from './shortAnswer.js';
+import { gradeBlanksAnswer } from './fillInBlanks.js';
+import { gradeCalculatedAnswer } from './calculatedQuestion.js';
+
+const roundPoints = (points) => Math.round(points * 100) / 100;
+
+// A teacher grades the question by hand
+const MANUAL = { requiresManualGrading: true };
+
+// Right option chosen
+const gradeChoice = (question, userAnswer) => {
+  const selectedAnswer = (question.quiz_question_answers || []).find(
+    answer => answer.id === userAnswer.answerId
+  );
+  return { correct: selectedAnswer?.is_correct || false };
+};
+
+// Matching pairs or ordering positions, with optional partial credit for each
+// one right
+const gradeArrangement = (gradeAnswer, question, userAnswer) => {
+  const { correct, credit, reason } = gradeAnswer(question.grading_config, question.quiz_question_answers, userAnswer);
+  return { correct, credit, reason };
+};
+
+// Graders per question type. Each takes the question (with its answers and
+// short answer options loaded), the student's answer and { variables } and
+// returns { correct, credit } (credit defaults to 1 when correct, else 0) plus
+// anything worth keeping in the result, such as a reason, or MANUAL. Types
+// without a grader are graded by hand.
+export const QUESTION_GRADERS = {
+  multiple_choice: gradeChoice,
+  true_false: gradeChoice,
+
+  // Select all that apply, scored by the question's scheme
+  multiple_answers: (question, userAnswer) => {
+    const { correct, credit, reason } = gradeMultipleAnswers(
+      question.grading_config,
+      question.quiz_question_answers,
+      getSelectedAnswerIds(userAnswer)
+    );
+    return { correct, credit, reason };
+  },
+
+  matching: (question, userAnswer) => gradeArrangement(gradeMatchingAnswer, question, userAnswer),
+  ordering: (question, userAnswer) => gradeArrangement(gradeOrderingAnswer, question, userAnswer),
+
+  // Without acceptable answers there is nothing to grade against
+  short_answer: (question, userAnswer) => {
+    if ((question.quiz_short_answer_options || []).length === 0) return MANUAL;
+    return { correct: matchesAnyShortAnswerOption(String(userAnswer.textAnswer ?? '').trim(), question.quiz_short_answer_options) };
+  },
+
+  // Each blank has its own acceptable answers; points are split across them
+  fill_in_blanks: (question, userAnswer) => {
+    const { correct, credit, reason, blanks } = gradeBlanksAnswer(question, userAnswer);
+    return { correct, credit, reason, blanks };
+  },
+
+  numeric: (question, userAnswer) => ({
+    correct: gradeNumericAnswer(question.grading_config, userAnswer.textAnswer ?? userAnswer.numericAnswer)
+  }),
+
+  // The correct value comes from the formula and this attempt's variables
+  calculated: (question, userAnswer, { variables }) => ({
+    correct: gradeCalculatedAnswer(
+      question.grading_config,
+      variables[question.id],
+      userAnswer.textAnswer ?? userAnswer.numericAnswer
+    )
+  }),
+
+  // Right value in a compatible unit earns full marks; the right number with a
+  // wrong or missing unit earns the question's partial credit
+  numeric_unit: (question, userAnswer) => {
+    const { correct, credit, reason } = gradeUnitAnswer(question.grading_config, userAnswer.textAnswer ?? userAnswer.numericAnswer);
+    return { correct, credit, reason };
+  },
+
+  // Graded by mathematical equivalence, plus any form the teacher requires
+  expression: (question, userAnswer) => {
+    const { correct, reason } = gradeExpressionAnswer(question.grading_config, String(userAnswer.textAnswer ?? ''));
+    return { correct, reason };
+  }
+};
+
+const isPlainObject = (value) => !!value && typeof value === 'object' && !Array.isArray(value);
+const isStringList = (value) => Array.isArray(value) && value.every(item => typeof item === 'string');
+const isStringMap = (value) => isPlainObject(value) && Object.values(value).every(item => typeof item === 'string');
+
+// The type each field of a student's answer must have for the graders to read
+// it; empty (null) fields are allowed
+const ANSWER_FIELD_CHECKS = {
+  answerId: value => typeof value === 'string',
+  answerIds: isStringList,
+  textAnswer: value => typeof value === 'string',
+  numericAnswer: value => typeof value === 'string' || Number.isFinite(value),
+  order: isStringList,
+  matches: isStringMap,
+  blanks: isStringMap
+};
+
+// Is a student's answer to one question shaped as the graders expect?
+export const isValidAnswer = (answer) => isPlainObject(answer) &&
+  Object.entries(ANSWER_FIELD_CHECKS).every(([field, check]) => answer[field] === undefined || answer[field] === null || check(answer[field]));
+
+// Are answers keyed by question ID all shaped as the graders expect?
+export const isValidAnswerSet = (answers) => isPlainObject(answers) && Object.values(answers).every(isValidAnswer);
+
+// Grade one answer to a question into its detailedResults entry
+export const gradeQuestion = (question, userAnswer, { variables = {} } = {}) => {
+  if (!userAnswer) {
+    return { correct: false, points: 0, requiresManualGrading: false };
+  }
+
+  const grader = QUESTION_GRADERS[question.question_type];
+  const graded = grader ? grader(question, userAnswer, { variables }) : MANUAL;
+  if (graded.requiresManualGrading) {
+    return { requiresManualGrading: true, points: 0 };
+  }
+
+  const { correct, credit = correct ? 1 : 0, ...details } = graded;
+  return {
+    correct,
+    points: roundPoints(question.points * credit),
+    requiresManualGrading: false,
+    ...Object.fromEntries(Object.entries(details).filter(([, value]) => value !== undefined))
+  };
+};
+
+// Totals of a submission from its detailedResults, for the questions it was
+// given: score counts every question's points, hand-graded or not, and
+// autoGradedScore only the automatically graded ones. requiresManualGrading is
+// true while any question still waits for a teacher.
+export const computeSubmissionScore = (questions = [], detailedResults = {}) => {
+  let score = 0;
+  let autoGradedScore = 0;
+  let totalPossiblePoints = 0;
+  let requiresManualGrading = false;
+
+  for (const question of questions) {
+    totalPossiblePoints += question.points;
+    const result = detailedResults[question.id];
+    if (!result) continue;
+
+    score += result.points || 0;
+    if (!result.isGraded) autoGradedScore += result.points || 0;
+    if (result.requiresManualGrading) requiresManualGrading = true;
+  }
+
+  return {
+    score: roundPoints(score),
+    autoGradedScore: roundPoints(autoGradedScore),
+    totalPossiblePoints,
+    requiresManualGrading
+  };
+};
+
+// Record a teacher's grade for one question in a submission's detailedResults
+export const applyManualGrade = (detailedResults = {}, questionId, { points, gradedBy, gradedAt = new Date().toISOString() }) => ({
+  ...detailedResults,
+  [questionId]: {
+    ...detailedResults[questionId],
+    points,
+    requiresManualGrading: false,
+    isGraded: true,
+    gradedAt,
+    gradedBy
+  }
+});
+
+// Grade a student's answers (keyed by question id) against the quiz questions.
+// Questions are expected with their quiz_question_answers and
+// quiz_short_answer_options relations loaded. `variables` holds the attempt's
+// values for calculated questions, keyed by question id.
+export const gradeQuizAnswers = (questions, answers = {}, { variables = {} } = {}) => {
+  const detailedResults = Object.fromEntries(questions.map(question => [
+    question.id,
+    gradeQuestion(question, answers[question.id], { variables })
+  ]));
+  const { autoGradedScore, totalPossiblePoints, requiresManualGrading } = computeSubmissionScore(questions, detailedResults);
+
+  return {
+    detailedResults,
+    autoGradedScore,
+    totalPossiblePoints,
+    requiresManualGrading
+  };
+};
+
+export default {
+  QUESTION_GRADERS,
+  isValidAnswer,
+  isValidAnswerSet,
+  gradeQuestion,
+  computeSubmissionScore,
+  applyManualGrade,
+  gradeQuizAnswers
+};
@@ -0,0 +1,72 @@
+// utils/quizPaging.js
+import { applyAttemptLayout } from './quizShuffle.js';
+import { applyAttemptVariables } from './calculatedQuestion.js';
+
+// Quizzes delivered question by question through the paged attempt API
+export const isPagedQuiz = (assignment) => !!(assignment.one_question_at_time || assignment.cant_go_back);
+
+// Questions in the order this attempt presents them, with calculated
+// questions showing the attempt's values
+export const getQuestionSequence = (questions, quizData) =>
+  applyAttemptVariables(applyAttemptLayout(questions, quizData.layout || null), quizData.variables);
+
+// Furthest position (1-based) served so far; 0 before the first question
+export const getCurrentPosition = (quizData) => quizData.progress?.currentPosition || 0;
+
+// With cant_go_back every question behind the furthest one served is locked
+export const isPositionLocked = (assignment, quizData, position) =>
+  !!assignment.cant_go_back && position < getCurrentPosition(quizData);
+
+// Record that a question was served, moving the attempt forward
+export const recordPositionServed = (quizData, position) => ({
+  ...quizData,
+  progress: {
+    ...quizData.progress,
+    currentPosition: Math.max(getCurrentPosition(quizData), position)
+  }
+});
+
+// Store one answer as it is given
+export const recordAnswer = (quizData, questionId, answer, answeredAt = new Date()) => ({
+  ...quizData,
+  answers: {
+    ...quizData.answers,
+    [questionId]: answer
+  },
+  progress: {
+    ...quizData.progress,
+    answeredAt: {
+      ...quizData.progress?.answeredAt,
+      [questionId]: answeredAt.toISOString()
+    }
+  }
+});
+
+// Answers to grade when a paged attempt is submitted: anything sent with the
+// submission can't replace the answer to a locked question
+export const mergeSubmittedAnswers = (assignment, questions, quizData, submittedAnswers = {}) => {
+  const storedAnswers = quizData.answers || {};
+
+  if (!assignment.cant_go_back) {
+    return { ...storedAnswers, ...submittedAnswers };
+  }
+
+  const merged = { ...storedAnswers };
+  getQuestionSequence(questions, quizData).forEach((question, index) => {
+    if (!isPositionLocked(assignment, quizData, index + 1) && submittedAnswers[question.id] !== undefined) {
+      merged[question.id] = submittedAnswers[question.id];
+    }
+  });
+
+  return merged;
+};
+
+export default {
+  isPagedQuiz,
+  getQuestionSequence,
+  getCurrentPosition,
+  isPositionLocked,
+  recordPositionServed,
+  recordAnswer,
+  mergeSubmittedAnswers
+};
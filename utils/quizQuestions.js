@@ -0,0 +1,348 @@
+// utils/quizQuestions.js
+import supabase from '../config/postgres.js';
+import { buildGradingConfig } from './questionConfig.js';
+import { buildBlankOptions } from './fillInBlanks.js';
+import { buildShortAnswerOption } from './shortAnswer.js';
+import { appendSectionQuestions } from './quizSections.js';
+import { buildBankReferenceRow } from './questionBank.js';
+import { hasQuestionContentChanged, saveQuestionVersion, applyQuestionVersions } from './questionVersions.js';
+
+// Question types whose answers are stored as quiz_question_answers rows
+const ANSWER_ROW_TYPES = ['multiple_choice', 'multiple_answers', 'true_false', 'matching', 'ordering'];
+
+// Content columns of a question: what a bank question lends to the quiz
+// questions that use it, and what a question version keeps. The quiz row keeps
+// its own id, number and points.
+export const QUESTION_CONTENT_FIELDS = [
+  'title',
+  'question_text',
+  'question_type',
+  'image_url',
+  'short_answer_match_type',
+  'short_answer_case_sensitive',
+  'grading_config',
+  'caps_topic',
+  'grade_level',
+  'difficulty',
+  'tags',
+  'version',
+  'quiz_question_answers',
+  'quiz_short_answer_options'
+];
+
+// Content columns of a quiz_questions row for a question as a teacher sends it
+export const buildQuestionRow = (question, questionNumber) => ({
+  question_number: questionNumber,
+  title: question.title || `Question ${questionNumber}`,
+  question_text: question.questionText,
+  question_type: question.questionType,
+  points: question.points || 1,
+  image_url: question.imageUrl || null,
+  short_answer_match_type: question.questionType === 'short_answer' ? (question.matchType || 'exact') : null,
+  short_answer_case_sensitive: question.questionType === 'short_answer' ? (question.caseSensitive || false) : null,
+  // Grading settings kept on the question row (numeric keys, scoring schemes, ...)
+  grading_config: buildGradingConfig(question)
+});
+
+// The answer rows and the acceptable answers or blank options of a question
+// as a teacher sends it. Essay and file upload questions have neither.
+const buildAnswerRows = (questionId, question) => {
+  if (ANSWER_ROW_TYPES.includes(question.questionType)) {
+    // Ordering rows are stored in the correct sequence
+    const answers = (question.answers || []).map((answer, index) => ({
+      question_id: questionId,
+      answer_text: answer.text || '',
+      is_correct: answer.correct || false,
+      feedback: answer.feedback || '',
+      answer_order: index + 1,
+      match_text: question.questionType === 'matching' ? answer.match : null
+    }));
+
+    return { answers, options: [] };
+  }
+
+  let options = [];
+  if (question.questionType === 'short_answer') {
+    // Each answer is text or an object with its own match settings
+    options = (question.acceptableAnswers || [])
+      .map(answer => buildShortAnswerOption(answer, question))
+      .filter(option => option.answer_text)
+      .map((option, index) => ({ question_id: questionId, ...option, answer_order: index + 1 }));
+  } else if (question.questionType === 'fill_in_blanks') {
+    options = buildBlankOptions(questionId, question.blanks);
+  }
+
+  return { answers: [], options };
+};
+
+// Insert the answer rows, acceptable answers or blank options of a question
+// as a teacher sends it
+export const insertQuestionAnswers = async (questionId, question) => {
+  const { answers, options } = buildAnswerRows(questionId, question);
+
+  if (answers.length > 0) {
+    const { error } = await supabase.from('quiz_question_answers').insert(answers);
+    if (error) return { error };
+  }
+
+  if (options.length > 0) {
+    const { error } = await supabase.from('quiz_short_answer_options').insert(options);
+    if (error) return { error };
+  }
+
+  return { error: null };
+};
+
+// Replace a question's answers with the ones a teacher sends. Answers sent
+// back with their id keep it, since attempts store the IDs of chosen answers.
+const syncQuestionAnswers = async (existingQuestion, question, { answers, options }) => {
+  const existingAnswerIds = new Set((existingQuestion.quiz_question_answers || []).map(answer => answer.id));
+  const sentAnswers = ANSWER_ROW_TYPES.includes(question.questionType) ? question.answers || [] : [];
+  const keptAnswers = answers
+    .map((row, index) => ({ id: sentAnswers[index]?.id, row }))
+    .filter(({ id }) => id && existingAnswerIds.has(id));
+  const keptIds = new Set(keptAnswers.map(({ id }) => id));
+  const removedIds = [...existingAnswerIds].filter(id => !keptIds.has(id));
+
+  if (removedIds.length > 0) {
+    const { error } = await supabase.from('quiz_question_answers').delete().in('id', removedIds);
+    if (error) return { error };
+  }
+
+  for (const { id, row } of keptAnswers) {
+    const { error } = await supabase.from('quiz_question_answers').update(row).eq('id', id);
+    if (error) return { error };
+  }
+
+  const newAnswers = answers.filter((row, index) => !keptIds.has(sentAnswers[index]?.id));
+  if (newAnswers.length > 0) {
+    const { error } = await supabase.from('quiz_question_answers').insert(newAnswers);
+    if (error) return { error };
+  }
+
+  // Attempts store short answers and blanks as text, so options are replaced
+  const { error: deleteError } = await supabase
+    .from('quiz_short_answer_options')
+    .delete()
+    .eq('question_id', existingQuestion.id);
+  if (deleteError) return { error: deleteError };
+
+  if (options.length > 0) {
+    const { error } = await supabase.from('quiz_short_answer_options').insert(options);
+    if (error) return { error };
+  }
+
+  return { error: null };
+};
+
+// Edit a question in place, keeping its ID. existingQuestion is loaded with
+// its answers and short answer options; row holds the new column values. When
+// what students see changes, the current version is kept first and the
+// question moves on to the next.
+export const updateQuestion = async (existingQuestion, question, row, userId = null) => {
+  const answerRows = buildAnswerRows(existingQuestion.id, question);
+  const changed = hasQuestionContentChanged(existingQuestion, {
+    ...row,
+    quiz_question_answers: answerRows.answers,
+    quiz_short_answer_options: answerRows.options
+  });
+
+  if (changed) {
+    const { error } = await saveQuestionVersion(existingQuestion, userId);
+    if (error) return { changed, error };
+  }
+
+  const { error } = await supabase
+    .from('quiz_questions')
+    .update({
+      ...row,
+      ...(changed && { version: (existingQuestion.version || 1) + 1 }),
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', existingQuestion.id);
+
+  if (error || !changed) return { changed, error };
+
+  const { error: answersError } = await syncQuestionAnswers(existingQuestion, question, answerRows);
+  return { changed, error: answersError };
+};
+
+// Save a quiz's questions as a teacher sends them. Questions sent back with
+// their id are edited in place and keep it; the rest are added. Questions no
+// longer sent are archived when the quiz has attempts, so those attempts still
+// show them, and deleted otherwise.
+export const syncQuizQuestions = async (assignmentId, questions = [], { bankQuestions = new Map(), userId = null } = {}) => {
+  const { data: existingQuestions, error: fetchError } = await supabase
+    .from('quiz_questions')
+    .select(`
+      *,
+      quiz_question_answers(*),
+      quiz_short_answer_options(*)
+    `)
+    .eq('assignment_id', assignmentId)
+    .is('archived_at', null);
+
+  if (fetchError) return { error: fetchError };
+
+  const existingById = new Map(existingQuestions.map(question => [question.id, question]));
+  const keptIds = new Set();
+
+  for (const [questionIndex, question] of questions.entries()) {
+    const bankQuestion = bankQuestions.get(question.bankQuestionId);
+
+    if (!bankQuestion && (!question.questionText || !question.questionType)) {
+      console.error(`Invalid question at index ${questionIndex}:`, question);
+      continue;
+    }
+
+    // A question that switches to other content (its own or another bank
+    // question's) is a new question
+    const existing = existingById.get(question.id);
+    if (existing && (existing.bank_question_id || null) === (bankQuestion?.id || null)) {
+      keptIds.add(existing.id);
+
+      const { error } = bankQuestion
+        ? await supabase
+          .from('quiz_questions')
+          .update({
+            ...buildBankReferenceRow(bankQuestion, question, questionIndex + 1),
+            updated_at: new Date().toISOString()
+          })
+          .eq('id', existing.id)
+        // An untitled question keeps its title when it moves
+        : await updateQuestion(existing, question, buildQuestionRow({
+          ...question,
+          title: question.title || existing.title
+        }, questionIndex + 1), userId);
+
+      if (error) console.error('Error updating question:', error);
+      continue;
+    }
+
+    const { data: createdQuestion, error: questionError } = await supabase
+      .from('quiz_questions')
+      .insert({
+        assignment_id: assignmentId,
+        ...(bankQuestion
+          ? buildBankReferenceRow(bankQuestion, question, questionIndex + 1)
+          : buildQuestionRow(question, questionIndex + 1))
+      })
+      .select()
+      .single();
+
+    if (questionError) {
+      console.error('Error creating question:', questionError);
+      continue;
+    }
+
+    if (!bankQuestion) {
+      const { error } = await insertQuestionAnswers(createdQuestion.id, question);
+      if (error) console.error(`Error creating answers for question ${questionIndex + 1}:`, error);
+    }
+  }
+
+  const removedIds = existingQuestions.filter(question => !keptIds.has(question.id)).map(question => question.id);
+  if (removedIds.length === 0) return { error: null };
+
+  const { count: attemptCount, error: countError } = await supabase
+    .from('assignment_submissions')
+    .select('id', { count: 'exact', head: true })
+    .eq('assignment_id', assignmentId);
+
+  if (countError) return { error: countError };
+
+  if (attemptCount > 0) {
+    const { error } = await supabase
+      .from('quiz_questions')
+      .update({ archived_at: new Date().toISOString() })
+      .in('id', removedIds);
+    return { error };
+  }
+
+  // Answers first (due to foreign key constraints)
+  await supabase.from('quiz_question_answers').delete().in('question_id', removedIds);
+  await supabase.from('quiz_short_answer_options').delete().in('question_id', removedIds);
+
+  const { error } = await supabase
+    .from('quiz_questions')
+    .delete()
+    .in('id', removedIds);
+
+  return { error };
+};
+
+// Fill in the content of quiz questions that use a bank question, including
+// its answers and short answer options
+export const resolveBankQuestions = async (questions = []) => {
+  const bankQuestionIds = [...new Set(questions.map(question => question.bank_question_id).filter(Boolean))];
+  if (bankQuestionIds.length === 0) return { questions, error: null };
+
+  const { data, error } = await supabase
+    .from('quiz_questions')
+    .select(`
+      *,
+      quiz_question_answers(*),
+      quiz_short_answer_options(*)
+    `)
+    .in('id', bankQuestionIds);
+
+  if (error) return { questions, error };
+
+  const bankQuestions = new Map(data.map(bankQuestion => [bankQuestion.id, bankQuestion]));
+
+  return {
+    questions: questions.map(question => {
+      const bankQuestion = bankQuestions.get(question.bank_question_id);
+      if (!bankQuestion) return question;
+
+      return {
+        ...question,
+        ...Object.fromEntries(QUESTION_CONTENT_FIELDS.map(field => [field, bankQuestion[field]]))
+      };
+    }),
+    error: null
+  };
+};
+
+// Load a quiz's questions with their answer choices and short answer options,
+// ordered by question number. Questions drawn from the quiz's sections are
+// added after them for an attempt: the ones stored on it, and with a seed
+// fresh draws for sections it has none for (see resolveAttemptDraws). An
+// attempt gets the questions at the versions it was shown them, or with latest
+// at their current versions (see applyQuestionVersions).
+// Resolves to { questions, draws, error }.
+export const loadQuizQuestions = async (assignmentId, { attempt = null, seed = null, latest = false } = {}) => {
+  const { data, error } = await supabase
+    .from('quiz_questions')
+    .select(`
+      *,
+      quiz_question_answers(*),
+      quiz_short_answer_options(*)
+    `)
+    .eq('assignment_id', assignmentId)
+    .order('question_number');
+
+  if (error) return { questions: [], draws: {}, error };
+
+  const { questions: resolvedQuestions, error: bankError } = await resolveBankQuestions(data || []);
+  if (bankError) return { questions: resolvedQuestions, draws: {}, error: bankError };
+
+  if (!attempt && !seed) {
+    return { ...await applyQuestionVersions(resolvedQuestions), draws: {} };
+  }
+
+  const { questions, draws, error: sectionError } = await appendSectionQuestions(assignmentId, resolvedQuestions, { attempt, seed });
+  if (sectionError) return { questions, draws, error: sectionError };
+
+  return { ...await applyQuestionVersions(questions, attempt, { latest }), draws };
+};
+
+export default {
+  QUESTION_CONTENT_FIELDS,
+  buildQuestionRow,
+  insertQuestionAnswers,
+  updateQuestion,
+  syncQuizQuestions,
+  resolveBankQuestions,
+  loadQuizQuestions
+};
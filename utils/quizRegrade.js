@@ -0,0 +1,103 @@
+// utils/quizRegrade.js
+import supabase from '../config/postgres.js';
+import { loadQuizQuestions } from './quizQuestions.js';
+import { getQuestionVersions } from './questionVersions.js';
+import { gradeQuizAnswers, computeSubmissionScore } from './quizGrading.js';
+import { parseQuizData } from './quizData.js';
+import { recordGradeChange } from './gradeAudit.js';
+
+// Regrade a submitted attempt's stored answers against the current answer keys
+// of its questions, or of just the questions in questionIds. Questions a
+// teacher graded by hand (see saveQuestionGrade), and a score a teacher set
+// for the whole submission (see gradeSubmission), are kept unless
+// overrideManualGrades. Regraded questions are shown at their current version
+// from then on. When the grade changes, the change is recorded in the audit
+// log. Resolves to { changed, previousScore, newScore, questions, error } with
+// questions listing each regraded question whose points changed.
+export const regradeSubmission = async (submission, {
+  questionIds = null,
+  overrideManualGrades = false,
+  changedBy = null
+} = {}) => {
+  const quizData = parseQuizData(submission.quiz_data);
+  const previousScore = submission.score;
+
+  const { questions, error: questionsError } = await loadQuizQuestions(submission.assignment_id, {
+    attempt: submission,
+    latest: true
+  });
+  if (questionsError) return { changed: false, previousScore, newScore: previousScore, questions: [], error: questionsError };
+
+  const previousResults = quizData.detailedResults || {};
+  const regraded = questions
+    .filter(question => !questionIds || questionIds.includes(question.id))
+    .filter(question => overrideManualGrades || !previousResults[question.id]?.isGraded);
+
+  const grading = gradeQuizAnswers(regraded, quizData.answers || {}, { variables: quizData.variables || {} });
+  const detailedResults = { ...previousResults, ...grading.detailedResults };
+
+  const changedQuestions = regraded
+    .map(question => ({
+      questionId: question.id,
+      previousPoints: previousResults[question.id]?.points ?? 0,
+      newPoints: detailedResults[question.id].points ?? 0
+    }))
+    .filter(({ previousPoints, newPoints }) => previousPoints !== newPoints);
+
+  // A grade a teacher set for the whole submission stands, like manual grades
+  const totals = computeSubmissionScore(questions, detailedResults);
+  const keepsOverride = quizData.scoreOverride && !overrideManualGrades;
+  const newScore = keepsOverride ? quizData.scoreOverride.score : totals.score;
+  const versions = { ...quizData.versions, ...getQuestionVersions(regraded) };
+  const scoreChanged = Number(previousScore) !== newScore;
+  const resultsChanged = JSON.stringify(detailedResults) !== JSON.stringify(previousResults);
+  const versionsChanged = JSON.stringify(versions) !== JSON.stringify(quizData.versions || {});
+
+  if (!scoreChanged && !resultsChanged && !versionsChanged) {
+    return { changed: false, previousScore, newScore, questions: [], error: null };
+  }
+
+  const now = new Date().toISOString();
+
+  const { error } = await supabase
+    .from('assignment_submissions')
+    .update({
+      quiz_data: JSON.stringify({
+        ...quizData,
+        ...(!keepsOverride && { scoreOverride: undefined }),
+        versions,
+        detailedResults,
+        autoGradedScore: totals.autoGradedScore,
+        totalPossiblePoints: totals.totalPossiblePoints,
+        lastRegraded: now
+      }),
+      score: newScore,
+      ...(totals.requiresManualGrading && !keepsOverride
+        ? { status: 'submitted' }
+        : submission.status !== 'graded' && { status: 'graded', graded_at: now, graded_by: changedBy })
+    })
+    .eq('id', submission.id);
+
+  if (error) return { changed: false, previousScore, newScore: previousScore, questions: [], error };
+
+  if (scoreChanged || changedQuestions.length > 0) {
+    const { error: auditError } = await recordGradeChange(submission, {
+      action: 'regrade',
+      previousScore,
+      newScore,
+      changedBy,
+      details: {
+        questionIds: regraded.map(question => question.id),
+        overrideManualGrades,
+        questions: changedQuestions
+      }
+    });
+    if (auditError) console.error('Error recording regrade:', auditError);
+  }
+
+  return { changed: scoreChanged || changedQuestions.length > 0, previousScore, newScore, questions: changedQuestions, error: null };
+};
+
+export default {
+  regradeSubmission
+};
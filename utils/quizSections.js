@@ -0,0 +1,279 @@
+// utils/quizSections.js
+import supabase from '../config/postgres.js';
+import { parseQuizData } from './quizData.js';
+import { seededShuffle } from './quizShuffle.js';
+import { QUESTION_TYPES } from './questionConfig.js';
+import { buildBankQuestionTags, getBankQuestionTagsError, canUseBank } from './questionBank.js';
+
+// Most questions one section may draw
+export const MAX_SECTION_DRAW = 100;
+
+// quiz_sections row for a section as a teacher sends it: { title, bankId,
+// draw, pointsPerQuestion, filter: { capsTopic, grade, difficulty, tags,
+// questionType } }
+export const buildSectionRow = (section = {}, position) => ({
+  position,
+  title: section.title?.trim() || `Section ${position}`,
+  bank_id: section.bankId,
+  draw_count: parseInt(section.draw, 10),
+  points_per_question: parseInt(section.pointsPerQuestion ?? 1, 10),
+  ...buildBankQuestionTags(section.filter),
+  question_type: section.filter?.questionType || null
+});
+
+// Why a section as a teacher sends it can't be saved, or null when it can
+export const getSectionError = (section = {}) => {
+  const row = buildSectionRow(section, 1);
+
+  if (!section.bankId) return 'Sections need a question bank';
+  if (!Number.isInteger(row.draw_count) || row.draw_count < 1 || row.draw_count > MAX_SECTION_DRAW) {
+    return `Sections must draw from 1 to ${MAX_SECTION_DRAW} questions`;
+  }
+  if (!Number.isInteger(row.points_per_question) || row.points_per_question < 1 || row.points_per_question > 100) {
+    return 'Points per question must be a whole number from 1 to 100';
+  }
+  if (row.question_type && !QUESTION_TYPES.includes(row.question_type)) return 'Invalid question type';
+
+  return getBankQuestionTagsError(section.filter);
+};
+
+// Why each section as a teacher sends it can't be used, in the same shape as
+// express-validator errors. A section must draw from a bank the user can use
+// that has enough matching questions.
+export const findSectionErrors = async (sections, user) => {
+  if (sections === undefined || sections === null) return [];
+  if (!Array.isArray(sections)) return [{ param: 'sections', msg: 'Sections must be a list', location: 'body' }];
+
+  const errors = [];
+  for (const [index, section] of sections.entries()) {
+    let msg = getSectionError(section || {});
+
+    if (!msg) {
+      const { data: bank } = await supabase
+        .from('question_banks')
+        .select('*')
+        .eq('id', section.bankId)
+        .single();
+
+      if (!bank || !await canUseBank(bank, user)) {
+        msg = 'Question bank not found';
+      } else {
+        const row = buildSectionRow(section, index + 1);
+        const { ids, error } = await findSectionCandidates(row);
+        if (error) throw error;
+        if (ids.length < row.draw_count) {
+          msg = `Only ${ids.length} question(s) in the bank match this section, so it can't draw ${row.draw_count}`;
+        }
+      }
+    }
+
+    if (msg) errors.push({ param: `sections[${index}]`, msg, location: 'body' });
+  }
+
+  return errors;
+};
+
+// Points the sections add to a quiz: every attempt draws the same number of
+// questions from each, all worth the section's points
+export const getSectionsMaxPoints = (sections = []) =>
+  sections.reduce((sum, section) => sum + section.draw_count * section.points_per_question, 0);
+
+// Load a quiz's sections in order, with includeArchived also the ones
+// removed since attempts drew from them
+export const loadQuizSections = async (assignmentId, { includeArchived = false } = {}) => {
+  let query = supabase
+    .from('quiz_sections')
+    .select('*')
+    .eq('assignment_id', assignmentId);
+
+  if (!includeArchived) query = query.is('archived_at', null);
+
+  const { data, error } = await query.order('position');
+
+  return { sections: data || [], error };
+};
+
+// Save a quiz's sections as a teacher sends them. Sections sent back with
+// their id are edited in place and keep it, so attempts keep their draws for
+// them; the rest are added. Sections no longer sent are archived when the quiz
+// has attempts and deleted otherwise. Resolves to { error }.
+export const syncQuizSections = async (assignmentId, sections = []) => {
+  const { sections: existingSections, error: fetchError } = await loadQuizSections(assignmentId);
+  if (fetchError) return { error: fetchError };
+
+  const existingIds = new Set(existingSections.map(section => section.id));
+  const keptIds = new Set();
+
+  for (const [index, section] of sections.entries()) {
+    const row = buildSectionRow(section, index + 1);
+
+    if (existingIds.has(section.id) && !keptIds.has(section.id)) {
+      keptIds.add(section.id);
+
+      const { error } = await supabase
+        .from('quiz_sections')
+        .update(row)
+        .eq('id', section.id);
+      if (error) return { error };
+      continue;
+    }
+
+    const { error } = await supabase
+      .from('quiz_sections')
+      .insert({ ...row, assignment_id: assignmentId });
+    if (error) return { error };
+  }
+
+  const removedIds = existingSections.filter(section => !keptIds.has(section.id)).map(section => section.id);
+  if (removedIds.length === 0) return { error: null };
+
+  const { count: attemptCount, error: countError } = await supabase
+    .from('assignment_submissions')
+    .select('id', { count: 'exact', head: true })
+    .eq('assignment_id', assignmentId);
+
+  if (countError) return { error: countError };
+
+  const { error } = attemptCount > 0
+    ? await supabase
+      .from('quiz_sections')
+      .update({ archived_at: new Date().toISOString() })
+      .in('id', removedIds)
+    : await supabase
+      .from('quiz_sections')
+      .delete()
+      .in('id', removedIds);
+
+  return { error };
+};
+
+// IDs of the bank questions a section can draw from, in a stable order
+export const findSectionCandidates = async (section) => {
+  let query = supabase
+    .from('quiz_questions')
+    .select('id')
+    .eq('bank_id', section.bank_id);
+
+  if (section.caps_topic) query = query.eq('caps_topic', section.caps_topic);
+  if (section.grade_level !== null && section.grade_level !== undefined) query = query.eq('grade_level', section.grade_level);
+  if (section.difficulty) query = query.eq('difficulty', section.difficulty);
+  if (section.tags?.length > 0) query = query.contains('tags', section.tags);
+  if (section.question_type) query = query.eq('question_type', section.question_type);
+
+  const { data, error } = await query.order('id');
+
+  return { ids: (data || []).map(row => row.id), error };
+};
+
+// Draw each section's questions, repeatably for the same seed. A question is
+// drawn at most once per attempt, and never when the quiz already uses it.
+export const drawSectionQuestions = async (sections, seed, excludeIds = []) => {
+  const used = new Set(excludeIds);
+  const draws = {};
+
+  for (const section of sections) {
+    const { ids, error } = await findSectionCandidates(section);
+    if (error) return { draws, error };
+
+    const available = ids.filter(id => !used.has(id));
+    draws[section.id] = seededShuffle(available, `${seed}:${section.id}:draw`).slice(0, section.draw_count);
+    draws[section.id].forEach(id => used.add(id));
+  }
+
+  return { draws, error: null };
+};
+
+// Questions drawn for each section of an attempt, keyed by section ID: the
+// draws stored on the attempt, plus (given a seed) fresh draws for the
+// current sections it has none for
+export const resolveAttemptDraws = async (sections, { attempt = null, seed = null, excludeIds = [] } = {}) => {
+  const storedDraws = attempt ? parseQuizData(attempt.quiz_data).draws || {} : {};
+  const draws = Object.fromEntries(sections
+    .filter(section => storedDraws[section.id])
+    .map(section => [section.id, storedDraws[section.id]]));
+
+  const undrawn = sections.filter(section => !draws[section.id] && !section.archived_at);
+  if (undrawn.length === 0 || !seed) return { draws, error: null };
+
+  const { draws: newDraws, error } = await drawSectionQuestions(undrawn, seed, [...excludeIds, ...Object.values(draws).flat()]);
+
+  return { draws: { ...draws, ...newDraws }, error };
+};
+
+// Load the bank questions drawn for one or more attempts with their answers
+// and short answer options, keyed by ID
+export const loadDrawnBankQuestions = async (drawsList = []) => {
+  const ids = [...new Set(drawsList.flatMap(draws => Object.values(draws || {}).flat()))];
+  if (ids.length === 0) return { bankQuestions: new Map(), error: null };
+
+  const { data, error } = await supabase
+    .from('quiz_questions')
+    .select(`
+      *,
+      quiz_question_answers(*),
+      quiz_short_answer_options(*)
+    `)
+    .in('id', ids);
+
+  return { bankQuestions: new Map((data || []).map(question => [question.id, question])), error };
+};
+
+// An attempt's drawn questions as quiz questions, numbered on from
+// firstNumber in section order and worth their section's points. They keep
+// the bank question's ID, so answers and results are keyed by it.
+export const buildDrawnQuestions = (sections, draws, bankQuestions, firstNumber = 1) => {
+  let questionNumber = firstNumber;
+
+  return sections.flatMap(section => (draws[section.id] || [])
+    .map(id => bankQuestions.get(id))
+    .filter(Boolean)
+    .map(bankQuestion => ({
+      ...bankQuestion,
+      assignment_id: section.assignment_id,
+      question_number: questionNumber++,
+      points: section.points_per_question,
+      section_id: section.id
+    })));
+};
+
+// Add the questions an attempt draws from the quiz's sections after its own
+// questions, including sections archived since it drew from them.
+// Resolves to { questions, draws, error }.
+export const appendSectionQuestions = async (assignmentId, questions, { attempt = null, seed = null } = {}) => {
+  const { sections, error: sectionsError } = await loadQuizSections(assignmentId, { includeArchived: true });
+  if (sectionsError || sections.length === 0) return { questions, draws: {}, error: sectionsError };
+
+  const { draws, error: drawError } = await resolveAttemptDraws(sections, {
+    attempt,
+    seed,
+    excludeIds: questions.map(question => question.bank_question_id).filter(Boolean)
+  });
+  if (drawError) return { questions, draws, error: drawError };
+
+  const { bankQuestions, error } = await loadDrawnBankQuestions([draws]);
+  if (error) return { questions, draws, error };
+
+  const lastNumber = questions.reduce((max, question) => Math.max(max, question.question_number || 0), 0);
+
+  return {
+    questions: [...questions, ...buildDrawnQuestions(sections, draws, bankQuestions, lastNumber + 1)],
+    draws,
+    error: null
+  };
+};
+
+export default {
+  MAX_SECTION_DRAW,
+  buildSectionRow,
+  getSectionError,
+  findSectionErrors,
+  getSectionsMaxPoints,
+  loadQuizSections,
+  syncQuizSections,
+  findSectionCandidates,
+  drawSectionQuestions,
+  resolveAttemptDraws,
+  loadDrawnBankQuestions,
+  buildDrawnQuestions,
+  appendSectionQuestions
+};
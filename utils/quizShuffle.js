@@ -0,0 +1,140 @@
+// utils/quizShuffle.js
+import { parseQuizData } from './quizData.js';
+
+// Answer options of these types read in a fixed order (True before False)
+const FIXED_ANSWER_ORDER_TYPES = ['true_false'];
+
+// 32-bit FNV-1a hash, used to turn an attempt ID into a PRNG seed
+const hashSeed = (value) => {
+  let hash = 0x811c9dc5;
+  const text = String(value);
+
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+
+  return hash >>> 0;
+};
+
+// mulberry32: small, fast PRNG that is fully determined by its seed
+const createRandom = (seed) => {
+  let state = seed >>> 0;
+
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// Random number generator in [0, 1) that repeats for the same seed
+export const createSeededRandom = (seed) => createRandom(hashSeed(seed));
+
+// Fisher-Yates shuffle of a copy of `items`, repeatable for the same seed
+export const seededShuffle = (items, seed) => {
+  const random = createSeededRandom(seed);
+  const shuffled = [...items];
+
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+
+  return shuffled;
+};
+
+// Does the quiz present questions or answer options in a per-attempt order?
+export const isShuffledQuiz = (assignment) => !!(assignment.shuffle_questions || assignment.shuffle_answers);
+
+// Seed for an attempt's section draws and calculated values: its submission
+// ID once started, otherwise the attempt the student is about to make
+export const getShuffleSeed = ({ attempt, assignmentId, studentId, attemptNumber }) =>
+  attempt?.id || `${assignmentId}:${studentId}:${attemptNumber}`;
+
+// Work out the order one attempt presents questions and answer options in.
+// Questions are expected in canonical order with quiz_question_answers loaded.
+export const buildAttemptLayout = (assignment, questions, seed) => {
+  const questionIds = questions.map(question => question.id);
+  const questionOrder = assignment.shuffle_questions
+    ? seededShuffle(questionIds, `${seed}:questions`)
+    : questionIds;
+
+  const answerOrder = {};
+  for (const question of questions) {
+    const answerIds = [...(question.quiz_question_answers || [])]
+      .sort((a, b) => a.answer_order - b.answer_order)
+      .map(answer => answer.id);
+
+    answerOrder[question.id] = assignment.shuffle_answers && !FIXED_ANSWER_ORDER_TYPES.includes(question.question_type)
+      ? seededShuffle(answerIds, `${seed}:${question.id}`)
+      : answerIds;
+  }
+
+  return { questionOrder, answerOrder };
+};
+
+// Layout of a started attempt: the one stored on it, otherwise derived from
+// its ID. Null when the quiz doesn't shuffle or there is no attempt, as a
+// shuffled order is only ever shown for a started attempt.
+export const resolveAttemptLayout = (assignment, questions, attempt) => {
+  if (!isShuffledQuiz(assignment) || !attempt) {
+    return null;
+  }
+
+  return parseQuizData(attempt.quiz_data).layout || buildAttemptLayout(assignment, questions, attempt.id);
+};
+
+// Position of an item in a layout order; items added after the layout was
+// made go to the end in their canonical order
+const positionIn = (order, id, fallback) => {
+  const index = order ? order.indexOf(id) : -1;
+  return index === -1 ? (order?.length || 0) + fallback : index;
+};
+
+// Reorder questions (and their quiz_question_answers) as the layout presents them
+export const applyAttemptLayout = (questions, layout) => {
+  if (!layout) return questions;
+
+  return questions
+    .map((question, canonicalIndex) => ({ question, canonicalIndex }))
+    .sort((a, b) =>
+      positionIn(layout.questionOrder, a.question.id, a.canonicalIndex) -
+      positionIn(layout.questionOrder, b.question.id, b.canonicalIndex)
+    )
+    .map(({ question }) => {
+      const answers = [...(question.quiz_question_answers || [])]
+        .sort((a, b) => a.answer_order - b.answer_order);
+      const order = layout.answerOrder?.[question.id];
+
+      return {
+        ...question,
+        quiz_question_answers: answers
+          .map((answer, canonicalIndex) => ({ answer, canonicalIndex }))
+          .sort((a, b) =>
+            positionIn(order, a.answer.id, a.canonicalIndex) -
+            positionIn(order, b.answer.id, b.canonicalIndex)
+          )
+          .map(({ answer }) => answer)
+      };
+    });
+};
+
+// 1-based position a question was presented at, for mapping back in reviews
+export const getPresentedNumber = (layout, questionId) => {
+  const index = layout?.questionOrder?.indexOf(questionId) ?? -1;
+  return index === -1 ? null : index + 1;
+};
+
+export default {
+  createSeededRandom,
+  seededShuffle,
+  isShuffledQuiz,
+  getShuffleSeed,
+  buildAttemptLayout,
+  resolveAttemptLayout,
+  applyAttemptLayout,
+  getPresentedNumber
+};
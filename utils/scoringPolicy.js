@@ -0,0 +1,83 @@
+// utils/scoringPolicy.js
+
+// Which attempt counts towards the grade when a student has several
+export const SCORING_POLICIES = ['highest', 'latest', 'first', 'average'];
+export const DEFAULT_SCORING_POLICY = 'highest';
+
+const hasScore = (submission) => submission.score !== null && submission.score !== undefined;
+
+// Pick the attempt that counts for one student under the given policy.
+// Drafts are ignored. For 'average' the score is the mean of the scored
+// attempts and the latest attempt is returned as the representative submission.
+export const applyScoringPolicy = (submissions = [], policy = DEFAULT_SCORING_POLICY) => {
+  const attempts = submissions
+    .filter(sub => sub.status !== 'draft')
+    .sort((a, b) =>
+      (a.attempt_number || 0) - (b.attempt_number || 0) ||
+      new Date(a.submitted_at) - new Date(b.submitted_at)
+    );
+
+  if (attempts.length === 0) {
+    return { submission: null, score: null, attempts };
+  }
+
+  const latest = attempts[attempts.length - 1];
+  const scored = attempts.filter(hasScore);
+
+  switch (policy) {
+    case 'latest':
+      return { submission: latest, score: hasScore(latest) ? latest.score : null, attempts };
+
+    case 'first':
+      return { submission: attempts[0], score: hasScore(attempts[0]) ? attempts[0].score : null, attempts };
+
+    case 'average': {
+      if (scored.length === 0) {
+        return { submission: latest, score: null, attempts };
+      }
+      const total = scored.reduce((sum, sub) => sum + Number(sub.score), 0);
+      return {
+        submission: latest,
+        score: Math.round((total / scored.length) * 100) / 100,
+        attempts
+      };
+    }
+
+    case 'highest':
+    default: {
+      if (scored.length === 0) {
+        return { submission: latest, score: null, attempts };
+      }
+      // The earliest attempt wins a tie
+      const best = scored.reduce((top, sub) => (Number(sub.score) > Number(top.score) ? sub : top));
+      return { submission: best, score: best.score, attempts };
+    }
+  }
+};
+
+// Apply the scoring policy per group (by default per student) over a flat list of submissions
+export const applyScoringPolicyByGroup = (submissions = [], policy, getKey = sub => sub.student_id) => {
+  const groups = {};
+
+  submissions.forEach(sub => {
+    const key = getKey(sub);
+    if (!groups[key]) {
+      groups[key] = [];
+    }
+    groups[key].push(sub);
+  });
+
+  const results = {};
+  Object.entries(groups).forEach(([key, groupSubmissions]) => {
+    results[key] = applyScoringPolicy(groupSubmissions, policy);
+  });
+
+  return results;
+};
+
+export default {
+  SCORING_POLICIES,
+  DEFAULT_SCORING_POLICY,
+  applyScoringPolicy,
+  applyScoringPolicyByGroup
+};
@@ -0,0 +1,210 @@
+// utils/shortAnswer.js
+import vm from 'vm';
+
+// How a quiz_short_answer_options row is compared with a student's text
+export const SHORT_ANSWER_MATCH_TYPES = ['exact', 'contains', 'regex', 'fuzzy'];
+
+// Regex patterns run against untrusted input, so both are bounded and every
+// match runs under a time limit
+export const MAX_REGEX_PATTERN_LENGTH = 200;
+export const MAX_REGEX_INPUT_LENGTH = 1000;
+export const REGEX_TIMEOUT_MS = 50;
+
+// Spelling slips allowed by fuzzy options that don't set their own threshold
+export const DEFAULT_FUZZY_MAX_DISTANCE = 2;
+
+// Short answers leave little room for slips: one edit is allowed per this many
+// characters of the acceptable answer, so answers under that length must match
+// exactly whatever the option's threshold
+export const FUZZY_CHARS_PER_EDIT = 4;
+
+// Edits a fuzzy option allows for its answer text
+export const getFuzzyMaxDistance = (optionText, maxDistance = DEFAULT_FUZZY_MAX_DISTANCE) =>
+  Math.min(maxDistance, Math.floor([...optionText].length / FUZZY_CHARS_PER_EDIT));
+
+// Normalise text for comparison as an option asks
+export const normalizeText = (text, options = {}) => {
+  let normalized = String(text ?? '').trim();
+
+  if (options.removeSpaces) {
+    normalized = normalized.replace(/\s+/g, '');
+  }
+
+  if (options.removePunctuation) {
+    normalized = normalized.replace(/[^\p{L}\p{N}\s]/gu, '').trim();
+  }
+
+  if (!options.caseSensitive) {
+    normalized = normalized.toLowerCase();
+  }
+
+  return normalized;
+};
+
+// Edit distance between two strings (insertions, deletions, substitutions)
+export const levenshteinDistance = (a, b) => {
+  const left = [...a];
+  const right = [...b];
+  let previous = Array.from({ length: right.length + 1 }, (_, index) => index);
+
+  for (let i = 1; i <= left.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= right.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (left[i - 1] === right[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+
+  return previous[right.length];
+};
+
+// Why a regex pattern can't be used, or null when it is safe to store.
+// Nested quantifiers such as (a+)+ and backreferences can backtrack
+// exponentially, so they are refused outright.
+export const getRegexPatternError = (pattern) => {
+  if (typeof pattern !== 'string' || !pattern) return 'Regex pattern is required';
+  if (pattern.length > MAX_REGEX_PATTERN_LENGTH) {
+    return `Regex pattern must be at most ${MAX_REGEX_PATTERN_LENGTH} characters`;
+  }
+
+  try {
+    new RegExp(pattern, 'u');
+  } catch (error) {
+    return `Invalid regex pattern: ${error.message}`;
+  }
+
+  if (/\\[1-9]|\\k</.test(pattern)) return 'Regex patterns can\'t use backreferences';
+  if (/\([^()]*[+*}][^()]*\)\s*[+*{]/.test(pattern)) return 'Regex patterns can\'t nest quantifiers';
+
+  return null;
+};
+
+const regexScript = new vm.Script('pattern.test(input)');
+const regexContext = vm.createContext({ pattern: null, input: '' });
+
+// Test a pattern against the student's text with a time limit. A pattern that
+// runs too long counts as no match.
+const testRegex = (pattern, text, caseSensitive) => {
+  if (getRegexPatternError(pattern) || text.length > MAX_REGEX_INPUT_LENGTH) return false;
+
+  regexContext.pattern = new RegExp(`^(?:${pattern})$`, caseSensitive ? 'u' : 'iu');
+  regexContext.input = text;
+
+  try {
+    return regexScript.runInContext(regexContext, { timeout: REGEX_TIMEOUT_MS }) === true;
+  } catch (error) {
+    console.warn('Short answer regex timed out or failed:', pattern, error.message);
+    return false;
+  }
+};
+
+// Match type of an option row; rows from before match_type existed only have
+// is_exact_match
+export const getOptionMatchType = (option) =>
+  SHORT_ANSWER_MATCH_TYPES.includes(option.match_type)
+    ? option.match_type
+    : (option.is_exact_match ? 'exact' : 'contains');
+
+// Does a student's text match one quiz_short_answer_options row?
+export const matchesShortAnswerOption = (text, option) => {
+  const matchType = getOptionMatchType(option);
+  const caseSensitive = !!option.is_case_sensitive;
+
+  if (matchType === 'regex') {
+    return testRegex(option.answer_text || '', String(text ?? '').trim(), caseSensitive);
+  }
+
+  const normalizeOptions = {
+    caseSensitive,
+    removeSpaces: !!option.ignore_whitespace,
+    removePunctuation: !!option.ignore_punctuation
+  };
+  const userText = normalizeText(text, normalizeOptions);
+  const optionText = normalizeText(option.answer_text, normalizeOptions);
+
+  // An option with nothing left to compare (e.g. only punctuation) matches nothing
+  if (!userText || !optionText) return false;
+
+  switch (matchType) {
+    case 'contains':
+      return userText.includes(optionText);
+    case 'fuzzy': {
+      const maxDistance = getFuzzyMaxDistance(
+        optionText,
+        Number.isInteger(option.fuzzy_max_distance) ? option.fuzzy_max_distance : DEFAULT_FUZZY_MAX_DISTANCE
+      );
+      return levenshteinDistance(userText, optionText) <= maxDistance;
+    }
+    default:
+      return userText === optionText;
+  }
+};
+
+// Does a student's text match any of the acceptable answers?
+export const matchesAnyShortAnswerOption = (text, options = []) =>
+  options.some(option => matchesShortAnswerOption(text, option));
+
+// Row to store in quiz_short_answer_options for one acceptable answer. An
+// answer is either plain text, using the question's matchType and
+// caseSensitive, or { text, matchType, caseSensitive, ignoreWhitespace,
+// ignorePunctuation, maxDistance } to set them for that answer alone.
+export const buildShortAnswerOption = (answer, defaults = {}) => {
+  const settings = typeof answer === 'string' ? { text: answer } : (answer || {});
+  const matchType = SHORT_ANSWER_MATCH_TYPES.includes(settings.matchType)
+    ? settings.matchType
+    : (SHORT_ANSWER_MATCH_TYPES.includes(defaults.matchType) ? defaults.matchType : 'exact');
+
+  return {
+    answer_text: String(settings.text ?? '').trim(),
+    match_type: matchType,
+    is_exact_match: matchType !== 'contains',
+    is_case_sensitive: settings.caseSensitive ?? defaults.caseSensitive ?? false,
+    ignore_whitespace: settings.ignoreWhitespace ?? defaults.ignoreWhitespace ?? false,
+    ignore_punctuation: settings.ignorePunctuation ?? defaults.ignorePunctuation ?? false,
+    fuzzy_max_distance: matchType === 'fuzzy'
+      ? parseInt(settings.maxDistance ?? defaults.maxDistance ?? DEFAULT_FUZZY_MAX_DISTANCE, 10)
+      : null
+  };
+};
+
+// Why a list of acceptable answers can't be stored, or null when it can
+export const getShortAnswerOptionsError = (answers = [], defaults = {}) => {
+  for (const answer of answers) {
+    const option = buildShortAnswerOption(answer, defaults);
+    if (!option.answer_text) continue;
+
+    if (option.match_type === 'regex') {
+      const error = getRegexPatternError(option.answer_text);
+      if (error) return error;
+    } else if (!normalizeText(option.answer_text, {
+      removeSpaces: option.ignore_whitespace,
+      removePunctuation: option.ignore_punctuation
+    })) {
+      return `Answer "${option.answer_text}" is empty once whitespace and punctuation are ignored`;
+    }
+    if (option.match_type === 'fuzzy' && (!Number.isInteger(option.fuzzy_max_distance) || option.fuzzy_max_distance < 0 || option.fuzzy_max_distance > 10)) {
+      return 'Fuzzy match distance must be a whole number from 0 to 10';
+    }
+  }
+
+  return null;
+};
+
+export default {
+  SHORT_ANSWER_MATCH_TYPES,
+  DEFAULT_FUZZY_MAX_DISTANCE,
+  FUZZY_CHARS_PER_EDIT,
+  getFuzzyMaxDistance,
+  normalizeText,
+  levenshteinDistance,
+  getRegexPatternError,
+  getOptionMatchType,
+  matchesShortAnswerOption,
+  matchesAnyShortAnswerOption,
+  buildShortAnswerOption,
+  getShortAnswerOptionsError
+};
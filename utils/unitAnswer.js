@@ -0,0 +1,103 @@
+// utils/unitAnswer.js
+import {
+  parseNumericAnswer,
+  buildNumericConfig,
+  getNumericConfigError,
+  gradeNumericValue,
+  describeNumericAnswer
+} from './numericAnswer.js';
+import { parseUnit, areUnitsCompatible, convertValue, splitQuantity } from './units.js';
+
+// Why a unit answer earned what it did, written to detailedResults
+export const UNIT_ANSWER_REASONS = {
+  CORRECT: 'CORRECT',
+  CONVERTED: 'CONVERTED',
+  MISSING_UNIT: 'MISSING_UNIT',
+  WRONG_UNIT: 'WRONG_UNIT',
+  INCORRECT_VALUE: 'INCORRECT_VALUE',
+  UNPARSEABLE: 'UNPARSEABLE'
+};
+
+// Normalise the settings a teacher sends with a unit question: the numeric
+// answer expressed in `unit`, plus the share of the points (0-1) awarded for
+// the right number with a wrong or missing unit
+export const buildUnitConfig = (settings = {}) => {
+  const partialCredit = Number(settings.unitPartialCredit);
+
+  return {
+    ...buildNumericConfig(settings),
+    unit: typeof settings.unit === 'string' ? settings.unit.trim() : null,
+    unitPartialCredit: Number.isFinite(partialCredit) ? partialCredit : 0
+  };
+};
+
+// Why a unit config can't be graded, or null when it is usable
+export const getUnitConfigError = (config) => {
+  const numericError = getNumericConfigError(config);
+  if (numericError) return numericError;
+
+  if (!config.unit) return 'Unit questions need the unit of the correct answer';
+  if (!parseUnit(config.unit)) return `Unrecognised unit "${config.unit}"`;
+  if (config.unitPartialCredit < 0 || config.unitPartialCredit > 1) {
+    return 'Unit partial credit must be between 0 and 1';
+  }
+
+  return null;
+};
+
+// Grade an answer such as "1.5 kJ" against a unit config. Returns
+// { correct, credit, reason } where credit is the share of the points earned.
+export const gradeUnitAnswer = (config, input) => {
+  const { numberText, unitText } = splitQuantity(input);
+  const parsed = parseNumericAnswer(numberText);
+  const expectedUnit = config ? parseUnit(config.unit) : null;
+
+  if (!parsed || !expectedUnit || getUnitConfigError(config)) {
+    return { correct: false, credit: 0, reason: UNIT_ANSWER_REASONS.UNPARSEABLE };
+  }
+
+  const studentUnit = parseUnit(unitText);
+
+  if (studentUnit && areUnitsCompatible(studentUnit, expectedUnit)) {
+    // Significant figures are counted on what the student wrote, not on the
+    // converted value
+    const converted = { ...parsed, value: convertValue(parsed.value, studentUnit, expectedUnit) };
+    if (gradeNumericValue(config, converted)) {
+      const sameScale = Math.abs(studentUnit.scale - expectedUnit.scale) <= 1e-12 * expectedUnit.scale;
+      return {
+        correct: true,
+        credit: 1,
+        reason: sameScale ? UNIT_ANSWER_REASONS.CORRECT : UNIT_ANSWER_REASONS.CONVERTED
+      };
+    }
+  }
+
+  // Right number in the expected unit, but the unit is missing or wrong (a
+  // compatible unit at the wrong scale, such as kJ for MJ, included)
+  if (gradeNumericValue(config, parsed)) {
+    return {
+      correct: false,
+      credit: config.unitPartialCredit,
+      reason: unitText ? UNIT_ANSWER_REASONS.WRONG_UNIT : UNIT_ANSWER_REASONS.MISSING_UNIT
+    };
+  }
+
+  return { correct: false, credit: 0, reason: UNIT_ANSWER_REASONS.INCORRECT_VALUE };
+};
+
+// Human-readable correct answer for review screens
+export const describeUnitAnswer = (config) => {
+  if (!config) return 'No correct answer';
+  const description = `${describeNumericAnswer({ ...config, significantFigures: null })} ${config.unit || ''}`.trim();
+  return config.significantFigures
+    ? `${description} (${config.significantFigures} significant figures)`
+    : description;
+};
+
+export default {
+  UNIT_ANSWER_REASONS,
+  buildUnitConfig,
+  getUnitConfigError,
+  gradeUnitAnswer,
+  describeUnitAnswer
+};
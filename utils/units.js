@@ -0,0 +1,173 @@
+// utils/units.js
+
+// Dimensions are exponents of the SI base units, in this order
+const BASE_DIMENSIONS = ['m', 'kg', 's', 'A', 'K', 'mol', 'cd'];
+
+const dims = (exponents = {}) => BASE_DIMENSIONS.map(base => exponents[base] || 0);
+
+// Units by symbol: scale to SI and dimensions. Prefixes are applied to the
+// units marked prefixable.
+const UNITS = {
+  m: { scale: 1, dims: dims({ m: 1 }), prefixable: true },
+  g: { scale: 1e-3, dims: dims({ kg: 1 }), prefixable: true },
+  s: { scale: 1, dims: dims({ s: 1 }), prefixable: true },
+  A: { scale: 1, dims: dims({ A: 1 }), prefixable: true },
+  K: { scale: 1, dims: dims({ K: 1 }), prefixable: true },
+  mol: { scale: 1, dims: dims({ mol: 1 }), prefixable: true },
+  cd: { scale: 1, dims: dims({ cd: 1 }), prefixable: true },
+  N: { scale: 1, dims: dims({ kg: 1, m: 1, s: -2 }), prefixable: true },
+  J: { scale: 1, dims: dims({ kg: 1, m: 2, s: -2 }), prefixable: true },
+  W: { scale: 1, dims: dims({ kg: 1, m: 2, s: -3 }), prefixable: true },
+  Pa: { scale: 1, dims: dims({ kg: 1, m: -1, s: -2 }), prefixable: true },
+  Hz: { scale: 1, dims: dims({ s: -1 }), prefixable: true },
+  C: { scale: 1, dims: dims({ A: 1, s: 1 }), prefixable: true },
+  V: { scale: 1, dims: dims({ kg: 1, m: 2, s: -3, A: -1 }), prefixable: true },
+  Ω: { scale: 1, dims: dims({ kg: 1, m: 2, s: -3, A: -2 }), prefixable: true },
+  ohm: { scale: 1, dims: dims({ kg: 1, m: 2, s: -3, A: -2 }), prefixable: true },
+  F: { scale: 1, dims: dims({ kg: -1, m: -2, s: 4, A: 2 }), prefixable: true },
+  T: { scale: 1, dims: dims({ kg: 1, s: -2, A: -1 }), prefixable: true },
+  Wb: { scale: 1, dims: dims({ kg: 1, m: 2, s: -2, A: -1 }), prefixable: true },
+  L: { scale: 1e-3, dims: dims({ m: 3 }), prefixable: true },
+  l: { scale: 1e-3, dims: dims({ m: 3 }), prefixable: true },
+  eV: { scale: 1.602176634e-19, dims: dims({ kg: 1, m: 2, s: -2 }), prefixable: true },
+  min: { scale: 60, dims: dims({ s: 1 }) },
+  h: { scale: 3600, dims: dims({ s: 1 }) },
+  bar: { scale: 1e5, dims: dims({ kg: 1, m: -1, s: -2 }) },
+  atm: { scale: 101325, dims: dims({ kg: 1, m: -1, s: -2 }) }
+};
+
+const PREFIXES = {
+  T: 1e12, G: 1e9, M: 1e6, k: 1e3, h: 1e2, da: 1e1,
+  d: 1e-1, c: 1e-2, m: 1e-3, µ: 1e-6, μ: 1e-6, u: 1e-6, n: 1e-9, p: 1e-12
+};
+
+const SUPERSCRIPTS = {
+  '⁰': '0', '¹': '1', '²': '2', '³': '3', '⁴': '4',
+  '⁵': '5', '⁶': '6', '⁷': '7', '⁸': '8', '⁹': '9', '⁻': '-'
+};
+
+const lookupSymbol = (symbol) => {
+  if (UNITS[symbol]) return UNITS[symbol];
+
+  // Longest prefix first so "da" wins over "d"
+  const prefix = Object.keys(PREFIXES)
+    .sort((a, b) => b.length - a.length)
+    .find(candidate => symbol.startsWith(candidate) && UNITS[symbol.slice(candidate.length)]?.prefixable);
+
+  if (!prefix) return null;
+
+  const unit = UNITS[symbol.slice(prefix.length)];
+  return { scale: unit.scale * PREFIXES[prefix], dims: unit.dims };
+};
+
+const combine = (a, b, power = 1) => ({
+  scale: a.scale * Math.pow(b.scale, power),
+  dims: a.dims.map((exponent, index) => exponent + b.dims[index] * power)
+});
+
+const DIMENSIONLESS = { scale: 1, dims: dims() };
+
+// Parse a unit such as "m/s²", "kg·m/s^2", "kJ", "N m" or "kg/(m·s^2)" into
+// { scale, dims }, or null when it can't be read
+export const parseUnit = (text) => {
+  if (!text || !text.trim()) return null;
+
+  const source = text
+    .trim()
+    .replace(/[⁰¹²³⁴⁵⁶⁷⁸⁹⁻]+/g, match => `^${[...match].map(char => SUPERSCRIPTS[char]).join('')}`)
+    .replace(/\*\*/g, '^');
+  let index = 0;
+
+  const peek = () => source[index];
+  const skipSpaces = () => {
+    while (peek() === ' ') index++;
+  };
+
+  const parseExponent = () => {
+    const match = source.slice(index).match(/^\^?\s*\(?\s*(-?\d+)\s*\)?/);
+    if (!match || (match[0][0] !== '^' && !/^-?\d/.test(match[0]))) return 1;
+    index += match[0].length;
+    return parseInt(match[1], 10);
+  };
+
+  let parseExpression;
+
+  const parseFactor = () => {
+    skipSpaces();
+
+    let unit;
+    if (peek() === '(') {
+      index++;
+      unit = parseExpression();
+      skipSpaces();
+      if (!unit || peek() !== ')') return null;
+      index++;
+    } else {
+      const match = source.slice(index).match(/^[A-Za-zµμΩ]+/);
+      if (!match) return null;
+      index += match[0].length;
+      unit = lookupSymbol(match[0]);
+      if (!unit) return null;
+    }
+
+    return combine(DIMENSIONLESS, unit, parseExponent());
+  };
+
+  parseExpression = () => {
+    let result = parseFactor();
+    if (!result) return null;
+
+    for (;;) {
+      skipSpaces();
+      const operator = peek();
+
+      if (operator === undefined || operator === ')') return result;
+
+      let power = 1;
+      if (operator === '/') {
+        power = -1;
+        index++;
+      } else if (operator === '·' || operator === '*' || operator === '.' || operator === '⋅') {
+        index++;
+      }
+
+      const factor = parseFactor();
+      if (!factor) return null;
+      result = combine(result, factor, power);
+    }
+  };
+
+  const unit = parseExpression();
+  return unit && index === source.length ? unit : null;
+};
+
+export const areUnitsCompatible = (a, b) => !!a && !!b && a.dims.every((exponent, index) => exponent === b.dims[index]);
+
+// Convert a value between two compatible parsed units
+export const convertValue = (value, fromUnit, toUnit) => value * fromUnit.scale / toUnit.scale;
+
+// Split an answer like "1.5 kJ" or "3.0×10^8 m/s" into its number and unit text
+export const splitQuantity = (text) => {
+  const source = String(text ?? '').trim();
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (!/[A-Za-zµμΩ]/.test(char)) continue;
+
+    const rest = source.slice(i + 1);
+    // Exponent markers belong to the number: 3e8, 3.0x10^8, 3.0 × 10^8
+    if ((char === 'e' || char === 'E') && /^[+-]?\d/.test(rest) && /\d\s*$/.test(source.slice(0, i))) continue;
+    if ((char === 'x' || char === 'X') && /^\s*10/.test(rest)) continue;
+
+    return { numberText: source.slice(0, i).trim(), unitText: source.slice(i).trim() };
+  }
+
+  return { numberText: source, unitText: '' };
+};
+
+export default {
+  parseUnit,
+  areUnitsCompatible,
+  convertValue,
+  splitQuantity
+};